@@ -1,5 +1,7 @@
 import { Database } from "bun:sqlite";
 import { appendFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { gunzipSync, inflateRawSync } from "node:zlib";
 
 // ----------------------------------------------------------------------------
 // utils
@@ -91,48 +93,103 @@ const dateToUnix = (dateString) =>
 	Math.floor(new Date(dateString).getTime() / 1000);
 
 /**
- * https://github.com/ziglang/zig/blob/a931bfada5e358ace980b2f8fbc50ce424ced526/doc/build.zig.zon.md
- *
- * @param {string} zon - raw zig struct (build.zig.zon)
- * @returns {string} - string parseable by JSON.parse
- */
-const zon2json = (zon) => {
-	return zon
-		.replace(/(?<!:)\/\/.*$/gm, "") // Remove comments
-		.replace(/\.\{""}/g, ".{}") // Handle empty objects
-		.replace(/\.{/g, "{") // Replace leading dots before curly braces
-		.replace(/\.@"([^"]+)"?\s*=\s*/g, '"$1": ') // Handle .@"key" = value
-		.replace(/\.(\w+)\s*=\s*/g, '"$1": ') // Handle .key = value
-		.replace(/("paths"\s*:\s*){([^}]*)}/g, "$1[$2]") // Convert paths to array
-		.replace(/,(\s*[}\]])/g, "$1") // Remove trailing commas
-		.replace(/"url"\s*:\s*"([^"]+)"/g, (_, p1) => {
-			// Special handling for URL to preserve '?' and '#'
-			return `"url": "${p1.replace(/"/g, '\\"')}"`;
-		});
+ * @param {string | Uint8Array} content
+ * @returns {string} hex digest
+ */
+const sha256 = (content) => createHash("sha256").update(content).digest("hex");
+
+/**
+ * @param {RepoName} repo
+ * @param {((repo: RepoName) => string)[]} getURLs
+ * @param {RequestBudget} budget
+ * @returns {Promise<(string | null)[]>} null for files that aren't there
+ */
+const fetchRawFiles = async (repo, getURLs, budget) => {
+	budget.spend(repo, getURLs.length);
+	const responses = await Promise.all(
+		getURLs.map((getURL) =>
+			fetch(getURL(repo), { headers: headers[repo.platform] }),
+		),
+	);
+	return Promise.all(
+		responses.map((response) =>
+			response.status === 200 ? response.text() : null,
+		),
+	);
 };
 
 /**
+ * build.zig and build.zig.zon cost 2 requests per repo. zigmod and gyro
+ * predate build.zig.zon, they're only looked for in repos without one, and
+ * zigmod.lock only next to a zigmod.yml, so a repo costs 5 at most
+ *
  * @param {RepoName} repo
+ * @param {RequestBudget} budget
  * @returns {Promise<RepoBuildZig>}
  */
-const fetchZigContent = async (repo) => {
+const fetchZigContent = async (repo, budget) => {
 	logger.info(`fetch - fetchBuildZig - ${repo.full_name}`);
-	const zigURL = getZigURL(repo);
-	const zonURL = getZonURL(repo);
-	const [zigResponse, zonResponse] = await Promise.all([
-		fetch(zigURL, { headers: headers[repo.platform] }),
-		fetch(zonURL, { headers: headers[repo.platform] }),
-	]);
+	const [zig, zon] = await fetchRawFiles(
+		repo,
+		[getZigURL, getZonURL],
+		budget,
+	);
+	let zigmodYml = null;
+	let zigmodLock = null;
+	let gyroZzz = null;
+	if (zon === null) {
+		[zigmodYml, gyroZzz] = await fetchRawFiles(
+			repo,
+			[getZigmodYmlURL, getGyroZzzURL],
+			budget,
+		);
+		if (zigmodYml !== null) {
+			[zigmodLock] = await fetchRawFiles(repo, [getZigmodLockURL], budget);
+		}
+	}
 	return {
 		repo_id: repo.id,
 		fetched_at: Math.floor(Date.now() / 1000),
-		build_zig_content:
-			zigResponse.status === 200 ? await zigResponse.text() : null,
-		build_zig_zon_content:
-			zonResponse.status === 200 ? await zonResponse.text() : null,
+		build_zig_content: zig,
+		build_zig_zon_content: zon,
+		zigmod_yml_content: zigmodYml,
+		zigmod_lock_content: zigmodLock,
+		gyro_zzz_content: gyroZzz,
 	};
 };
 
+/**
+ * @param {RepoName} repo
+ * @param {RequestBudget} budget
+ * @returns {Promise<TreeEntry[] | null>} null when the tree can't be listed
+ */
+const fetchRepoTree = async (repo, budget) => {
+	logger.info(`fetch - fetchRepoTree - ${repo.full_name}`);
+	/** @type {TreeEntry[]} */
+	const entries = [];
+	for (let page = 1; page <= 10; page++) {
+		budget.spend(repo, 1);
+		const response = await fetch(getRepoTreeURL(repo, page), {
+			headers: headers[repo.platform],
+		});
+		if (response.status !== 200) {
+			logger.warn(
+				`fetch - fetchRepoTree - ${repo.full_name} - HTTP ${response.status}`,
+			);
+			return null;
+		}
+		const data = await response.json();
+		entries.push(...(data.tree ?? []));
+		if (!data.truncated) break;
+		// github has no pages, a truncated tree is all we get
+		if (repo.platform === "github") {
+			logger.warn(`fetch - fetchRepoTree - ${repo.full_name} - truncated`);
+			break;
+		}
+	}
+	return entries;
+};
+
 /**
  * @param {Response} response
  * @returns {string | undefined}
@@ -149,706 +206,6306 @@ const getNextURL = (response) => {
 	return next;
 };
 
+/**
+ * Follows the pagination links of a list api, 10 pages at most and only as
+ * many as the budget allows.
+ *
+ * @param {RepoName} repo
+ * @param {string} url - first page
+ * @param {RequestBudget} budget
+ * @returns {Promise<{status: number, items: any[], complete: boolean}>}
+ * status of the first page, complete when there's no page left to read
+ */
+const fetchPages = async (repo, url, budget) => {
+	/** @type {any[]} */
+	const items = [];
+	let status = 0;
+	/** @type {string | undefined} */
+	let next = url;
+	for (let page = 1; next && page <= 10; page++) {
+		if (budget.left(repo) < 1) break;
+		budget.spend(repo, 1);
+		const response = await fetch(next, { headers: headers[repo.platform] });
+		if (page === 1) status = response.status;
+		if (response.status !== 200) {
+			await response.body?.cancel();
+			return { status, items, complete: false };
+		}
+		items.push(...(await response.json()));
+		next = getNextURL(response);
+	}
+	return { status, items, complete: next === undefined };
+};
+
 // ----------------------------------------------------------------------------
-// queries
+// zon
 
-// snake case and null to keep consistency with db
+// https://github.com/ziglang/zig/blob/a931bfada5e358ace980b2f8fbc50ce424ced526/doc/build.zig.zon.md
+// zon is a subset of zig's expression syntax, so the lexer follows
+// lib/std/zig/tokenizer.zig for the parts a build.zig.zon can contain
 
 /**
- * @typedef {Object} Repo
- * @property {number} id
- * @property {string} full_name
- * @property {string} platform
- * @property {string} name
- * @property {string} default_branch
- * @property {string} owner
- * @property {number} created_at
- * @property {number} updated_at
- * @property {number} pushed_at
- * @property {string | null} description
- * @property {string | null} homepage
- * @property {string | null} license
- * @property {string | null} language
- * @property {number} stars
- * @property {number} forks
- * @property {boolean} is_fork
- * @property {boolean} is_archived
+ * @typedef {Object} ZonToken
+ * @property {'.' | '{' | '}' | '=' | ',' | '-' | 'identifier' | 'string' | 'multiline_string' | 'char' | 'number' | 'eof'} type
+ * @property {string | number | bigint | null} value
+ * @property {number} line
+ * @property {number} column
  */
 
-/**
- * @typedef {Object} RepoBuildZig
- * @property {number} repo_id
- * @property {string | null} build_zig_content
- * @property {string | null} build_zig_zon_content
- * @property {number} fetched_at
- */
+export class ZonError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {number} line - 1-based
+	 * @param {number} column - 1-based
+	 */
+	constructor(message, line, column) {
+		super(`${message} at line ${line}, column ${column}`);
+		this.name = "ZonError";
+		this.line = line;
+		this.column = column;
+	}
+}
 
 /**
- * @typedef {Object} RepoZon
- * @property {number} repo_id
- * @property {string} name
- * @property {string} version
- * @property {string | null} minimum_zig_version
- * @property {string[]} paths
+ * The zon parsed fine, but it isn't shaped like a build.zig.zon.
  */
+export class ZonSchemaError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} field - dotted path, e.g. `dependencies.clap.url`
+	 */
+	constructor(message, field) {
+		super(`.${field}: ${message}`);
+		this.name = "ZonSchemaError";
+		this.field = field;
+	}
+}
 
 /**
- * @typedef {Object} RepoDependency
- * @property {string} name
- * @property {string} dependency_type
- * @property {string | null} path
- * @property {string | null} url_dependency_hash
+ * Integers outside of the safe range (e.g. `.fingerprint`) come back as
+ * bigint so no precision is lost.
+ *
+ * @param {string} digits - prefixed integer literal, underscores removed
+ * @returns {number | bigint}
  */
+const toZonInt = (digits) => {
+	const n = BigInt(digits);
+	const isSafe =
+		n <= BigInt(Number.MAX_SAFE_INTEGER) &&
+		n >= BigInt(Number.MIN_SAFE_INTEGER);
+	return isSafe ? Number(n) : n;
+};
 
 /**
- * @typedef {Object} UrlDependency
- * @property {string} hash
- * @property {string} name
- * @property {string} url
+ * @param {string} zon - raw zig struct (build.zig.zon)
+ * @returns {ZonToken[]}
  */
+export const tokenizeZon = (zon) => {
+	/** @type {ZonToken[]} */
+	const tokens = [];
+	let i = 0;
+	let line = 1;
+	let column = 1;
+
+	/** @param {number} n */
+	const advance = (n) => {
+		for (let k = 0; k < n; k++) {
+			if (zon[i] === "\n") {
+				line++;
+				column = 1;
+			} else {
+				column++;
+			}
+			i++;
+		}
+	};
+
+	/**
+	 * Reads one escape sequence starting at the backslash.
+	 * @returns {string}
+	 */
+	const readEscape = () => {
+		const escLine = line;
+		const escColumn = column;
+		const c = zon[i + 1];
+		const simple = { n: "\n", r: "\r", t: "\t", "\\": "\\", "'": "'", '"': '"' };
+		if (c in simple) {
+			advance(2);
+			return simple[c];
+		}
+		if (c === "x") {
+			const hex = zon.slice(i + 2, i + 4);
+			if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+				throw new ZonError("invalid \\x escape", escLine, escColumn);
+			}
+			advance(4);
+			return String.fromCharCode(parseInt(hex, 16));
+		}
+		if (c === "u") {
+			const match = zon.slice(i + 2).match(/^\{([0-9a-fA-F]{1,6})\}/);
+			const codepoint = match ? parseInt(match[1], 16) : NaN;
+			if (!match || codepoint > 0x10ffff) {
+				throw new ZonError("invalid \\u escape", escLine, escColumn);
+			}
+			advance(2 + match[0].length);
+			return String.fromCodePoint(codepoint);
+		}
+		throw new ZonError(`invalid escape sequence '\\${c}'`, escLine, escColumn);
+	};
+
+	/**
+	 * @param {string} quote - `"` or `'`
+	 * @returns {string}
+	 */
+	const readQuoted = (quote) => {
+		const startLine = line;
+		const startColumn = column;
+		advance(1);
+		let out = "";
+		while (true) {
+			const c = zon[i];
+			// a backslash at the end of the line or input escapes nothing
+			const next = c === "\\" ? zon[i + 1] : c;
+			if (next === undefined || next === "\n") {
+				const kind = quote === '"' ? "string" : "character";
+				throw new ZonError(
+					`unterminated ${kind} literal`,
+					startLine,
+					startColumn,
+				);
+			}
+			if (c === quote) {
+				advance(1);
+				return out;
+			}
+			if (c === "\\") {
+				out += readEscape();
+				continue;
+			}
+			out += c;
+			advance(1);
+		}
+	};
+
+	while (i < zon.length) {
+		const c = zon[i];
+		const tokLine = line;
+		const tokColumn = column;
+		/**
+		 * @param {ZonToken['type']} type
+		 * @param {ZonToken['value']} [value]
+		 */
+		const push = (type, value = null) =>
+			tokens.push({ type, value, line: tokLine, column: tokColumn });
+
+		if (c === " " || c === "\t" || c === "\r" || c === "\n") {
+			advance(1);
+		} else if (c === "/" && zon[i + 1] === "/") {
+			// comments, including doc comments, run to the end of the line
+			while (i < zon.length && zon[i] !== "\n") advance(1);
+		} else if (c === "\\" && zon[i + 1] === "\\") {
+			advance(2);
+			let text = "";
+			while (i < zon.length && zon[i] !== "\n") {
+				text += zon[i];
+				advance(1);
+			}
+			push("multiline_string", text.replace(/\r$/, ""));
+		} else if ("{}=,-".includes(c)) {
+			advance(1);
+			push(/** @type {ZonToken['type']} */ (c));
+		} else if (c === ".") {
+			advance(1);
+			push(".");
+		} else if (c === '"') {
+			push("string", readQuoted('"'));
+		} else if (c === "'") {
+			const text = readQuoted("'");
+			const codepoint = text.codePointAt(0);
+			if (codepoint === undefined || String.fromCodePoint(codepoint) !== text) {
+				throw new ZonError("invalid character literal", tokLine, tokColumn);
+			}
+			push("char", codepoint);
+		} else if (c === "@" && zon[i + 1] === '"') {
+			advance(1);
+			push("identifier", readQuoted('"'));
+		} else if (/[A-Za-z_]/.test(c)) {
+			const word = zon.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)?.[0] ?? c;
+			advance(word.length);
+			push("identifier", word);
+		} else if (/[0-9]/.test(c)) {
+			const literal =
+				zon
+					.slice(i)
+					.match(
+						/^(0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[0-9][0-9_]*(\.[0-9][0-9_]*)?([eE][-+]?[0-9_]+)?)/,
+					)?.[0] ?? c;
+			const next = zon[i + literal.length];
+			if (next !== undefined && /[A-Za-z0-9_.]/.test(next)) {
+				throw new ZonError("invalid number literal", tokLine, tokColumn);
+			}
+			advance(literal.length);
+			const digits = literal.replace(/_/g, "");
+			const isFloat = !/^0[xob]/.test(digits) && /[.eE]/.test(digits);
+			push("number", isFloat ? Number(digits) : toZonInt(digits));
+		} else {
+			throw new ZonError(`unexpected character '${c}'`, tokLine, tokColumn);
+		}
+	}
+	tokens.push({ type: "eof", value: null, line, column });
+	return tokens;
+};
 
 /**
- * @param {Database} conn
- * @returns {void}
+ * Parses build.zig.zon into a plain object. Structs become objects, tuples
+ * become arrays, enum literals (`.foo`) become strings, char literals become
+ * their codepoint, `.{}` is an empty object.
+ *
+ * @param {string} zon - raw zig struct (build.zig.zon)
+ * @returns {any}
+ * @throws {ZonError}
  */
-export const initDB = (conn) => {
-	conn.exec(`PRAGMA journal_mode = WAL;`);
-	conn.exec(`
-	CREATE TABLE IF NOT EXISTS repos (
-		id INTEGER PRIMARY KEY AUTOINCREMENT,
-		full_name TEXT NOT NULL,
-		platform TEXT NOT NULL,
-		name TEXT,
-		default_branch TEXT,
-		owner TEXT,
-		created_at INTEGER,
-		updated_at INTEGER,
-		pushed_at INTEGER,
-		description TEXT NULL,
-		homepage TEXT NULL,
-		license TEXT NULL,
-		language TEXT NULL,
-		stars INTEGER,
-		forks INTEGER,
-		is_fork BOOLEAN,
-		is_archived BOOLEAN,
-		UNIQUE (platform, full_name)
-	);`);
-	conn.exec(`
-	CREATE TABLE IF NOT EXISTS repo_zon (
-		repo_id INTEGER NOT NULL,
-		name TEXT NOT NULL,
-		version TEXT NOT NULL,
-		minimum_zig_version TEXT NULL,
-		paths TEXT NOT NULL,
-		FOREIGN KEY (repo_id) REFERENCES repos(id) 
-			ON DELETE CASCADE, 
-		UNIQUE(repo_id, name, version)
-	);`);
-	conn.exec(`
-	CREATE TABLE IF NOT EXISTS repo_build_zig (
-		id INTEGER PRIMARY KEY AUTOINCREMENT,
-		repo_id INTEGER NOT NULL,
-		build_zig_content TEXT NULL,
-		build_zig_zon_content TEXT NULL,
-		fetched_at INTEGER NULL,
-		FOREIGN KEY (repo_id) REFERENCES repos(id) 
-			ON DELETE CASCADE, 
-		UNIQUE(repo_id)
-	);`);
-	conn.exec(`
-	CREATE TABLE IF NOT EXISTS url_dependencies (
-		hash TEXT PRIMARY KEY,
-		name TEXT NOT NULL,
-		url TEXT NOT NULL
-	);`);
-	conn.exec(`
-	CREATE TABLE IF NOT EXISTS repo_dependencies (
-		id INTEGER PRIMARY KEY AUTOINCREMENT,
-		repo_id INTEGER NOT NULL,
-		name TEXT NOT NULL,
-		dependency_type TEXT CHECK(dependency_type IN ('url', 'path')) NOT NULL,
-		path TEXT,
-		url_dependency_hash TEXT,
-		FOREIGN KEY (repo_id) REFERENCES repos(id) 
-			ON DELETE CASCADE,
-		FOREIGN KEY (url_dependency_hash) REFERENCES url_dependencies (hash),
-		UNIQUE(repo_id, name, dependency_type, path),
-		UNIQUE(repo_id, name, dependency_type, url_dependency_hash)
-	);`);
-	conn.exec(
-		`CREATE INDEX IF NOT EXISTS idx_repos_created_at ON repos (created_at DESC);`,
-	);
-	conn.exec(`CREATE INDEX IF NOT EXISTS idx_repos_forks ON repos (forks);`);
-	conn.exec(
-		`CREATE INDEX IF NOT EXISTS idx_repo_zon_repo_id ON repo_zon (repo_id);`,
-	);
-	conn.exec(
-		`CREATE UNIQUE INDEX IF NOT EXISTS idx_repo_build_zig_repo_id ON repo_build_zig (repo_id);`,
-	);
-	conn.exec(
-		`CREATE INDEX IF NOT EXISTS idx_repo_dependencies_repo_id ON repo_dependencies (repo_id);`,
-	);
-	conn.exec(`
-		CREATE INDEX IF NOT EXISTS idx_repos_fullname_nozigbee ON repos(full_name)
-		WHERE full_name NOT LIKE '%zigbee%' COLLATE NOCASE;
-	`);
-	conn.exec(`
-		CREATE INDEX IF NOT EXISTS idx_repos_description_zigbee ON repos(description)
-		WHERE description NOT LIKE '%zigbee%' COLLATE NOCASE;
-	`);
-};
+export const parseZon = (zon) => {
+	const tokens = tokenizeZon(zon);
+	let pos = 0;
 
-// putting these here so i can test them
+	const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
 
-export const serverHomeQuery = `
-SELECT 
-	r.*,
-	rz.minimum_zig_version,
-	CASE WHEN rbz.build_zig_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_exists,
-	CASE WHEN rbz.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
-	GROUP_CONCAT(rd.name) AS dependencies
-FROM repos r
-LEFT JOIN repo_zon rz ON r.id = rz.repo_id
-LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
-LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
-WHERE r.stars >= 10 AND r.forks >= 10
-	AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
-	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
-GROUP BY r.id
-ORDER BY r.pushed_at DESC
-LIMIT ? OFFSET ?;
-`;
+	/** @param {ZonToken} tok */
+	const describe = (tok) => {
+		if (tok.type === "eof") return "end of file";
+		if (tok.type === "identifier") return `identifier '${tok.value}'`;
+		if (tok.type.endsWith("string")) return "string literal";
+		if (tok.type === "number" || tok.type === "char") return "number";
+		return `'${tok.type}'`;
+	};
 
-export const serverNewQuery = `
-SELECT 
-	r.*,
-	rz.minimum_zig_version,
-	CASE WHEN rbz.build_zig_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_exists,
-	CASE WHEN rbz.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
-	GROUP_CONCAT(rd.name) AS dependencies
-FROM repos r
-LEFT JOIN repo_zon rz ON r.id = rz.repo_id
-LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
-LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
-WHERE r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
-	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
-GROUP BY r.id
-ORDER BY r.created_at DESC
-LIMIT ? OFFSET ?;
-`;
+	/**
+	 * @param {ZonToken['type']} type
+	 * @returns {ZonToken}
+	 */
+	const expect = (type) => {
+		const tok = peek();
+		if (tok.type !== type) {
+			throw new ZonError(
+				`expected '${type}', found ${describe(tok)}`,
+				tok.line,
+				tok.column,
+			);
+		}
+		pos++;
+		return tok;
+	};
 
-export const serverTopQuery = `
-SELECT 
-	r.*,
-	rz.minimum_zig_version,
-	CASE WHEN rbz.build_zig_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_exists,
-	CASE WHEN rbz.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
-	GROUP_CONCAT(rd.name) AS dependencies
-FROM repos r
-LEFT JOIN repo_zon rz ON r.id = rz.repo_id
-LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
-LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
-WHERE r.forks >= 10
-	AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
-	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
-GROUP BY r.id
-ORDER BY r.stars DESC
-LIMIT ? OFFSET ?;
-`;
+	/** @returns {any} */
+	const parseInit = () => {
+		expect("{");
+		if (peek().type === "}") {
+			pos++;
+			return {};
+		}
+		const isStruct =
+			peek().type === "." &&
+			peek(1).type === "identifier" &&
+			peek(2).type === "=";
+		/** @type {Array<[string, any]>} */
+		const fields = [];
+		/** @type {any[]} */
+		const items = [];
+		while (peek().type !== "}") {
+			if (isStruct) {
+				expect(".");
+				const nameTok = expect("identifier");
+				const name = /** @type {string} */ (nameTok.value);
+				if (fields.some(([key]) => key === name)) {
+					throw new ZonError(
+						`duplicate field '${name}'`,
+						nameTok.line,
+						nameTok.column,
+					);
+				}
+				expect("=");
+				fields.push([name, parseValue()]);
+			} else {
+				items.push(parseValue());
+			}
+			if (peek().type !== ",") break;
+			pos++;
+		}
+		expect("}");
+		// fromEntries so a field named __proto__ stays a plain field
+		return isStruct ? Object.fromEntries(fields) : items;
+	};
 
-export const serverSearchQuery = `
-SELECT 
-	r.*,
-	rz.minimum_zig_version,
-	CASE WHEN rbz.build_zig_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_exists,
-	CASE WHEN rbz.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
-	GROUP_CONCAT(rd.name) AS dependencies
-FROM repos_fts fts
-JOIN repos r ON fts.full_name = r.full_name
-LEFT JOIN repo_zon rz ON r.id = rz.repo_id
-LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
-LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
-WHERE repos_fts MATCH ?
-	AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
-	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
-GROUP BY r.id
-ORDER BY r.stars DESC
-LIMIT ? OFFSET ?;
-`;
+	/** @returns {any} */
+	const parseValue = () => {
+		const tok = peek();
+		switch (tok.type) {
+			case ".": {
+				const next = peek(1);
+				if (next.type === "{") {
+					pos++;
+					return parseInit();
+				}
+				if (next.type === "identifier") {
+					pos += 2;
+					return next.value;
+				}
+				throw new ZonError(
+					`expected '{' or enum literal, found ${describe(next)}`,
+					next.line,
+					next.column,
+				);
+			}
+			case "string":
+			case "char":
+			case "number":
+				pos++;
+				return tok.value;
+			case "multiline_string": {
+				const lines = [];
+				while (peek().type === "multiline_string") {
+					lines.push(peek().value);
+					pos++;
+				}
+				return lines.join("\n");
+			}
+			case "-": {
+				const next = peek(1);
+				if (next.type === "number") {
+					pos += 2;
+					return -(/** @type {number} */ (next.value));
+				}
+				if (next.type === "identifier" && next.value === "inf") {
+					pos += 2;
+					return -Infinity;
+				}
+				throw new ZonError(
+					`expected number after '-', found ${describe(next)}`,
+					next.line,
+					next.column,
+				);
+			}
+			case "identifier": {
+				const literals = {
+					true: true,
+					false: false,
+					null: null,
+					inf: Infinity,
+					nan: NaN,
+				};
+				if (
+					typeof tok.value === "string" &&
+					Object.hasOwn(literals, tok.value)
+				) {
+					pos++;
+					return literals[tok.value];
+				}
+				break;
+			}
+		}
+		throw new ZonError(
+			`expected value, found ${describe(tok)}`,
+			tok.line,
+			tok.column,
+		);
+	};
 
-export const serverDependencyQuery = `
-SELECT
-	r.full_name AS full_name,
-	r.platform,
-	json_group_array(
-		json_object(
-			'name', rd.name,
-			'path', rd.path,
-			'dependency_type', rd.dependency_type,
-			'url_dependency_hash', rd.url_dependency_hash,
-			'url', ud.url 
-		)
-	) AS dependencies
-FROM repos AS r
-INNER JOIN repo_dependencies AS rd
-	ON r.id = rd.repo_id
-LEFT JOIN url_dependencies AS ud
-	ON rd.url_dependency_hash = ud.hash
-GROUP BY r.full_name, r.platform
-HAVING COUNT(rd.id) > 0;
-`;
+	const value = parseValue();
+	const rest = peek();
+	if (rest.type !== "eof") {
+		throw new ZonError(
+			`expected end of file, found ${describe(rest)}`,
+			rest.line,
+			rest.column,
+		);
+	}
+	return value;
+};
 
 // ----------------------------------------------------------------------------
-// extractors
+// build.zig
+
+// build.zig is regular zig code, we don't evaluate it, the analysis only
+// looks at std.Build calls whose interesting arguments are string literals
 
 /**
- * @param {any} data
- * @returns {Repo}
+ * @typedef {'executable' | 'static_library' | 'shared_library' | 'test'} ArtifactKind
  */
-const extractGithub = (data) => ({
-	id: data.id,
-	full_name: data.full_name,
-	platform: "github",
-	name: data.name,
-	default_branch: data.default_branch,
-	owner: data.owner.login,
-	created_at: dateToUnix(data.created_at),
-	updated_at: dateToUnix(data.updated_at),
-	pushed_at: dateToUnix(data.pushed_at),
-	description: data.description ?? null,
-	homepage: data.homepage ?? null,
-	license: data.license?.spdx_id ?? null,
-	language: data.language ?? null,
-	stars: data.stargazers_count,
-	forks: data.forks_count,
-	is_fork: data.fork,
-	is_archived: data.archived,
-});
 
 /**
- * @param {any} data
- * @returns {Repo}
+ * @typedef {'c' | 'cpp' | 'objc' | 'objcpp'} CSourceLanguage
  */
-const extractCodeberg = (data) => ({
-	id: data.id,
-	full_name: data.full_name,
-	platform: "codeberg",
-	name: data.name,
-	default_branch: data.default_branch,
-	owner: data.owner.login,
-	created_at: dateToUnix(data.created_at),
-	updated_at: dateToUnix(data.updated_at),
-	pushed_at: dateToUnix(data.updated_at),
-	description: data.description ?? null,
-	homepage: data.homepage ?? null,
-	license: data.license?.spdx_id ?? null,
-	language: data.language ?? null,
-	stars: data.stars_count,
-	forks: data.forks_count,
-	is_fork: data.fork,
-	is_archived: data.archived,
-});
 
-const repoExtractors = {
-	github: extractGithub,
-	codeberg: extractCodeberg,
-};
+/**
+ * @typedef {Object} BuildZigAnalysis
+ * @property {string[]} modules - names passed to b.addModule
+ * @property {{kind: ArtifactKind, name: string | null}[]} artifacts
+ * @property {{name: string, type: string, description: string}[]} options
+ * @property {{name: string, description: string}[]} steps
+ * @property {string[]} system_libraries - names passed to linkSystemLibrary
+ * @property {boolean} links_libc
+ * @property {boolean} links_libcpp
+ * @property {boolean} has_c_sources - addCSourceFile(s) is called at all
+ * @property {{path: string, language: CSourceLanguage}[]} c_sources - the
+ *   literal paths among them, lists built at comptime aren't visible
+ */
 
 /**
- * @param {Object.<string, any>} dependencies
- * @returns {{urlDeps: UrlDependency[], deps: RepoDependency[]}}
+ * Index right after the string or char literal starting at `start`.
+ *
+ * @param {string} src
+ * @param {number} start
+ * @returns {number}
  */
-const transformDependencies = (dependencies) => {
-	const urlDeps = [];
-	const deps = [];
-	Object.entries(dependencies).forEach(([name, dep]) => {
-		if ("url" in dep && "hash" in dep) {
-			deps.push({
-				name: name,
-				dependency_type: "url",
-				path: null,
-				url_dependency_hash: dep.hash,
-			});
-			urlDeps.push({
-				name: name,
-				url: dep.url,
-				hash: dep.hash,
-			});
-		} else if ("path" in dep) {
-			deps.push({
-				name: name,
-				dependency_type: "path",
-				path: dep.path,
-				url_dependency_hash: null,
-			});
-		}
-	});
-	return { urlDeps, deps };
+const skipZigLiteral = (src, start) => {
+	const quote = src[start];
+	let i = start + 1;
+	while (i < src.length && src[i] !== quote && src[i] !== "\n") {
+		if (src[i] === "\\") i++;
+		i++;
+	}
+	return i + 1;
 };
 
-// ----------------------------------------------------------------------------
-// url stuffs
-
 /**
- * @param {string} filename
- * @returns {(repo: RepoName) => string}
+ * Removes comments, string literals are kept intact so `//` inside a string
+ * is not mistaken for a comment.
+ *
+ * @param {string} src - zig source
+ * @returns {string}
  */
-const getBuildZigURL = (filename) => (repo) => {
-	if (repo.platform === "github") {
-		return `https://raw.githubusercontent.com/${repo.full_name}/${repo.default_branch}/${filename}`;
-	} else if (repo.platform === "codeberg") {
-		return `https://codeberg.org/${repo.full_name}/raw/branch/${repo.default_branch}/${filename}`;
+const stripZigComments = (src) => {
+	let out = "";
+	let i = 0;
+	while (i < src.length) {
+		const c = src[i];
+		if (c === '"' || c === "'") {
+			const end = skipZigLiteral(src, i);
+			out += src.slice(i, end);
+			i = end;
+		} else if (c === "\\" && src[i + 1] === "\\") {
+			// multiline string line, runs to the end of the line
+			const end = src.indexOf("\n", i);
+			out += src.slice(i, end === -1 ? src.length : end);
+			i = end === -1 ? src.length : end;
+		} else if (c === "/" && src[i + 1] === "/") {
+			while (i < src.length && src[i] !== "\n") i++;
+		} else {
+			out += c;
+			i++;
+		}
 	}
-	fatal(`getBuildZigURL - invalid platform ${repo.platform}`);
-	return ""; // unreachable
+	return out;
 };
 
-const getZigURL = getBuildZigURL("build.zig");
-const getZonURL = getBuildZigURL("build.zig.zon");
-
 /**
- * @param {'github' | 'codeberg'} platform
- * @returns {string}
+ * @param {string} src - zig source without comments
+ * @param {number} open - index of the opening parenthesis
+ * @returns {string} everything between the parentheses
  */
-const getTopRepoURL = (platform) => {
-	if (platform === "github") {
-		const base = "https://api.github.com/search/repositories";
-		const query = "language:zig";
-		return `${base}?q=${encodeURIComponent(query)}&per_page=100&page=1`;
-	} else if (platform === "codeberg") {
-		const base = "https://codeberg.org/api/v1/repos/search";
-		const query = "zig";
-		return `${base}?q=${encodeURIComponent(query)}&includeDesc=true&page=1&limit=50`;
+const readCallArgs = (src, open) => {
+	let depth = 0;
+	let i = open;
+	while (i < src.length) {
+		const c = src[i];
+		if (c === '"' || c === "'") {
+			i = skipZigLiteral(src, i);
+			continue;
+		}
+		if (c === "(") depth++;
+		if (c === ")" && --depth === 0) break;
+		i++;
 	}
-	fatal(`getRepoURL - invalid platform ${platform}`);
-	return ""; // unreachable
+	return src.slice(open + 1, i);
 };
 
 /**
- * the date range is used to fetch all repos from github, it's hardcoded
- * to make sure the query returns <1k items per url
+ * @param {string} content - build.zig
+ * @returns {BuildZigAnalysis}
  */
-const createDateGenerator = () => {
-	/**
-	 * @param {Date} date
-	 * @param {number} months
-	 * @returns {Date}
-	 */
-	const addMonths = (date, months) => {
-		const newDate = new Date(date);
-		newDate.setMonth(newDate.getMonth() + months);
-		return newDate;
+export const analyzeBuildZig = (content) => {
+	const src = stripZigComments(content);
+	/** @type {BuildZigAnalysis} */
+	const analysis = {
+		modules: [],
+		artifacts: [],
+		options: [],
+		steps: [],
+		system_libraries: [],
+		// zig 0.14 modules take these as options instead of method calls
+		links_libc: /\.link_libc\s*=\s*true/.test(src),
+		links_libcpp: /\.link_libcpp\s*=\s*true/.test(src),
+		has_c_sources: false,
+		c_sources: [],
 	};
+	/** @type {Record<string, CSourceLanguage>} */
+	const languages = {
+		c: "c",
+		cc: "cpp",
+		cpp: "cpp",
+		cxx: "cpp",
+		"c++": "cpp",
+		m: "objc",
+		mm: "objcpp",
+	};
+	const callRegex =
+		/\.\s*(addModule|addExecutable|addStaticLibrary|addSharedLibrary|addLibrary|addTest|option|step|linkSystemLibrary2?|linkLibC|linkLibCpp|addCSourceFiles?)\s*\(/g;
+	const str = '"((?:[^"\\\\]|\\\\.)*)"';
 
-	// first index: zig init date,
-	// commit 8e08cf4bec80b87a7a22a18086a3db5c2c0f1772
-	const dates = [
-		new Date("2015-07-04"),
-		new Date("2017-09-02"),
-		new Date("2019-02-09"),
-		new Date("2020-01-11"),
-		new Date("2020-08-22"),
-		new Date("2021-02-27"),
-		new Date("2021-07-31"),
-		new Date("2021-12-18"),
-		new Date("2022-04-16"),
-		new Date("2022-07-30"),
-		new Date("2022-11-19"),
-		new Date("2023-02-25"),
-		new Date("2023-05-20"),
-		new Date("2023-07-29"),
-		new Date("2023-09-30"),
-		new Date("2023-12-02"),
-		new Date("2024-01-20"),
-		new Date("2024-03-16"),
-		new Date("2024-05-04"),
-	];
-
-	let index = 0;
-	let monthsAfterLast = 0;
-
-	return function* () {
-		while (true) {
-			let start, end;
-			if (index < dates.length - 1) {
-				start = dates[index];
-				end = dates[index + 1];
-				index++;
-			} else {
-				start = addMonths(dates[dates.length - 1], monthsAfterLast);
-				end = addMonths(dates[dates.length - 1], monthsAfterLast + 1);
-				monthsAfterLast++;
-				if (end > new Date()) {
-					index = 0;
-					monthsAfterLast = 0;
-				}
+	for (const match of src.matchAll(callRegex)) {
+		const fn = match[1];
+		const args = readCallArgs(src, (match.index ?? 0) + match[0].length - 1);
+		if (fn === "addModule") {
+			const moduleName = args.match(new RegExp(`^\\s*${str}`))?.[1];
+			if (moduleName && !analysis.modules.includes(moduleName)) {
+				analysis.modules.push(moduleName);
 			}
-			yield { start, end };
+		} else if (fn === "option") {
+			const option = args.match(
+				new RegExp(`^\\s*([^,]+?)\\s*,\\s*${str}\\s*,\\s*${str}`),
+			);
+			if (option && !analysis.options.some((o) => o.name === option[2])) {
+				analysis.options.push({
+					name: option[2],
+					type: option[1],
+					description: option[3],
+				});
+			}
+		} else if (fn === "step") {
+			const step = args.match(new RegExp(`^\\s*${str}\\s*,\\s*${str}`));
+			if (step && !analysis.steps.some((s) => s.name === step[1])) {
+				analysis.steps.push({ name: step[1], description: step[2] });
+			}
+		} else if (fn.startsWith("linkSystemLibrary")) {
+			const lib = args.match(new RegExp(`^\\s*${str}`))?.[1];
+			// linkSystemLibrary("c") is the old spelling of linkLibC()
+			if (lib === "c") analysis.links_libc = true;
+			else if (lib === "c++") analysis.links_libcpp = true;
+			else if (lib && !analysis.system_libraries.includes(lib)) {
+				analysis.system_libraries.push(lib);
+			}
+		} else if (fn === "linkLibC") {
+			analysis.links_libc = true;
+		} else if (fn === "linkLibCpp") {
+			analysis.links_libcpp = true;
+		} else if (fn.startsWith("addCSourceFile")) {
+			analysis.has_c_sources = true;
+			for (const [, path] of args.matchAll(new RegExp(str, "g"))) {
+				const ext = path.match(/\.([A-Za-z+]+)$/)?.[1].toLowerCase() ?? "";
+				const language = languages[ext];
+				const exists = analysis.c_sources.some((c) => c.path === path);
+				if (language && !exists) analysis.c_sources.push({ path, language });
+			}
+		} else {
+			/** @type {ArtifactKind} */
+			let kind = "test";
+			if (fn === "addExecutable") kind = "executable";
+			if (fn === "addStaticLibrary") kind = "static_library";
+			if (fn === "addSharedLibrary") kind = "shared_library";
+			if (fn === "addLibrary") {
+				// zig 0.14, .linkage defaults to static
+				kind = /\.linkage\s*=\s*\.dynamic/.test(args)
+					? "shared_library"
+					: "static_library";
+			}
+			const name =
+				args.match(new RegExp(`\\.name\\s*=\\s*${str}`))?.[1] ?? null;
+			const exists = analysis.artifacts.some(
+				(a) => a.kind === kind && a.name === name,
+			);
+			if (!exists) analysis.artifacts.push({ kind, name });
 		}
-	};
+	}
+	return analysis;
 };
 
-const dateGenerator = createDateGenerator();
+/**
+ * Nothing to install besides zig: no libc, no system libraries, no C/C++.
+ *
+ * @param {BuildZigAnalysis} analysis
+ * @returns {boolean}
+ */
+export const isPureZig = (analysis) =>
+	!analysis.links_libc &&
+	!analysis.links_libcpp &&
+	!analysis.has_c_sources &&
+	analysis.system_libraries.length === 0;
 
 /**
- * @param {'github' | 'codeberg'} platform
- * @returns {string}
+ * A repo exporting a module or building a library is a library, one building
+ * an executable is an application, tests don't count either way.
+ *
+ * @param {BuildZigAnalysis} analysis
+ * @returns {'library' | 'application' | 'both' | null}
  */
-const getAllRepoURL = (platform) => {
-	/**
-	 * Some queries are done where it's between two dates, GitHub only returns
-	 * 1000 items for a query, this between two date condition makes it possible
+export const classifyBuild = (analysis) => {
+	const isLibrary =
+		analysis.modules.length > 0 ||
+		analysis.artifacts.some(
+			(a) => a.kind === "static_library" || a.kind === "shared_library",
+		);
+	const isApplication = analysis.artifacts.some((a) => a.kind === "executable");
+	if (isLibrary && isApplication) return "both";
+	if (isLibrary) return "library";
+	if (isApplication) return "application";
+	return null;
+};
+
+// ----------------------------------------------------------------------------
+// zigmod and gyro
+
+// package managers from before build.zig.zon, neither format needs a full
+// parser: only the dependency lists are read
+// https://github.com/nektro/zigmod/blob/master/docs/zig.mod.md
+// https://github.com/mattnite/gyro#gyrozzz
+
+/**
+ * @typedef {Object} ZigmodLockEntry
+ * @property {string} type - git, hg, http, ...
+ * @property {string} path
+ * @property {string} version
+ */
+
+/**
+ * @typedef {Object} ZigmodDependency
+ * @property {string} src - `<type> <path>`, e.g. `git https://github.com/x/y`
+ * @property {string} [name]
+ * @property {string} [version]
+ */
+
+export class ManifestError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} file - e.g. `zigmod.yml`
+	 * @param {number} line - 1-based
+	 */
+	constructor(message, file, line) {
+		super(`${file}: ${message} at line ${line}`);
+		this.name = "ManifestError";
+		this.file = file;
+		this.line = line;
+	}
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const unquote = (value) => {
+	const quoted = value.match(/^"(.*)"$/) ?? value.match(/^'(.*)'$/);
+	return quoted ? quoted[1] : value;
+};
+
+/**
+ * @param {string} line
+ * @returns {string} line without a trailing `# comment`
+ */
+const stripHashComment = (line) => line.replace(/(^|\s)#.*$/, "").trimEnd();
+
+/**
+ * The subset of yaml zigmod.yml uses: top-level scalars and top-level lists
+ * of flat maps. Keys nested deeper (inline packages, `only_os`) are skipped.
+ *
+ * @param {string} content - raw zigmod.yml
+ * @returns {Object.<string, string | (string | Object.<string, string>)[]>}
+ * @throws {ManifestError}
+ */
+export const parseZigmodYml = (content) => {
+	/** @type {Object.<string, any>} */
+	const result = {};
+	/** @type {any[] | null} */
+	let list = null;
+	/** @type {Object.<string, string> | null} */
+	let item = null;
+	let dashIndent = -1;
+	let itemIndent = -1;
+
+	content.split(/\r?\n/).forEach((raw, i) => {
+		const line = stripHashComment(raw);
+		if (line.trim() === "" || line === "---") return;
+		const indent = line.length - line.trimStart().length;
+		const text = line.trim();
+
+		if (indent === 0) {
+			const pair = text.match(/^([\w-]+):(?:\s+(.*))?$/);
+			if (!pair) {
+				throw new ManifestError(
+					"expected `key: value`",
+					"zigmod.yml",
+					i + 1,
+				);
+			}
+			const [, key, value] = pair;
+			list = null;
+			item = null;
+			dashIndent = -1;
+			if (value === undefined) {
+				list = result[key] = [];
+			} else {
+				result[key] = value === "[]" ? [] : unquote(value);
+			}
+			return;
+		}
+		if (list === null) return;
+
+		const entry = text.match(/^-\s*(.*)$/);
+		if (entry) {
+			// a list nested in an item belongs to that item, not to us
+			if (dashIndent === -1) dashIndent = indent;
+			if (indent !== dashIndent) return;
+			itemIndent = indent + text.length - entry[1].length;
+			const pair = entry[1].match(/^([\w-]+):(?:\s+(.*))?$/);
+			if (pair) {
+				item = { [pair[1]]: unquote(pair[2] ?? "") };
+				list.push(item);
+			} else {
+				item = null;
+				list.push(unquote(entry[1]));
+			}
+			return;
+		}
+		if (item === null || indent !== itemIndent) return;
+		const pair = text.match(/^([\w-]+):(?:\s+(.*))?$/);
+		if (!pair) {
+			throw new ManifestError(
+				"expected `key: value`",
+				"zigmod.yml",
+				i + 1,
+			);
+		}
+		item[pair[1]] = unquote(pair[2] ?? "");
+	});
+	return result;
+};
+
+/**
+ * zigmod.lock pins every dependency, one `<type> <path> <version>` per line
+ * after the format version.
+ *
+ * @param {string} content - raw zigmod.lock
+ * @returns {ZigmodLockEntry[]}
+ * @throws {ManifestError}
+ */
+export const parseZigmodLock = (content) => {
+	const lines = content.split(/\r?\n/);
+	if (lines[0].trim() !== "2") {
+		throw new ManifestError("unsupported lock format", "zigmod.lock", 1);
+	}
+	/** @type {ZigmodLockEntry[]} */
+	const entries = [];
+	lines.slice(1).forEach((line, i) => {
+		if (line.trim() === "") return;
+		const [type, path, version] = line.trim().split(/\s+/);
+		if (!path || !version) {
+			throw new ManifestError(
+				"expected `type path version`",
+				"zigmod.lock",
+				i + 2,
+			);
+		}
+		entries.push({ type, path, version });
+	});
+	return entries;
+};
+
+/**
+ * zzz is an indentation based tree of `key: value` nodes. A node with
+ * children becomes an object, a leaf becomes its (unquoted) value. Only the
+ * first `: ` separates key and value so unquoted urls survive.
+ *
+ * @param {string} content - raw gyro.zzz
+ * @returns {Object.<string, any>}
+ * @throws {ManifestError}
+ */
+export const parseZzz = (content) => {
+	/** @typedef {{value: string, children: Map<string, ZzzNode>}} ZzzNode */
+	/** @type {ZzzNode} */
+	const root = { value: "", children: new Map() };
+	/** @type {{indent: number, node: ZzzNode}[]} */
+	const stack = [{ indent: -1, node: root }];
+
+	content.split(/\r?\n/).forEach((raw, i) => {
+		const line = stripHashComment(raw);
+		if (line.trim() === "") return;
+		const indent = line.length - line.trimStart().length;
+		const pair = line.trim().match(/^("[^"]*"|[^\s:]+):(?:\s+(.*))?$/);
+		if (!pair) {
+			throw new ManifestError(
+				"expected `key: value`",
+				"gyro.zzz",
+				i + 1,
+			);
+		}
+		while (stack[stack.length - 1].indent >= indent) stack.pop();
+		/** @type {ZzzNode} */
+		const node = { value: unquote(pair[2] ?? ""), children: new Map() };
+		stack[stack.length - 1].node.children.set(unquote(pair[1]), node);
+		stack.push({ indent, node });
+	});
+
+	/**
+	 * @param {ZzzNode} node
+	 * @returns {any}
+	 */
+	const toValue = (node) =>
+		node.children.size === 0
+			? node.value
+			: Object.fromEntries(
+					[...node.children].map(([key, child]) => [key, toValue(child)]),
+				);
+	return root.children.size === 0 ? {} : toValue(root);
+};
+
+// ----------------------------------------------------------------------------
+// queries
+
+// snake case and null to keep consistency with db
+
+/**
+ * @typedef {Object} Repo
+ * @property {number} id
+ * @property {string} full_name
+ * @property {string} platform
+ * @property {string} name
+ * @property {string} default_branch
+ * @property {string} owner
+ * @property {number} created_at
+ * @property {number} updated_at
+ * @property {number} pushed_at
+ * @property {string | null} description
+ * @property {string | null} homepage
+ * @property {string | null} license
+ * @property {string | null} language
+ * @property {number} stars
+ * @property {number} forks
+ * @property {boolean} is_fork
+ * @property {boolean} is_archived
+ */
+
+/**
+ * @typedef {Object} RepoBuildZig
+ * @property {number} repo_id
+ * @property {string | null} build_zig_content
+ * @property {string | null} build_zig_zon_content
+ * @property {string | null} zigmod_yml_content
+ * @property {string | null} zigmod_lock_content
+ * @property {string | null} gyro_zzz_content
+ * @property {number} fetched_at
+ */
+
+/**
+ * @typedef {Object} RepoZon
+ * @property {number} repo_id
+ * @property {string} name
+ * @property {string} version
+ * @property {string | null} minimum_zig_version
+ * @property {string[]} paths
+ * @property {string | null} fingerprint - hex, e.g. `0x9947018c924eecb2`
+ */
+
+/**
+ * Which manifest declared a dependency.
+ *
+ * @typedef {'zon' | 'zigmod' | 'gyro'} DependencySource
+ */
+
+/**
+ * @typedef {Object} RepoDependency
+ * @property {string} name
+ * @property {string} dependency_type
+ * @property {string | null} path
+ * @property {string | null} url_dependency_hash
+ * @property {boolean} lazy
+ * @property {DependencySource} source
+ */
+
+/**
+ * @typedef {Object} UrlDependency
+ * @property {string} hash
+ * @property {string} url
+ * @property {DependencySource} source
+ */
+
+/**
+ * Decoded `.hash` of a dependency. Before zig 0.14 it's a sha256 multihash
+ * (`1220` + 64 hex chars), after it's `$name-$semver-$hashplus`.
+ *
+ * @typedef {Object} PackageHash
+ * @property {'multihash' | 'package'} format
+ * @property {string | null} name
+ * @property {string | null} version
+ * @property {number | null} package_id - low 32 bits of the fingerprint
+ * @property {number | null} size - decompressed size in bytes, saturated
+ * @property {string} digest - hex, full sha256 or its first 25 bytes
+ */
+
+/**
+ * @typedef {Object} DependencyEvent
+ * @property {string} name
+ * @property {'added' | 'removed' | 'changed'} event
+ * @property {RepoDependency | null} before
+ * @property {RepoDependency | null} after
+ */
+
+/**
+ * A build.zig.zon below the repo root, e.g. a monorepo's `packages/foo`.
+ *
+ * @typedef {Object} RepoPackage
+ * @property {number} id
+ * @property {number} repo_id
+ * @property {string} path - directory of the build.zig.zon, no trailing slash
+ * @property {string} sha - git blob sha, content is refetched when it changes
+ */
+
+/**
+ * A dependency url taken apart. owner and repo are null when the url doesn't
+ * name a repo (a plain file download), ref when it doesn't name a revision.
+ *
+ * @typedef {Object} DependencyURL
+ * @property {string} host - github's download and api hosts are github.com
+ * @property {string | null} owner - gitlab subgroups included, `group/sub`
+ * @property {string | null} repo
+ * @property {string | null} ref
+ * @property {'tag' | 'branch' | 'commit' | null} ref_type - null when unknown
+ * @property {string | null} archive_format - `tar.gz`, `zip`, ..., `git`
+ */
+
+/**
+ * The indexable repo (and ref) a dependency url points at.
+ *
+ * @typedef {Object} DependencyTarget
+ * @property {'github' | 'codeberg'} platform
+ * @property {string} full_name
+ * @property {string | null} ref
+ * @property {'tag' | 'branch' | 'commit' | null} ref_type - null when unknown
+ */
+
+/**
+ * A tag, with the release published for it if there's one.
+ *
+ * @typedef {Object} RepoTag
+ * @property {string} tag
+ * @property {string} commit_sha
+ * @property {boolean} is_release
+ * @property {boolean} is_prerelease
+ * @property {number | null} released_at - github tags have no date of their own
+ */
+
+/**
+ * @typedef {Object} TreeEntry
+ * @property {string} path
+ * @property {string} type - blob, tree or commit
+ * @property {string} sha
+ */
+
+/**
+ * What we know about the repo a dependency url points at.
+ *
+ * @typedef {Object} Upstream
+ * @property {string | null} latest_tag
+ * @property {string | null} latest_tag_sha
+ * @property {string | null} head_sha - default branch
+ */
+
+/**
+ * @typedef {'latest' | 'outdated' | 'unknown'} UpstreamStatus
+ */
+
+/**
+ * A url dependency of one repo, nested package dependencies included. `node`
+ * identifies what it points at: `repo:<id>` once resolved to an indexed repo,
+ * the upstream key (`<host>/<owner>/<repo>`) for repos we don't index,
+ * `hash:<hash>` otherwise.
+ *
+ * @typedef {Object} DependencyEdge
+ * @property {number} dependent_id
+ * @property {number | null} repo_id
+ * @property {string} node
+ * @property {string} label
+ * @property {string} name - as written in the dependent's manifest
+ * @property {string} hash
+ * @property {string | null} ref
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} node
+ * @property {number | null} repo_id
+ * @property {string} label
+ * @property {number} depth - shortest distance from the root, direct deps are 1
+ * @property {number} parent_id - repo that pulls it in on that shortest path
+ */
+
+/**
+ * @typedef {Object} DiamondPin
+ * @property {string} hash
+ * @property {string | null} ref
+ * @property {number[]} dependent_ids
+ */
+
+/**
+ * A dependency reached through several paths, pinned at different hashes.
+ *
+ * @typedef {Object} Diamond
+ * @property {string} node
+ * @property {number | null} repo_id
+ * @property {string} label
+ * @property {DiamondPin[]} pins
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {GraphNode[]} nodes - the transitive closure, without the root
+ * @property {number} direct_count
+ * @property {number} depth
+ * @property {number[][]} cycles - repo ids, the first one repeated at the end
+ * @property {Diamond[]} diamonds
+ */
+
+/**
+ * sqlite has no ADD COLUMN IF NOT EXISTS, columns added after a table was
+ * first created go through here so existing dbs pick them up
+ *
+ * @param {Database} conn
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition
+ * @returns {boolean} whether the column was added
+ */
+const addColumn = (conn, table, column, definition) => {
+	const columns = conn.prepare(`PRAGMA table_info(${table});`).all();
+	if (columns.some((c) => c.name === column)) return false;
+	conn.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+	return true;
+};
+
+/**
+ * counterpart of addColumn for columns a newer schema no longer has
+ *
+ * @param {Database} conn
+ * @param {string} table
+ * @param {string} column
+ * @returns {boolean} whether the column was dropped
+ */
+const dropColumn = (conn, table, column) => {
+	const columns = conn.prepare(`PRAGMA table_info(${table});`).all();
+	if (!columns.some((c) => c.name === column)) return false;
+	conn.exec(`ALTER TABLE ${table} DROP COLUMN ${column};`);
+	return true;
+};
+
+/**
+ * @param {Database} conn
+ * @returns {void}
+ */
+export const initDB = (conn) => {
+	conn.exec(`PRAGMA journal_mode = WAL;`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repos (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		full_name TEXT NOT NULL,
+		platform TEXT NOT NULL,
+		name TEXT,
+		default_branch TEXT,
+		owner TEXT,
+		created_at INTEGER,
+		updated_at INTEGER,
+		pushed_at INTEGER,
+		description TEXT NULL,
+		homepage TEXT NULL,
+		license TEXT NULL,
+		language TEXT NULL,
+		stars INTEGER,
+		forks INTEGER,
+		is_fork BOOLEAN,
+		is_archived BOOLEAN,
+		UNIQUE (platform, full_name)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_zon (
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		version TEXT NOT NULL,
+		minimum_zig_version TEXT NULL,
+		paths TEXT NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id) 
+			ON DELETE CASCADE, 
+		UNIQUE(repo_id, name, version)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_zig (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		build_zig_content TEXT NULL,
+		build_zig_zon_content TEXT NULL,
+		fetched_at INTEGER NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id) 
+			ON DELETE CASCADE, 
+		UNIQUE(repo_id)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS url_dependencies (
+		hash TEXT PRIMARY KEY,
+		url TEXT NOT NULL
+	);`);
+	// url_dependencies.name held whichever local name was written last, the
+	// names repos give a hash live on the rows depending on it instead, see
+	// url_dependency_aliases
+	dropColumn(conn, "url_dependencies", "name");
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_dependencies (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		dependency_type TEXT CHECK(dependency_type IN ('url', 'path')) NOT NULL,
+		path TEXT,
+		url_dependency_hash TEXT,
+		FOREIGN KEY (repo_id) REFERENCES repos(id) 
+			ON DELETE CASCADE,
+		FOREIGN KEY (url_dependency_hash) REFERENCES url_dependencies (hash),
+		UNIQUE(repo_id, name, dependency_type, path),
+		UNIQUE(repo_id, name, dependency_type, url_dependency_hash)
+	);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repos_created_at ON repos (created_at DESC);`,
+	);
+	conn.exec(`CREATE INDEX IF NOT EXISTS idx_repos_forks ON repos (forks);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_zon_repo_id ON repo_zon (repo_id);`,
+	);
+	conn.exec(
+		`CREATE UNIQUE INDEX IF NOT EXISTS idx_repo_build_zig_repo_id ON repo_build_zig (repo_id);`,
+	);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_dependencies_repo_id ON repo_dependencies (repo_id);`,
+	);
+	conn.exec(`
+		CREATE INDEX IF NOT EXISTS idx_repos_fullname_nozigbee ON repos(full_name)
+		WHERE full_name NOT LIKE '%zigbee%' COLLATE NOCASE;
+	`);
+	conn.exec(`
+		CREATE INDEX IF NOT EXISTS idx_repos_description_zigbee ON repos(description)
+		WHERE description NOT LIKE '%zigbee%' COLLATE NOCASE;
+	`);
+
+	addColumn(
+		conn,
+		"repo_build_zig",
+		"parse_status",
+		"TEXT NULL CHECK(parse_status IN ('ok', 'parse_error', 'schema_error'))",
+	);
+	addColumn(conn, "repo_build_zig", "parse_error", "TEXT NULL");
+	addColumn(conn, "repo_build_zig", "processed_at", "INTEGER NULL");
+	addColumn(conn, "repo_build_zig", "processed_hash", "TEXT NULL");
+	addColumn(conn, "repo_zon", "fingerprint", "TEXT NULL");
+	addColumn(
+		conn,
+		"repo_dependencies",
+		"lazy",
+		"BOOLEAN NOT NULL DEFAULT 0",
+	);
+	addColumn(
+		conn,
+		"url_dependencies",
+		"hash_format",
+		"TEXT NULL CHECK(hash_format IN ('multihash', 'package'))",
+	);
+	addColumn(conn, "url_dependencies", "hash_name", "TEXT NULL");
+	addColumn(conn, "url_dependencies", "hash_version", "TEXT NULL");
+	addColumn(conn, "url_dependencies", "hash_package_id", "INTEGER NULL");
+	addColumn(conn, "url_dependencies", "hash_size", "INTEGER NULL");
+	addColumn(conn, "url_dependencies", "hash_digest", "TEXT NULL");
+
+	// repo_zon used to gain a row per .version bump, reprocess those repos so
+	// processBuildZig's reconciliation collapses them back into one row
+	conn.exec(`
+		UPDATE repo_build_zig
+		SET processed_at = NULL, processed_hash = NULL
+		WHERE repo_id IN (
+			SELECT repo_id FROM repo_zon GROUP BY repo_id HAVING COUNT(*) > 1
+		);
+	`);
+
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_dependency_events (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		event TEXT CHECK(event IN ('added', 'removed', 'changed')) NOT NULL,
+		old_dependency_type TEXT NULL,
+		old_path TEXT NULL,
+		old_url_dependency_hash TEXT NULL,
+		new_dependency_type TEXT NULL,
+		new_path TEXT NULL,
+		new_url_dependency_hash TEXT NULL,
+		created_at INTEGER NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE
+	);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_dependency_events_repo_id ON repo_dependency_events (repo_id, created_at DESC);`,
+	);
+
+	addColumn(
+		conn,
+		"repo_build_zig",
+		"build_kind",
+		"TEXT NULL CHECK(build_kind IN ('library', 'application', 'both'))",
+	);
+	addColumn(conn, "repo_build_zig", "analyzed_at", "INTEGER NULL");
+	addColumn(conn, "repo_build_zig", "analyzed_hash", "TEXT NULL");
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_modules (
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, name)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_artifacts (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		kind TEXT CHECK(kind IN ('executable', 'static_library', 'shared_library', 'test')) NOT NULL,
+		name TEXT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_options (
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		type TEXT NOT NULL,
+		description TEXT NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, name)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_steps (
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		description TEXT NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, name)
+	);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_build_artifacts_repo_id ON repo_build_artifacts (repo_id);`,
+	);
+
+	// build.zig files analyzed before these existed are analyzed again
+	const linkage = [
+		addColumn(conn, "repo_build_zig", "links_libc", "BOOLEAN NULL"),
+		addColumn(conn, "repo_build_zig", "links_libcpp", "BOOLEAN NULL"),
+		addColumn(conn, "repo_build_zig", "has_c_sources", "BOOLEAN NULL"),
+		addColumn(conn, "repo_build_zig", "pure_zig", "BOOLEAN NULL"),
+	];
+	if (linkage.some(Boolean)) {
+		conn.exec(
+			`UPDATE repo_build_zig SET analyzed_at = NULL, analyzed_hash = NULL;`,
+		);
+	}
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_system_libraries (
+		repo_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, name)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_build_c_sources (
+		repo_id INTEGER NOT NULL,
+		path TEXT NOT NULL,
+		language TEXT CHECK(language IN ('c', 'cpp', 'objc', 'objcpp')) NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, path)
+	);`);
+
+	addColumn(conn, "repo_build_zig", "zigmod_yml_content", "TEXT NULL");
+	addColumn(conn, "repo_build_zig", "zigmod_lock_content", "TEXT NULL");
+	addColumn(conn, "repo_build_zig", "gyro_zzz_content", "TEXT NULL");
+	const sourceColumn =
+		"TEXT NOT NULL DEFAULT 'zon' CHECK(source IN ('zon', 'zigmod', 'gyro'))";
+	addColumn(conn, "repo_dependencies", "source", sourceColumn);
+	addColumn(conn, "url_dependencies", "source", sourceColumn);
+	addColumn(conn, "repo_dependency_events", "source", sourceColumn);
+
+	addColumn(conn, "repo_build_zig", "tree_fetched_at", "INTEGER NULL");
+	addColumn(conn, "repo_dependencies", "linked_path", "TEXT NULL");
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_packages (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		path TEXT NOT NULL,
+		sha TEXT NOT NULL,
+		build_zig_zon_content TEXT NULL,
+		fetched_at INTEGER NULL,
+		name TEXT NULL,
+		version TEXT NULL,
+		minimum_zig_version TEXT NULL,
+		fingerprint TEXT NULL,
+		parse_status TEXT NULL CHECK(parse_status IN ('ok', 'parse_error', 'schema_error')),
+		parse_error TEXT NULL,
+		processed_at INTEGER NULL,
+		processed_hash TEXT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, path)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_package_dependencies (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		package_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		dependency_type TEXT CHECK(dependency_type IN ('url', 'path')) NOT NULL,
+		path TEXT,
+		url_dependency_hash TEXT,
+		lazy BOOLEAN NOT NULL DEFAULT 0,
+		linked_path TEXT NULL,
+		FOREIGN KEY (package_id) REFERENCES repo_packages(id)
+			ON DELETE CASCADE,
+		FOREIGN KEY (url_dependency_hash) REFERENCES url_dependencies (hash),
+		UNIQUE(package_id, name)
+	);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_package_dependencies_package_id ON repo_package_dependencies (package_id);`,
+	);
+
+	addColumn(conn, "repo_build_zig", "versions_fetched_at", "INTEGER NULL");
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_versions (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		tag TEXT NOT NULL,
+		commit_sha TEXT NOT NULL,
+		is_release BOOLEAN NOT NULL DEFAULT 0,
+		is_prerelease BOOLEAN NOT NULL DEFAULT 0,
+		released_at INTEGER NULL,
+		build_zig_zon_content TEXT NULL,
+		fetched_at INTEGER NULL,
+		version TEXT NULL,
+		minimum_zig_version TEXT NULL,
+		parse_status TEXT NULL CHECK(parse_status IN ('ok', 'parse_error', 'schema_error')),
+		parse_error TEXT NULL,
+		processed_at INTEGER NULL,
+		processed_hash TEXT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, tag)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_version_dependencies (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		version_id INTEGER NOT NULL,
+		name TEXT NOT NULL,
+		dependency_type TEXT CHECK(dependency_type IN ('url', 'path')) NOT NULL,
+		path TEXT,
+		url_dependency_hash TEXT,
+		lazy BOOLEAN NOT NULL DEFAULT 0,
+		FOREIGN KEY (version_id) REFERENCES repo_versions(id)
+			ON DELETE CASCADE,
+		FOREIGN KEY (url_dependency_hash) REFERENCES url_dependencies (hash),
+		UNIQUE(version_id, name)
+	);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_versions_repo_id ON repo_versions (repo_id, released_at DESC);`,
+	);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_version_dependencies_version_id ON repo_version_dependencies (version_id);`,
+	);
+
+	addColumn(conn, "url_dependencies", "target_platform", "TEXT NULL");
+	addColumn(conn, "url_dependencies", "target_full_name", "TEXT NULL");
+	addColumn(conn, "url_dependencies", "ref", "TEXT NULL");
+	addColumn(
+		conn,
+		"url_dependencies",
+		"ref_type",
+		"TEXT NULL CHECK(ref_type IN ('tag', 'branch', 'commit'))",
+	);
+	addColumn(conn, "url_dependencies", "repo_id", "INTEGER NULL");
+	addColumn(conn, "url_dependencies", "resolved_at", "INTEGER NULL");
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_url_dependencies_repo_id ON url_dependencies (repo_id);`,
+	);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_dependencies_url_dependency_hash ON repo_dependencies (url_dependency_hash);`,
+	);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_package_dependencies_url_dependency_hash ON repo_package_dependencies (url_dependency_hash);`,
+	);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repos_full_name_nocase ON repos (platform, full_name COLLATE NOCASE);`,
+	);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repos_owner_nocase ON repos (platform, owner COLLATE NOCASE);`,
+	);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS upstream_repos (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		platform TEXT NOT NULL,
+		full_name TEXT NOT NULL COLLATE NOCASE,
+		latest_tag TEXT NULL,
+		latest_tag_sha TEXT NULL,
+		head_sha TEXT NULL,
+		status INTEGER NULL,
+		fetched_at INTEGER NOT NULL,
+		UNIQUE(platform, full_name)
+	);`);
+	addColumn(
+		conn,
+		"url_dependencies",
+		"upstream_status",
+		"TEXT NULL CHECK(upstream_status IN ('latest', 'outdated', 'unknown'))",
+	);
+	addColumn(conn, "url_dependencies", "latest_ref", "TEXT NULL");
+	addColumn(conn, "url_dependencies", "upstream_checked_at", "INTEGER NULL");
+
+	// urls resolved before these existed are parsed again
+	const normalized = [
+		addColumn(conn, "url_dependencies", "host", "TEXT NULL"),
+		addColumn(conn, "url_dependencies", "owner", "TEXT NULL"),
+		addColumn(conn, "url_dependencies", "repo", "TEXT NULL"),
+		addColumn(conn, "url_dependencies", "archive_format", "TEXT NULL"),
+		addColumn(conn, "url_dependencies", "upstream", "TEXT NULL"),
+	];
+	if (normalized.some(Boolean)) {
+		conn.exec(`UPDATE url_dependencies SET resolved_at = NULL;`);
+	}
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_url_dependencies_upstream ON url_dependencies (upstream);`,
+	);
+	addColumn(
+		conn,
+		"url_dependencies",
+		"hash_status",
+		"TEXT NULL CHECK(hash_status IN ('verified', 'mismatch', 'unreachable', 'unsupported'))",
+	);
+	addColumn(conn, "url_dependencies", "hash_computed", "TEXT NULL");
+	addColumn(conn, "url_dependencies", "hash_checked_at", "INTEGER NULL");
+	addColumn(conn, "url_dependencies", "link_status", "INTEGER NULL");
+	addColumn(conn, "url_dependencies", "link_checked_at", "INTEGER NULL");
+	addColumn(conn, "url_dependencies", "link_claimed_at", "INTEGER NULL");
+	// archives of url dependencies kept under PACKAGE_MIRROR_DIR, see
+	// mirrorPackages, sha256 is of the archive as stored
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS package_mirror (
+		hash TEXT PRIMARY KEY,
+		status TEXT CHECK(status IN ('mirrored', 'failed')) NOT NULL,
+		format TEXT NULL,
+		size INTEGER NULL,
+		sha256 TEXT NULL,
+		fetched_at INTEGER NOT NULL,
+		FOREIGN KEY (hash) REFERENCES url_dependencies (hash)
+	);`);
+	// dropped first so existing dbs get the current definition
+	conn.exec(`DROP VIEW IF EXISTS repo_dependents;`);
+	conn.exec(`
+		CREATE VIEW repo_dependents AS
+		SELECT
+			ud.repo_id,
+			rd.repo_id AS dependent_id,
+			rd.name,
+			ud.hash,
+			ud.ref,
+			ud.ref_type
+		FROM repo_dependencies rd
+		JOIN url_dependencies ud ON rd.url_dependency_hash = ud.hash
+		WHERE ud.repo_id IS NOT NULL AND ud.repo_id != rd.repo_id
+		UNION ALL
+		SELECT
+			ud.repo_id,
+			rp.repo_id AS dependent_id,
+			rpd.name,
+			ud.hash,
+			ud.ref,
+			ud.ref_type
+		FROM repo_package_dependencies rpd
+		JOIN repo_packages rp ON rp.id = rpd.package_id
+		JOIN url_dependencies ud ON rpd.url_dependency_hash = ud.hash
+		WHERE ud.repo_id IS NOT NULL AND ud.repo_id != rp.repo_id;
+	`);
+	// url dependencies of repos and their packages, see DependencyEdge
+	conn.exec(`DROP VIEW IF EXISTS dependency_edges;`);
+	conn.exec(`
+		CREATE VIEW dependency_edges AS
+		SELECT
+			e.dependent_id,
+			ud.repo_id,
+			CASE
+				WHEN ud.repo_id IS NOT NULL THEN 'repo:' || ud.repo_id
+				WHEN ud.upstream IS NOT NULL THEN ud.upstream
+				ELSE 'hash:' || ud.hash
+			END AS node,
+			COALESCE(
+				r.full_name,
+				ud.target_full_name,
+				ud.owner || '/' || ud.repo,
+				e.name
+			) AS label,
+			e.name,
+			ud.hash,
+			ud.ref
+		FROM (
+			SELECT repo_id AS dependent_id, name, url_dependency_hash
+			FROM repo_dependencies
+			UNION
+			SELECT rp.repo_id, rpd.name, rpd.url_dependency_hash
+			FROM repo_package_dependencies rpd
+			JOIN repo_packages rp ON rp.id = rpd.package_id
+		) e
+		JOIN url_dependencies ud ON ud.hash = e.url_dependency_hash
+		LEFT JOIN repos r ON r.id = ud.repo_id
+		WHERE ud.repo_id IS NULL OR ud.repo_id != e.dependent_id;
+	`);
+	// local names each url dependency goes by, with how many repos use them
+	conn.exec(`DROP VIEW IF EXISTS url_dependency_aliases;`);
+	conn.exec(`
+		CREATE VIEW url_dependency_aliases AS
+		SELECT
+			a.url_dependency_hash AS hash,
+			a.name,
+			COUNT(DISTINCT a.repo_id) AS dependents
+		FROM (
+			SELECT repo_id, name, url_dependency_hash
+			FROM repo_dependencies
+			UNION
+			SELECT rp.repo_id, rpd.name, rpd.url_dependency_hash
+			FROM repo_package_dependencies rpd
+			JOIN repo_packages rp ON rp.id = rpd.package_id
+			UNION
+			SELECT rv.repo_id, rvd.name, rvd.url_dependency_hash
+			FROM repo_version_dependencies rvd
+			JOIN repo_versions rv ON rv.id = rvd.version_id
+		) a
+		WHERE a.url_dependency_hash IS NOT NULL
+		GROUP BY a.url_dependency_hash, a.name;
+	`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_dependency_graph (
+		repo_id INTEGER PRIMARY KEY,
+		direct_count INTEGER NOT NULL,
+		package_count INTEGER NOT NULL,
+		depth INTEGER NOT NULL,
+		cycle_count INTEGER NOT NULL,
+		diamond_count INTEGER NOT NULL,
+		processed_at INTEGER NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE
+	);`);
+	// sha256 of the repo's own edges when its graph was computed
+	addColumn(conn, "repo_dependency_graph", "edges_hash", "TEXT NULL");
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_transitive_dependencies (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		node TEXT NOT NULL,
+		dependency_id INTEGER NULL,
+		label TEXT NOT NULL,
+		depth INTEGER NOT NULL,
+		parent_id INTEGER NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, node)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_dependency_cycles (
+		repo_id INTEGER NOT NULL,
+		cycle INTEGER NOT NULL,
+		position INTEGER NOT NULL,
+		dependency_id INTEGER NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		PRIMARY KEY (repo_id, cycle, position)
+	);`);
+	conn.exec(`
+	CREATE TABLE IF NOT EXISTS repo_dependency_diamonds (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		repo_id INTEGER NOT NULL,
+		node TEXT NOT NULL,
+		label TEXT NOT NULL,
+		dependency_id INTEGER NULL,
+		hash TEXT NOT NULL,
+		ref TEXT NULL,
+		dependent_id INTEGER NOT NULL,
+		FOREIGN KEY (repo_id) REFERENCES repos(id)
+			ON DELETE CASCADE,
+		UNIQUE(repo_id, node, hash, dependent_id)
+	);`);
+	conn.exec(
+		`CREATE INDEX IF NOT EXISTS idx_repo_transitive_dependencies_dependency_id ON repo_transitive_dependencies (dependency_id);`,
+	);
+	conn.exec(`
+		CREATE VIEW IF NOT EXISTS repo_zon_failures AS
+		SELECT
+			r.id AS repo_id,
+			r.platform,
+			r.full_name,
+			rbz.parse_status,
+			rbz.parse_error,
+			rbz.fetched_at,
+			rbz.processed_at
+		FROM repo_build_zig rbz
+		JOIN repos r ON r.id = rbz.repo_id
+		WHERE rbz.parse_status IN ('parse_error', 'schema_error');
+	`);
+};
+
+// putting these here so i can test them
+
+// columns every repo listing and the repo page show, they need repos r,
+// repo_zon rz and repo_build_zig rbz
+const repoColumns = `rz.minimum_zig_version,
+	rz.fingerprint,
+	CASE WHEN rbz.build_zig_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_exists,
+	CASE WHEN rbz.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
+	CASE WHEN rbz.zigmod_yml_content IS NOT NULL THEN 1 ELSE 0 END AS zigmod_exists,
+	CASE WHEN rbz.gyro_zzz_content IS NOT NULL THEN 1 ELSE 0 END AS gyro_exists,
+	rbz.build_kind,
+	rbz.links_libc,
+	rbz.links_libcpp,
+	rbz.has_c_sources,
+	rbz.pure_zig,
+	(
+		SELECT GROUP_CONCAT(rbsl.name)
+		FROM repo_build_system_libraries rbsl
+		WHERE rbsl.repo_id = r.id
+	) AS system_libraries,
+	(
+		SELECT GROUP_CONCAT(rp.name)
+		FROM repo_packages rp
+		WHERE rp.repo_id = r.id AND rp.name IS NOT NULL
+	) AS packages,
+	(
+		SELECT rv.tag
+		FROM repo_versions rv
+		WHERE rv.repo_id = r.id AND rv.is_prerelease = 0
+		ORDER BY rv.released_at IS NULL, rv.released_at DESC, rv.tag DESC
+		LIMIT 1
+	) AS latest_tag,
+	(
+		SELECT COUNT(DISTINCT rdt.dependent_id)
+		FROM repo_dependents rdt
+		WHERE rdt.repo_id = r.id
+	) AS used_by`;
+
+// needs repo_dependencies rd and GROUP BY r.id
+const repoDependencyColumns = `GROUP_CONCAT(DISTINCT rd.name) AS dependencies,
+	GROUP_CONCAT(DISTINCT CASE WHEN rd.lazy THEN rd.name END) AS lazy_dependencies`;
+
+// listings take a build kind filter ('library' | 'application' | null),
+// repos classified as both match either, and a pure zig filter (1 | null)
+export const serverHomeQuery = `
+SELECT
+	r.*,
+	${repoColumns},
+	${repoDependencyColumns}
+FROM repos r
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
+WHERE r.stars >= 10 AND r.forks >= 10
+	AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND (?1 IS NULL OR rbz.build_kind IN (?1, 'both'))
+	AND (?2 IS NULL OR rbz.pure_zig = 1)
+GROUP BY r.id
+ORDER BY r.pushed_at DESC
+LIMIT ?3 OFFSET ?4;
+`;
+
+export const serverNewQuery = `
+SELECT
+	r.*,
+	${repoColumns},
+	${repoDependencyColumns}
+FROM repos r
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
+WHERE r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND (?1 IS NULL OR rbz.build_kind IN (?1, 'both'))
+	AND (?2 IS NULL OR rbz.pure_zig = 1)
+GROUP BY r.id
+ORDER BY r.created_at DESC
+LIMIT ?3 OFFSET ?4;
+`;
+
+export const serverTopQuery = `
+SELECT
+	r.*,
+	${repoColumns},
+	${repoDependencyColumns}
+FROM repos r
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
+WHERE r.forks >= 10
+	AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND (?1 IS NULL OR rbz.build_kind IN (?1, 'both'))
+	AND (?2 IS NULL OR rbz.pure_zig = 1)
+GROUP BY r.id
+ORDER BY r.stars DESC
+LIMIT ?3 OFFSET ?4;
+`;
+
+export const serverSearchQuery = `
+SELECT
+	r.*,
+	${repoColumns},
+	${repoDependencyColumns}
+FROM repos_fts fts
+JOIN repos r ON fts.full_name = r.full_name
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
+WHERE repos_fts MATCH ?1
+	AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND r.description NOT LIKE '%zigbee%' COLLATE NOCASE
+	AND (?2 IS NULL OR rbz.build_kind IN (?2, 'both'))
+	AND (?3 IS NULL OR rbz.pure_zig = 1)
+GROUP BY r.id
+ORDER BY r.stars DESC
+LIMIT ?4 OFFSET ?5;
+`;
+
+// every repo with dependencies, each with its dependencies as a json array
+const repoDependencyListQuery = `
+SELECT
+	r.full_name AS full_name,
+	r.platform,
+	json_group_array(
+		json_object(
+			'name', rd.name,
+			'path', rd.path,
+			'dependency_type', rd.dependency_type,
+			'url_dependency_hash', rd.url_dependency_hash,
+			'lazy', rd.lazy,
+			'source', rd.source,
+			'url', ud.url,
+			'upstream_status', ud.upstream_status,
+			'latest_ref', ud.latest_ref,
+			'hash_status', ud.hash_status,
+			'link_dead', ud.link_status IN (404, 410),
+			'target_platform', t.platform,
+			'target_full_name', t.full_name
+		)
+	) AS dependencies
+FROM repos AS r
+INNER JOIN repo_dependencies AS rd
+	ON r.id = rd.repo_id
+LEFT JOIN url_dependencies AS ud
+	ON rd.url_dependency_hash = ud.hash
+LEFT JOIN repos AS t
+	ON t.id = ud.repo_id AND t.id != rd.repo_id
+GROUP BY r.full_name, r.platform
+HAVING COUNT(rd.id) > 0
+`;
+
+export const serverDependencyQuery = `${repoDependencyListQuery};`;
+
+// serverDependencyQuery a page at a time, ?1 limit ?2 offset
+export const serverDependencyPageQuery = `${repoDependencyListQuery}
+ORDER BY r.full_name, r.platform
+LIMIT ?1 OFFSET ?2;
+`;
+
+// one repo by ?1 platform ?2 full_name, with everything its page shows
+export const serverRepoQuery = `
+SELECT
+	r.*,
+	rz.name AS zon_name,
+	rz.version AS zon_version,
+	rz.paths AS zon_paths,
+	rbz.parse_status,
+	${repoColumns}
+FROM repos r
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+WHERE r.platform = ?1 AND r.full_name = ?2 COLLATE NOCASE;
+`;
+
+// dependencies of the ?1 repo id, url ones with the repo they resolved to
+export const serverRepoDependenciesQuery = `
+SELECT
+	rd.name,
+	rd.dependency_type,
+	rd.path,
+	rd.lazy,
+	rd.source,
+	rd.url_dependency_hash,
+	ud.url,
+	ud.ref,
+	ud.ref_type,
+	ud.upstream,
+	ud.upstream_status,
+	ud.latest_ref,
+	ud.hash_status,
+	ud.link_status IN (404, 410) AS link_dead,
+	t.platform AS target_platform,
+	t.full_name AS target_full_name
+FROM repo_dependencies rd
+LEFT JOIN url_dependencies ud ON ud.hash = rd.url_dependency_hash
+LEFT JOIN repos t ON t.id = ud.repo_id AND t.id != rd.repo_id
+WHERE rd.repo_id = ?1
+ORDER BY rd.source = 'zon' DESC, rd.name;
+`;
+
+// repos of ?1 platform ?2 owner, most starred first
+export const serverOwnerQuery = `
+SELECT
+	r.*,
+	${repoColumns},
+	${repoDependencyColumns}
+FROM repos r
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+LEFT JOIN repo_dependencies rd ON r.id = rd.repo_id
+WHERE r.platform = ?1 AND r.owner = ?2 COLLATE NOCASE
+GROUP BY r.id
+ORDER BY r.stars DESC
+LIMIT ?3 OFFSET ?4;
+`;
+
+// totals over every repo of ?1 platform ?2 owner, packages are root
+// build.zig.zon files plus nested ones
+export const serverOwnerStatsQuery = `
+SELECT
+	MIN(r.owner) AS owner,
+	COUNT(*) AS repos,
+	COALESCE(SUM(r.stars), 0) AS stars,
+	(
+		SELECT COUNT(*)
+		FROM repo_zon rz
+		JOIN repos o ON o.id = rz.repo_id
+		WHERE o.platform = ?1 AND o.owner = ?2 COLLATE NOCASE
+	) + (
+		SELECT COUNT(*)
+		FROM repo_packages rp
+		JOIN repos o ON o.id = rp.repo_id
+		WHERE o.platform = ?1 AND o.owner = ?2 COLLATE NOCASE
+			AND rp.name IS NOT NULL
+	) AS packages,
+	(
+		SELECT COUNT(DISTINCT rdt.dependent_id)
+		FROM repo_dependents rdt
+		JOIN repos o ON o.id = rdt.repo_id
+		WHERE o.platform = ?1 AND o.owner = ?2 COLLATE NOCASE
+	) AS dependents,
+	MAX(r.pushed_at) AS pushed_at
+FROM repos r
+WHERE r.platform = ?1 AND r.owner = ?2 COLLATE NOCASE;
+`;
+
+// repos depending on ?1 platform ?2 full_name, with the refs they use
+export const serverDependentsQuery = `
+SELECT
+	r.*,
+	rz.minimum_zig_version,
+	CASE WHEN rbz.build_zig_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_exists,
+	CASE WHEN rbz.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
+	GROUP_CONCAT(DISTINCT rdt.ref) AS dependency_refs
+FROM repo_dependents rdt
+JOIN repos r ON r.id = rdt.dependent_id
+LEFT JOIN repo_zon rz ON r.id = rz.repo_id
+LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+WHERE rdt.repo_id = (
+	SELECT id FROM repos
+	WHERE platform = ?1 AND full_name = ?2 COLLATE NOCASE
+)
+GROUP BY r.id
+ORDER BY r.stars DESC;
+`;
+
+// newest first, tags without a date (github tags without a release) last
+export const serverVersionsQuery = `
+SELECT
+	r.full_name,
+	r.platform,
+	rv.tag,
+	rv.commit_sha,
+	rv.is_release,
+	rv.is_prerelease,
+	rv.released_at,
+	rv.version,
+	rv.minimum_zig_version,
+	rv.parse_status,
+	CASE WHEN rv.build_zig_zon_content IS NOT NULL THEN 1 ELSE 0 END AS build_zig_zon_exists,
+	(
+		SELECT json_group_array(
+			json_object(
+				'name', rvd.name,
+				'dependency_type', rvd.dependency_type,
+				'path', rvd.path,
+				'lazy', rvd.lazy,
+				'url', ud.url
+			)
+		)
+		FROM repo_version_dependencies rvd
+		LEFT JOIN url_dependencies ud ON rvd.url_dependency_hash = ud.hash
+		WHERE rvd.version_id = rv.id
+	) AS dependencies
+FROM repo_versions rv
+JOIN repos r ON r.id = rv.repo_id
+WHERE r.platform = ?1 AND r.full_name = ?2 COLLATE NOCASE
+ORDER BY rv.released_at IS NULL, rv.released_at DESC, rv.tag DESC;
+`;
+
+// every url dependency of every repo, see DependencyEdge
+const dependencyEdgesQuery = `
+SELECT * FROM dependency_edges ORDER BY dependent_id, label, node, hash, name;
+`;
+export const serverDependencyGraphQuery = `
+SELECT
+	r.id AS repo_id,
+	r.platform,
+	r.full_name,
+	COALESCE(rdg.direct_count, 0) AS direct_count,
+	COALESCE(rdg.package_count, 0) AS package_count,
+	COALESCE(rdg.depth, 0) AS depth,
+	COALESCE(rdg.cycle_count, 0) AS cycle_count,
+	COALESCE(rdg.diamond_count, 0) AS diamond_count,
+	rdg.processed_at
+FROM repos r
+LEFT JOIN repo_dependency_graph rdg ON r.id = rdg.repo_id
+WHERE r.platform = ?1 AND r.full_name = ?2 COLLATE NOCASE;
+`;
+
+export const serverTransitiveDependenciesQuery = `
+SELECT
+	rtd.node,
+	rtd.dependency_id AS repo_id,
+	rtd.label,
+	rtd.depth,
+	rtd.parent_id,
+	r.platform,
+	r.full_name
+FROM repo_transitive_dependencies rtd
+LEFT JOIN repos r ON r.id = rtd.dependency_id
+WHERE rtd.repo_id = ?1
+ORDER BY rtd.depth, rtd.label;
+`;
+
+export const serverDependencyCyclesQuery = `
+SELECT rdc.cycle, r.platform, r.full_name
+FROM repo_dependency_cycles rdc
+JOIN repos r ON r.id = rdc.dependency_id
+WHERE rdc.repo_id = ?1
+ORDER BY rdc.cycle, rdc.position;
+`;
+
+export const serverDependencyDiamondsQuery = `
+SELECT
+	rdd.node,
+	rdd.label,
+	rdd.dependency_id AS repo_id,
+	rdd.hash,
+	rdd.ref,
+	r.full_name AS dependent
+FROM repo_dependency_diamonds rdd
+JOIN repos r ON r.id = rdd.dependent_id
+WHERE rdd.repo_id = ?1
+ORDER BY rdd.label, rdd.hash, r.full_name;
+`;
+
+// dependencies of ?1 platform ?2 full_name pinned behind their upstream
+export const serverOutdatedDependenciesQuery = `
+SELECT DISTINCT
+	de.name,
+	de.label,
+	ud.url,
+	ud.ref,
+	ud.ref_type,
+	ud.latest_ref
+FROM dependency_edges de
+JOIN url_dependencies ud ON ud.hash = de.hash
+WHERE ud.upstream_status = 'outdated'
+	AND de.dependent_id = (
+		SELECT id FROM repos
+		WHERE platform = ?1 AND full_name = ?2 COLLATE NOCASE
+	)
+ORDER BY de.name;
+`;
+
+// repos with outdated dependencies, most starred first
+export const serverOutdatedReportQuery = `
+SELECT
+	r.platform,
+	r.full_name,
+	r.stars,
+	json_group_array(
+		json_object(
+			'name', o.name,
+			'label', o.label,
+			'ref', o.ref,
+			'latest_ref', o.latest_ref
+		)
+	) AS dependencies
+FROM (
+	SELECT DISTINCT de.dependent_id, de.name, de.label, ud.ref, ud.latest_ref
+	FROM dependency_edges de
+	JOIN url_dependencies ud ON ud.hash = de.hash
+	WHERE ud.upstream_status = 'outdated'
+) o
+JOIN repos r ON r.id = o.dependent_id
+GROUP BY r.id
+ORDER BY r.stars DESC, r.full_name
+LIMIT ?1 OFFSET ?2;
+`;
+
+// dead links are urls answering 404 or 410, other failures may be transient
+
+// dependencies of ?1 platform ?2 full_name whose urls are dead
+export const serverDeadDependenciesQuery = `
+SELECT DISTINCT
+	de.name,
+	de.label,
+	ud.url,
+	ud.link_status,
+	ud.link_checked_at
+FROM dependency_edges de
+JOIN url_dependencies ud ON ud.hash = de.hash
+WHERE ud.link_status IN (404, 410)
+	AND de.dependent_id = (
+		SELECT id FROM repos
+		WHERE platform = ?1 AND full_name = ?2 COLLATE NOCASE
+	)
+ORDER BY de.name;
+`;
+
+// dead urls with the repos depending on them, most depended on first
+export const serverDeadLinksQuery = `
+SELECT
+	d.url,
+	d.link_status,
+	d.link_checked_at,
+	json_group_array(
+		json_object(
+			'platform', r.platform,
+			'full_name', r.full_name,
+			'name', d.name
+		)
+	) AS repos
+FROM (
+	SELECT DISTINCT
+		ud.url, ud.link_status, ud.link_checked_at, de.dependent_id, de.name
+	FROM dependency_edges de
+	JOIN url_dependencies ud ON ud.hash = de.hash
+	WHERE ud.link_status IN (404, 410)
+) d
+JOIN repos r ON r.id = d.dependent_id
+GROUP BY d.url
+ORDER BY COUNT(*) DESC, d.url
+LIMIT ?1 OFFSET ?2;
+`;
+
+// upstreams pinned at more than one hash, most hashes first. ?1 limit ?2 offset
+export const serverFragmentationQuery = `
+SELECT
+	ud.upstream,
+	COALESCE(MAX(r.full_name), MAX(ud.owner || '/' || ud.repo)) AS label,
+	MAX(r.platform) AS platform,
+	MAX(r.full_name) AS full_name,
+	COUNT(DISTINCT ud.hash) AS hashes,
+	COUNT(DISTINCT ud.ref) AS refs,
+	COUNT(DISTINCT de.dependent_id) AS dependents
+FROM dependency_edges de
+JOIN url_dependencies ud ON ud.hash = de.hash
+LEFT JOIN repos r ON r.id = ud.repo_id
+WHERE ud.upstream IS NOT NULL
+GROUP BY ud.upstream
+HAVING COUNT(DISTINCT ud.hash) > 1
+ORDER BY hashes DESC, dependents DESC, ud.upstream
+LIMIT ?1 OFFSET ?2;
+`;
+
+// every hash of the ?1 upstream with the repos pinning it, most used first
+export const serverFragmentationPinsQuery = `
+SELECT
+	ud.hash,
+	ud.ref,
+	ud.ref_type,
+	ud.upstream_status,
+	COALESCE(t.full_name, ud.owner || '/' || ud.repo) AS label,
+	t.platform AS target_platform,
+	t.full_name AS target_full_name,
+	json_group_array(
+		json_object('platform', r.platform, 'full_name', r.full_name)
+	) AS dependents
+FROM (SELECT DISTINCT dependent_id, hash FROM dependency_edges) de
+JOIN url_dependencies ud ON ud.hash = de.hash
+JOIN repos r ON r.id = de.dependent_id
+LEFT JOIN repos t ON t.id = ud.repo_id
+WHERE ud.upstream = ?1
+GROUP BY ud.hash
+ORDER BY COUNT(*) DESC, ud.hash;
+`;
+
+// mirrored archives, most recent first
+export const serverMirrorQuery = `
+SELECT pm.hash, pm.format, pm.size, pm.fetched_at, ud.url
+FROM package_mirror pm
+JOIN url_dependencies ud ON ud.hash = pm.hash
+WHERE pm.status = 'mirrored'
+ORDER BY pm.fetched_at DESC, pm.hash
+LIMIT ?1 OFFSET ?2;
+`;
+
+export const serverMirrorStatsQuery = `
+SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS size
+FROM package_mirror
+WHERE status = 'mirrored';
+`;
+
+/**
+ * @typedef {'dependents' | 'hashes' | 'stars'} DependencySort
+ */
+
+// dependencies grouped by the repo their urls point at, or by name with `-`
+// and `_` treated the same when the url isn't a github/codeberg one. ?1 is a
+// DependencySort, stars sums the stars of every dependent
+export const serverPopularDependenciesQuery = `
+WITH deps AS (
+	SELECT
+		CASE
+			WHEN de.node LIKE 'hash:%'
+				THEN 'name:' || REPLACE(LOWER(de.name), '-', '_')
+			ELSE de.node
+		END AS package,
+		de.dependent_id,
+		de.repo_id,
+		de.label,
+		de.name,
+		de.hash
+	FROM dependency_edges de
+),
+usage AS (
+	SELECT d.package, SUM(r.stars) AS stars
+	FROM (SELECT DISTINCT package, dependent_id FROM deps) d
+	JOIN repos r ON r.id = d.dependent_id
+	GROUP BY d.package
+)
+SELECT
+	deps.package,
+	CASE
+		WHEN deps.package LIKE 'name:%' THEN SUBSTR(deps.package, 6)
+		ELSE MIN(deps.label)
+	END AS label,
+	r.id AS repo_id,
+	r.platform,
+	r.full_name,
+	COUNT(DISTINCT deps.dependent_id) AS dependents,
+	COUNT(DISTINCT deps.hash) AS hashes,
+	usage.stars,
+	GROUP_CONCAT(DISTINCT deps.name) AS names
+FROM deps
+JOIN usage ON usage.package = deps.package
+LEFT JOIN repos r ON r.id = deps.repo_id
+GROUP BY deps.package
+ORDER BY
+	CASE ?1
+		WHEN 'hashes' THEN COUNT(DISTINCT deps.hash)
+		WHEN 'stars' THEN usage.stars
+		ELSE COUNT(DISTINCT deps.dependent_id)
+	END DESC,
+	dependents DESC,
+	label
+LIMIT ?2 OFFSET ?3;
+`;
+
+// edges from ?1 and every indexed repo in its closure, for drawing
+export const serverGraphEdgesQuery = `
+SELECT DISTINCT de.dependent_id, de.node
+FROM dependency_edges de
+WHERE de.dependent_id = ?1 OR de.dependent_id IN (
+	SELECT dependency_id FROM repo_transitive_dependencies
+	WHERE repo_id = ?1 AND dependency_id IS NOT NULL
+);
+`;
+
+// the ?1 dependencies with the most dependents
+export const serverConnectedPackagesQuery = `
+SELECT
+	de.node,
+	de.repo_id,
+	MIN(de.label) AS label,
+	r.platform,
+	r.full_name,
+	COUNT(DISTINCT de.dependent_id) AS dependents
+FROM dependency_edges de
+LEFT JOIN repos r ON r.id = de.repo_id
+GROUP BY de.node
+ORDER BY dependents DESC, label
+LIMIT ?1;
+`;
+
+// edges between the nodes in ?1, a json array
+export const serverPackageEdgesQuery = `
+SELECT DISTINCT de.dependent_id, de.node
+FROM dependency_edges de
+WHERE de.node IN (SELECT value FROM json_each(?1))
+	AND 'repo:' || de.dependent_id IN (SELECT value FROM json_each(?1));
+`;
+
+/**
+ * @typedef {Object} DependencyGraphPin
+ * @property {string} hash
+ * @property {string | null} ref
+ * @property {string[]} dependents - full names
+ */
+
+/**
+ * @typedef {Object} DependencyGraphDiamond
+ * @property {string} node
+ * @property {string} label
+ * @property {number | null} repo_id
+ * @property {DependencyGraphPin[]} pins
+ */
+
+/**
+ * The stored graph of one repo in a shape ready for rendering, null when the
+ * repo isn't indexed. Repos without url dependencies get an empty graph.
+ *
+ * @param {Database} conn
+ * @param {string} platform
+ * @param {string} fullName
+ */
+export const getDependencyGraph = (conn, platform, fullName) => {
+	const graph = conn
+		.prepare(serverDependencyGraphQuery)
+		.get(platform, fullName);
+	if (graph === null) return null;
+	const id = graph.repo_id;
+	const nodes = conn.prepare(serverTransitiveDependenciesQuery).all(id);
+	const cycleRows = conn.prepare(serverDependencyCyclesQuery).all(id);
+	const diamondRows = conn.prepare(serverDependencyDiamondsQuery).all(id);
+
+	/** @type {Map<number, {platform: string, full_name: string}[]>} */
+	const cycles = new Map();
+	for (const row of cycleRows) {
+		const cycle = cycles.get(row.cycle) ?? [];
+		cycles.set(row.cycle, cycle);
+		cycle.push({ platform: row.platform, full_name: row.full_name });
+	}
+
+	/** @type {Map<string, DependencyGraphDiamond>} */
+	const diamonds = new Map();
+	for (const row of diamondRows) {
+		/** @type {DependencyGraphDiamond} */
+		const diamond = diamonds.get(row.node) ?? {
+			node: row.node,
+			label: row.label,
+			repo_id: row.repo_id,
+			pins: [],
+		};
+		diamonds.set(row.node, diamond);
+		let pin = diamond.pins.find((p) => p.hash === row.hash);
+		if (!pin) {
+			pin = { hash: row.hash, ref: row.ref, dependents: [] };
+			diamond.pins.push(pin);
+		}
+		pin.dependents.push(row.dependent);
+	}
+
+	return {
+		...graph,
+		nodes,
+		edges: conn.prepare(serverGraphEdgesQuery).all(id),
+		cycles: [...cycles.values()],
+		diamonds: [...diamonds.values()],
+	};
+};
+
+/**
+ * The `limit` most depended on packages and the edges between them. Each is
+ * put one column after the deepest package here depending on it.
+ *
+ * @param {Database} conn
+ * @param {number} limit
+ */
+export const getPackageGraph = (conn, limit) => {
+	const packages = conn.prepare(serverConnectedPackagesQuery).all(limit);
+	const nodes = packages.map((p) => p.node);
+	const edges = conn
+		.prepare(serverPackageEdgesQuery)
+		.all(JSON.stringify(nodes));
+	/** @type {Map<string, number>} */
+	const depths = new Map(nodes.map((node) => [node, 0]));
+	// a cycle would push depths up forever, a pass per node is enough without
+	for (let i = 0; i < nodes.length; i++) {
+		let changed = false;
+		for (const edge of edges) {
+			const from = depths.get(`repo:${edge.dependent_id}`) ?? 0;
+			if (from + 1 > (depths.get(edge.node) ?? 0)) {
+				depths.set(edge.node, from + 1);
+				changed = true;
+			}
+		}
+		if (!changed) break;
+	}
+	return {
+		nodes: packages.map((p) => ({ ...p, depth: depths.get(p.node) ?? 0 })),
+		edges,
+	};
+};
+
+/**
+ * @typedef {Object} FragmentationPin
+ * @property {string} hash
+ * @property {string | null} ref
+ * @property {'tag' | 'branch' | 'commit' | null} ref_type
+ * @property {UpstreamStatus | null} upstream_status
+ * @property {{platform: string, full_name: string}[]} dependents
+ * @property {boolean} newest
+ */
+
+/**
+ * @typedef {Object} Fragmentation
+ * @property {string} upstream - see getUpstreamKey
+ * @property {string} label
+ * @property {string | null} platform - of the indexed upstream repo
+ * @property {string | null} full_name
+ * @property {FragmentationPin[]} pins
+ */
+
+/**
+ * Every hash one upstream is pinned at, null when nothing depends on it.
+ * The newest pin is the one at upstream's latest tag or head, or else the
+ * highest version tag.
+ *
+ * @param {Database} conn
+ * @param {string} upstream - see getUpstreamKey
+ * @returns {Fragmentation | null}
+ */
+export const getFragmentation = (conn, upstream) => {
+	const rows = conn
+		.prepare(serverFragmentationPinsQuery)
+		.all(upstream.toLowerCase());
+	if (rows.length === 0) return null;
+	/** @param {any} row */
+	const isTag = (row) => row.ref_type === "tag" && row.ref !== null;
+	const tags = rows.filter(isTag);
+	const newest =
+		rows.find((row) => row.upstream_status === "latest") ??
+		(tags.length > 0
+			? tags.reduce((a, b) =>
+					(compareVersionTags(a.ref, b.ref) ?? 0) >= 0 ? a : b,
+				)
+			: null);
+	return {
+		upstream: upstream.toLowerCase(),
+		label: rows[0].label,
+		platform: rows[0].target_platform,
+		full_name: rows[0].target_full_name,
+		pins: rows.map((row) => ({
+			hash: row.hash,
+			ref: row.ref,
+			ref_type: row.ref_type,
+			upstream_status: row.upstream_status,
+			dependents: JSON.parse(row.dependents),
+			newest: row === newest,
+		})),
+	};
+};
+
+// ----------------------------------------------------------------------------
+// api
+
+// /api/v1 answers with the listing queries above reshaped: field names follow
+// the Repo, RepoZon and RepoDependency typedefs, 0/1 columns become booleans
+// and comma joined columns become arrays. API_ENDPOINTS is the single source
+// for the routes, their params and the openapi document, params are parsed
+// with their own json schema and responses are picked by their schema's fields
+
+export const API_PER_PAGE = 30;
+
+/**
+ * Turned into `{ error: { status, message } }` with that status.
+ */
+export class ApiError extends Error {
+	/**
+	 * @param {number} status - http status
+	 * @param {string} message
+	 */
+	constructor(status, message) {
+		super(message);
+		this.name = "ApiError";
+		this.status = status;
+	}
+}
+
+/**
+ * @typedef {'active' | 'new' | 'top'} ApiRepoSort
+ */
+
+/**
+ * @typedef {Object} ApiRepoFilters
+ * @property {'library' | 'application' | null} kind
+ * @property {1 | null} pure
+ * @property {number} page
+ */
+
+/**
+ * @typedef {Object} ApiRepo
+ * @property {number} id
+ * @property {string} full_name
+ * @property {string} platform
+ * @property {string} name
+ * @property {string} default_branch
+ * @property {string} owner
+ * @property {number} created_at
+ * @property {number} updated_at
+ * @property {number} pushed_at
+ * @property {string | null} description
+ * @property {string | null} homepage
+ * @property {string | null} license
+ * @property {string | null} language
+ * @property {number} stars
+ * @property {number} forks
+ * @property {boolean} is_fork
+ * @property {boolean} is_archived
+ * @property {string | null} minimum_zig_version
+ * @property {string | null} fingerprint
+ * @property {boolean} build_zig_exists
+ * @property {boolean} build_zig_zon_exists
+ * @property {boolean} zigmod_exists
+ * @property {boolean} gyro_exists
+ * @property {'library' | 'application' | 'both' | null} build_kind
+ * @property {boolean} links_libc
+ * @property {boolean} links_libcpp
+ * @property {boolean} has_c_sources
+ * @property {boolean} pure_zig
+ * @property {string[]} system_libraries
+ * @property {string[]} packages
+ * @property {string | null} latest_tag
+ * @property {number} used_by
+ */
+
+/**
+ * @typedef {Object} ApiDependency
+ * @property {string} name
+ * @property {string} dependency_type
+ * @property {string | null} path
+ * @property {string | null} url_dependency_hash
+ * @property {boolean} lazy
+ * @property {DependencySource} source
+ * @property {string | null} url
+ * @property {UpstreamStatus | null} upstream_status
+ * @property {string | null} latest_ref
+ * @property {string | null} hash_status
+ * @property {boolean} link_dead
+ * @property {{platform: string, full_name: string} | null} repo - the indexed
+ * repo the url resolved to
+ */
+
+/**
+ * @typedef {Object} ApiDependent
+ * @property {string} platform
+ * @property {string} full_name
+ * @property {string[]} refs - the refs it depends on
+ */
+
+/**
+ * @typedef {Object} ApiRepoDetail
+ * @property {Omit<RepoZon, 'repo_id'> | null} zon
+ * @property {string | null} parse_status
+ * @property {ApiDependency[]} dependencies
+ * @property {ApiDependent[]} dependents
+ */
+
+/**
+ * @typedef {Object} ApiRepoDependencies
+ * @property {string} platform
+ * @property {string} full_name
+ * @property {ApiDependency[]} dependencies
+ */
+
+/**
+ * @template T
+ * @typedef {Object} ApiPage
+ * @property {T[]} data
+ * @property {{page: number, per_page: number, has_more: boolean}} pagination
+ */
+
+/**
+ * @typedef {Object} ApiParam
+ * @property {string} name
+ * @property {'query' | 'path'} in
+ * @property {string} description
+ * @property {boolean} required
+ * @property {any} schema - json schema of the parsed value
+ * @property {(value: string) => string} [normalize] - applied before parsing
+ */
+
+/**
+ * @typedef {Object} ApiEndpoint
+ * @property {string} operationId
+ * @property {string} path - relative to /api/v1, openapi style, e.g.
+ * `/repos/{platform}/{owner}/{name}`
+ * @property {string} summary
+ * @property {ApiParam[]} params
+ * @property {any} response - json schema of the 200 body
+ * @property {(conn: Database, params: any) => any} handler - null is a 404
+ */
+
+/** @param {string} name */
+const apiRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/** @param {any} items */
+const apiPageSchema = (items) => ({
+	type: "object",
+	required: ["data", "pagination"],
+	properties: {
+		data: { type: "array", items },
+		pagination: apiRef("Pagination"),
+	},
+	additionalProperties: false,
+});
+
+/**
+ * Closed object schema, every property is required and may be null unless
+ * its type says otherwise.
+ *
+ * @param {Record<string, any>} properties
+ */
+const apiObjectSchema = (properties) => ({
+	type: "object",
+	required: Object.keys(properties),
+	properties,
+	additionalProperties: false,
+});
+
+const API_STRING = { type: "string" };
+const API_NULLABLE_STRING = { type: ["string", "null"] };
+const API_INTEGER = { type: "integer" };
+const API_BOOLEAN = { type: "boolean" };
+const API_STRINGS = { type: "array", items: API_STRING };
+
+/** @type {Record<string, any>} */
+export const API_SCHEMAS = {
+	Repo: apiObjectSchema({
+		id: API_INTEGER,
+		full_name: API_STRING,
+		platform: { type: "string", enum: ["github", "codeberg"] },
+		name: API_STRING,
+		default_branch: API_NULLABLE_STRING,
+		owner: API_STRING,
+		created_at: { type: ["integer", "null"], description: "unix seconds" },
+		updated_at: { type: ["integer", "null"], description: "unix seconds" },
+		pushed_at: { type: ["integer", "null"], description: "unix seconds" },
+		description: API_NULLABLE_STRING,
+		homepage: API_NULLABLE_STRING,
+		license: API_NULLABLE_STRING,
+		language: API_NULLABLE_STRING,
+		stars: API_INTEGER,
+		forks: API_INTEGER,
+		is_fork: API_BOOLEAN,
+		is_archived: API_BOOLEAN,
+		minimum_zig_version: API_NULLABLE_STRING,
+		fingerprint: API_NULLABLE_STRING,
+		build_zig_exists: API_BOOLEAN,
+		build_zig_zon_exists: API_BOOLEAN,
+		zigmod_exists: API_BOOLEAN,
+		gyro_exists: API_BOOLEAN,
+		build_kind: {
+			type: ["string", "null"],
+			enum: ["library", "application", "both", null],
+		},
+		links_libc: API_BOOLEAN,
+		links_libcpp: API_BOOLEAN,
+		has_c_sources: API_BOOLEAN,
+		pure_zig: API_BOOLEAN,
+		system_libraries: API_STRINGS,
+		packages: { ...API_STRINGS, description: "nested package names" },
+		latest_tag: API_NULLABLE_STRING,
+		used_by: { type: "integer", description: "repos depending on it" },
+	}),
+	Zon: apiObjectSchema({
+		name: API_STRING,
+		version: API_STRING,
+		minimum_zig_version: API_NULLABLE_STRING,
+		paths: API_STRINGS,
+		fingerprint: API_NULLABLE_STRING,
+	}),
+	Dependency: apiObjectSchema({
+		name: API_STRING,
+		dependency_type: { type: "string", enum: ["url", "path"] },
+		path: API_NULLABLE_STRING,
+		url_dependency_hash: API_NULLABLE_STRING,
+		lazy: API_BOOLEAN,
+		source: { type: "string", enum: ["zon", "zigmod", "gyro"] },
+		url: API_NULLABLE_STRING,
+		upstream_status: API_NULLABLE_STRING,
+		latest_ref: API_NULLABLE_STRING,
+		hash_status: {
+			type: ["string", "null"],
+			enum: ["verified", "mismatch", "unreachable", "unsupported", null],
+		},
+		link_dead: API_BOOLEAN,
+		repo: {
+			oneOf: [apiRef("RepoRef"), { type: "null" }],
+			description: "the indexed repo the url resolved to",
+		},
+	}),
+	RepoRef: apiObjectSchema({ platform: API_STRING, full_name: API_STRING }),
+	Dependent: apiObjectSchema({
+		platform: API_STRING,
+		full_name: API_STRING,
+		refs: { ...API_STRINGS, description: "the refs it depends on" },
+	}),
+	RepoDetail: {
+		allOf: [
+			apiRef("Repo"),
+			{
+				type: "object",
+				required: ["zon", "parse_status", "dependencies", "dependents"],
+				properties: {
+					zon: { oneOf: [apiRef("Zon"), { type: "null" }] },
+					parse_status: API_NULLABLE_STRING,
+					dependencies: { type: "array", items: apiRef("Dependency") },
+					dependents: { type: "array", items: apiRef("Dependent") },
+				},
+			},
+		],
+	},
+	RepoDependencies: apiObjectSchema({
+		platform: API_STRING,
+		full_name: API_STRING,
+		dependencies: { type: "array", items: apiRef("Dependency") },
+	}),
+	Pagination: apiObjectSchema({
+		page: { type: "integer", minimum: 1 },
+		per_page: API_INTEGER,
+		has_more: API_BOOLEAN,
+	}),
+	Error: apiObjectSchema({
+		error: apiObjectSchema({ status: API_INTEGER, message: API_STRING }),
+	}),
+};
+
+/** @type {Record<string, ApiParam>} */
+export const API_PARAMS = {
+	page: {
+		name: "page",
+		in: "query",
+		description: `pages are ${API_PER_PAGE} items long`,
+		required: false,
+		schema: { type: "integer", minimum: 1, default: 1 },
+	},
+	sort: {
+		name: "sort",
+		in: "query",
+		description: "active is by last commit, new by creation, top by stars",
+		required: false,
+		schema: {
+			type: "string",
+			enum: ["active", "new", "top"],
+			default: "active",
+		},
+	},
+	kind: {
+		name: "kind",
+		in: "query",
+		description: "repos building both match either",
+		required: false,
+		schema: { type: "string", enum: ["library", "application"] },
+	},
+	pure: {
+		name: "pure",
+		in: "query",
+		description: "1 keeps repos needing nothing besides zig",
+		required: false,
+		schema: { type: "integer", enum: [0, 1], default: 0 },
+	},
+	q: {
+		name: "q",
+		in: "query",
+		description: "full text search, `-` and `_` match spaces",
+		required: true,
+		schema: { type: "string", minLength: 1 },
+		normalize: (value) => value.replace(/[-_]/g, " ").trim(),
+	},
+	platform: {
+		name: "platform",
+		in: "path",
+		description: "where the repo is hosted",
+		required: true,
+		schema: { type: "string", enum: ["github", "codeberg"] },
+	},
+	owner: {
+		name: "owner",
+		in: "path",
+		description: "case insensitive",
+		required: true,
+		schema: { type: "string" },
+	},
+	name: {
+		name: "name",
+		in: "path",
+		description: "case insensitive",
+		required: true,
+		schema: { type: "string" },
+	},
+};
+
+/**
+ * Validates one raw param against its schema, missing optional params take
+ * the schema default or null.
+ *
+ * @param {ApiParam} param
+ * @param {string | undefined} raw
+ * @returns {string | number | null}
+ */
+export const parseApiParam = (param, raw) => {
+	const { name, schema } = param;
+	const value =
+		raw !== undefined && param.normalize ? param.normalize(raw) : raw;
+	if (value === undefined || value === "") {
+		if (param.required) throw new ApiError(400, `${name} is required`);
+		return schema.default ?? null;
+	}
+	/** @type {string | number} */
+	let parsed = value;
+	if (schema.type === "integer") {
+		parsed = /^\d+$/.test(value) ? Number(value) : Number.NaN;
+		if (!Number.isSafeInteger(parsed)) {
+			throw new ApiError(400, `${name} must be an integer`);
+		}
+		if (schema.minimum !== undefined && parsed < schema.minimum) {
+			throw new ApiError(400, `${name} must be at least ${schema.minimum}`);
+		}
+	}
+	if (schema.enum && !schema.enum.includes(parsed)) {
+		throw new ApiError(
+			400,
+			`${name} must be one of ${schema.enum.join(", ")}`,
+		);
+	}
+	return parsed;
+};
+
+/**
+ * @param {ApiEndpoint} endpoint
+ * @param {Record<string, string | undefined>} query
+ * @param {Record<string, string | undefined>} path
+ * @returns {Record<string, any>}
+ */
+export const parseApiParams = (endpoint, query, path) =>
+	Object.fromEntries(
+		endpoint.params.map((param) => [
+			param.name,
+			parseApiParam(
+				param,
+				param.in === "path" ? path[param.name] : query[param.name],
+			),
+		]),
+	);
+
+/**
+ * @param {string | null} value
+ * @returns {string[]}
+ */
+const splitList = (value) => (value ? value.split(",") : []);
+
+/**
+ * Picks the schema's properties out of a row, 0/1 become booleans and comma
+ * joined strings become arrays.
+ *
+ * @param {any} schema - a closed object schema from API_SCHEMAS
+ * @param {any} row
+ * @returns {any}
+ */
+const pickApiFields = (schema, row) =>
+	Object.fromEntries(
+		Object.entries(schema.properties).map(([key, property]) => {
+			const value = row[key] ?? null;
+			if (property.type === "boolean") return [key, value === 1];
+			if (property.type === "array") return [key, splitList(value)];
+			return [key, value];
+		}),
+	);
+
+/**
+ * @param {any} row - from a listing query, e.g. serverTopQuery
+ * @returns {ApiRepo}
+ */
+export const toApiRepo = (row) => pickApiFields(API_SCHEMAS.Repo, row);
+
+/**
+ * @param {any} dep - from serverRepoDependenciesQuery or serverDependencyQuery
+ * @returns {ApiDependency}
+ */
+export const toApiDependency = (dep) => ({
+	...pickApiFields(API_SCHEMAS.Dependency, dep),
+	repo:
+		dep.target_full_name !== null
+			? { platform: dep.target_platform, full_name: dep.target_full_name }
+			: null,
+});
+
+/**
+ * Fetches one row more than a page to tell whether there's a next one.
+ *
+ * @param {any[]} rows - at most API_PER_PAGE + 1
+ * @param {number} page
+ * @param {(row: any) => any} shape
+ * @returns {ApiPage<any>}
+ */
+const toApiPage = (rows, page, shape) => ({
+	data: rows.slice(0, API_PER_PAGE).map(shape),
+	pagination: {
+		page,
+		per_page: API_PER_PAGE,
+		has_more: rows.length > API_PER_PAGE,
+	},
+});
+
+const API_REPO_QUERIES = {
+	active: serverHomeQuery,
+	new: serverNewQuery,
+	top: serverTopQuery,
+};
+
+/**
+ * Same listings as `/`, `/new` and `/top`.
+ *
+ * @param {Database} conn
+ * @param {ApiRepoFilters & {sort: ApiRepoSort}} params
+ * @returns {ApiPage<ApiRepo>}
+ */
+export const listApiRepos = (conn, { sort, kind, pure, page }) => {
+	const rows = conn
+		.prepare(API_REPO_QUERIES[sort])
+		.all(kind, pure, API_PER_PAGE + 1, (page - 1) * API_PER_PAGE);
+	return toApiPage(rows, page, toApiRepo);
+};
+
+const FTS_QUERY_ERROR = /^fts5: |^unterminated string$/;
+
+/**
+ * Same results as `/search`, a query fts5 can't parse is the caller's fault.
+ *
+ * @param {Database} conn
+ * @param {ApiRepoFilters & {q: string}} params
+ * @returns {ApiPage<ApiRepo>}
+ */
+export const searchApiRepos = (conn, { q, kind, pure, page }) => {
+	let rows;
+	try {
+		rows = conn
+			.prepare(serverSearchQuery)
+			.all(q, kind, pure, API_PER_PAGE + 1, (page - 1) * API_PER_PAGE);
+	} catch (e) {
+		if (e instanceof Error && FTS_QUERY_ERROR.test(e.message)) {
+			throw new ApiError(400, `q is not a valid search: ${e.message}`);
+		}
+		throw e;
+	}
+	return toApiPage(rows, page, toApiRepo);
+};
+
+/**
+ * @param {Database} conn
+ * @param {string} platform
+ * @param {string} fullName
+ * @returns {ApiRepo & ApiRepoDetail | null}
+ */
+export const getApiRepo = (conn, platform, fullName) => {
+	/** @type {any} */
+	const row = conn.prepare(serverRepoQuery).get(platform, fullName);
+	if (!row) return null;
+	const dependencies = conn.prepare(serverRepoDependenciesQuery).all(row.id);
+	const dependents = conn
+		.prepare(serverDependentsQuery)
+		.all(row.platform, row.full_name);
+	return {
+		...toApiRepo(row),
+		zon:
+			row.zon_name !== null
+				? {
+						name: row.zon_name,
+						version: row.zon_version,
+						minimum_zig_version: row.minimum_zig_version,
+						paths: splitList(row.zon_paths),
+						fingerprint: row.fingerprint,
+					}
+				: null,
+		parse_status: row.parse_status,
+		dependencies: dependencies.map(toApiDependency),
+		dependents: dependents.map((dependent) => ({
+			platform: dependent.platform,
+			full_name: dependent.full_name,
+			refs: splitList(dependent.dependency_refs),
+		})),
+	};
+};
+
+/**
+ * Same list as `/dependencies`, by full_name.
+ *
+ * @param {Database} conn
+ * @param {{page: number}} params
+ * @returns {ApiPage<ApiRepoDependencies>}
+ */
+export const listApiDependencies = (conn, { page }) => {
+	const offset = (page - 1) * API_PER_PAGE;
+	const rows = conn
+		.prepare(serverDependencyPageQuery)
+		.all(API_PER_PAGE + 1, offset);
+	return toApiPage(rows, page, (row) => ({
+		platform: row.platform,
+		full_name: row.full_name,
+		dependencies: JSON.parse(row.dependencies).map(toApiDependency),
+	}));
+};
+
+/**
+ * @param {number | null} pure
+ * @returns {1 | null}
+ */
+const toPureFilter = (pure) => (pure === 1 ? 1 : null);
+
+/** @type {ApiEndpoint[]} */
+export const API_ENDPOINTS = [
+	{
+		operationId: "listRepos",
+		path: "/repos",
+		summary: "Repos as listed on /, /new and /top",
+		params: [
+			API_PARAMS.sort,
+			API_PARAMS.kind,
+			API_PARAMS.pure,
+			API_PARAMS.page,
+		],
+		response: apiPageSchema(apiRef("Repo")),
+		handler: (conn, { sort, kind, pure, page }) =>
+			listApiRepos(conn, { sort, kind, pure: toPureFilter(pure), page }),
+	},
+	{
+		operationId: "getRepo",
+		path: "/repos/{platform}/{owner}/{name}",
+		summary: "One repo with its build.zig.zon, dependencies and dependents",
+		params: [API_PARAMS.platform, API_PARAMS.owner, API_PARAMS.name],
+		response: apiObjectSchema({ data: apiRef("RepoDetail") }),
+		handler: (conn, { platform, owner, name }) => {
+			const repo = getApiRepo(conn, platform, `${owner}/${name}`);
+			return repo === null ? null : { data: repo };
+		},
+	},
+	{
+		operationId: "searchRepos",
+		path: "/search",
+		summary: "Repos matching a full text search, most starred first",
+		params: [
+			API_PARAMS.q,
+			API_PARAMS.kind,
+			API_PARAMS.pure,
+			API_PARAMS.page,
+		],
+		response: apiPageSchema(apiRef("Repo")),
+		handler: (conn, { q, kind, pure, page }) =>
+			searchApiRepos(conn, { q, kind, pure: toPureFilter(pure), page }),
+	},
+	{
+		operationId: "listDependencies",
+		path: "/dependencies",
+		summary: "Repos with their dependencies, as listed on /dependencies",
+		params: [API_PARAMS.page],
+		response: apiPageSchema(apiRef("RepoDependencies")),
+		handler: (conn, { page }) => listApiDependencies(conn, { page }),
+	},
+];
+
+/**
+ * @param {string} status
+ * @param {string} description
+ */
+const apiErrorResponse = (status, description) => [
+	status,
+	{
+		description,
+		content: { "application/json": { schema: apiRef("Error") } },
+	},
+];
+
+/**
+ * OpenAPI 3.1 description of API_ENDPOINTS.
+ *
+ * @returns {any}
+ */
+export const getOpenApiDocument = () => ({
+	openapi: "3.1.0",
+	info: {
+		title: "Ziglist API",
+		version: "1",
+		description: "The Zig projects and packages indexed by ziglist.org",
+	},
+	servers: [{ url: "/api/v1" }],
+	paths: Object.fromEntries(
+		API_ENDPOINTS.map((endpoint) => [
+			endpoint.path,
+			{
+				get: {
+					operationId: endpoint.operationId,
+					summary: endpoint.summary,
+					parameters: endpoint.params.map((param) => ({
+						name: param.name,
+						in: param.in,
+						description: param.description,
+						required: param.required,
+						schema: param.schema,
+					})),
+					responses: Object.fromEntries([
+						[
+							"200",
+							{
+								description: "ok",
+								content: {
+									"application/json": { schema: endpoint.response },
+								},
+							},
+						],
+						apiErrorResponse("400", "invalid parameters"),
+						apiErrorResponse("404", "not found"),
+					]),
+				},
+			},
+		]),
+	),
+	components: { schemas: API_SCHEMAS },
+});
+
+// ----------------------------------------------------------------------------
+// extractors
+
+/**
+ * @param {any} data
+ * @returns {Repo}
+ */
+const extractGithub = (data) => ({
+	id: data.id,
+	full_name: data.full_name,
+	platform: "github",
+	name: data.name,
+	default_branch: data.default_branch,
+	owner: data.owner.login,
+	created_at: dateToUnix(data.created_at),
+	updated_at: dateToUnix(data.updated_at),
+	pushed_at: dateToUnix(data.pushed_at),
+	description: data.description ?? null,
+	homepage: data.homepage ?? null,
+	license: data.license?.spdx_id ?? null,
+	language: data.language ?? null,
+	stars: data.stargazers_count,
+	forks: data.forks_count,
+	is_fork: data.fork,
+	is_archived: data.archived,
+});
+
+/**
+ * @param {any} data
+ * @returns {Repo}
+ */
+const extractCodeberg = (data) => ({
+	id: data.id,
+	full_name: data.full_name,
+	platform: "codeberg",
+	name: data.name,
+	default_branch: data.default_branch,
+	owner: data.owner.login,
+	created_at: dateToUnix(data.created_at),
+	updated_at: dateToUnix(data.updated_at),
+	pushed_at: dateToUnix(data.updated_at),
+	description: data.description ?? null,
+	homepage: data.homepage ?? null,
+	license: data.license?.spdx_id ?? null,
+	language: data.language ?? null,
+	stars: data.stars_count,
+	forks: data.forks_count,
+	is_fork: data.fork,
+	is_archived: data.archived,
+});
+
+const repoExtractors = {
+	github: extractGithub,
+	codeberg: extractCodeberg,
+};
+
+/**
+ * @param {Object.<string, any>} dependencies
+ * @returns {{urlDeps: UrlDependency[], deps: RepoDependency[]}}
+ */
+const transformDependencies = (dependencies) => {
+	const urlDeps = [];
+	const deps = [];
+	Object.entries(dependencies).forEach(([name, dep]) => {
+		if ("url" in dep && "hash" in dep) {
+			deps.push({
+				name: name,
+				dependency_type: "url",
+				path: null,
+				url_dependency_hash: dep.hash,
+				lazy: dep.lazy === true,
+				source: "zon",
+			});
+			urlDeps.push({
+				url: dep.url,
+				hash: dep.hash,
+				source: "zon",
+			});
+		} else if ("path" in dep) {
+			deps.push({
+				name: name,
+				dependency_type: "path",
+				path: dep.path,
+				url_dependency_hash: null,
+				lazy: dep.lazy === true,
+				source: "zon",
+			});
+		}
+	});
+	return { urlDeps, deps };
+};
+
+/**
+ * @typedef {Object} Zon
+ * @property {string} name
+ * @property {string} version
+ * @property {string | null} minimum_zig_version
+ * @property {string[]} paths
+ * @property {string | null} fingerprint
+ * @property {UrlDependency[]} urlDeps
+ * @property {RepoDependency[]} deps
+ */
+
+/**
+ * Validates the output of parseZon against the build.zig.zon fields we use.
+ *
+ * @param {any} data - output of parseZon
+ * @returns {Zon}
+ * @throws {ZonSchemaError}
+ */
+export const extractZon = (data) => {
+	/** @param {any} value */
+	const isStruct = (value) =>
+		value !== null && typeof value === "object" && !Array.isArray(value);
+	// `.{}` parses as an empty struct, but it's an empty tuple for `.paths`
+	/** @param {any} value */
+	const isEmpty = (value) => isStruct(value) && Object.keys(value).length === 0;
+
+	if (!isStruct(data)) throw new ZonSchemaError("expected a struct", "");
+	if (typeof data.name !== "string") {
+		throw new ZonSchemaError("expected a string", "name");
+	}
+	if (typeof data.version !== "string") {
+		throw new ZonSchemaError("expected a string", "version");
+	}
+	const minimum_zig_version = data.minimum_zig_version ?? null;
+	if (minimum_zig_version !== null && typeof minimum_zig_version !== "string") {
+		throw new ZonSchemaError("expected a string", "minimum_zig_version");
+	}
+
+	const fingerprint = data.fingerprint ?? null;
+	if (
+		fingerprint !== null &&
+		!(typeof fingerprint === "bigint" || Number.isInteger(fingerprint))
+	) {
+		throw new ZonSchemaError("expected an integer", "fingerprint");
+	}
+
+	const paths = data.paths === undefined || isEmpty(data.paths) ? [] : data.paths;
+	if (!Array.isArray(paths) || paths.some((p) => typeof p !== "string")) {
+		throw new ZonSchemaError("expected a tuple of strings", "paths");
+	}
+
+	const dependencies = data.dependencies ?? {};
+	if (!isStruct(dependencies)) {
+		throw new ZonSchemaError("expected a struct", "dependencies");
+	}
+	for (const [name, dep] of Object.entries(dependencies)) {
+		const field = `dependencies.${name}`;
+		if (!isStruct(dep)) throw new ZonSchemaError("expected a struct", field);
+		if (typeof dep.url !== "string" && typeof dep.path !== "string") {
+			throw new ZonSchemaError("expected .url or .path", field);
+		}
+		if (dep.hash !== undefined && typeof dep.hash !== "string") {
+			throw new ZonSchemaError("expected a string", `${field}.hash`);
+		}
+		if (dep.lazy !== undefined && typeof dep.lazy !== "boolean") {
+			throw new ZonSchemaError("expected a bool", `${field}.lazy`);
+		}
+	}
+
+	return {
+		name: data.name,
+		version: data.version,
+		minimum_zig_version,
+		paths,
+		fingerprint:
+			fingerprint === null
+				? null
+				: `0x${BigInt(fingerprint).toString(16).padStart(16, "0")}`,
+		...transformDependencies(dependencies),
+	};
+};
+
+/**
+ * zigmod and gyro dependencies aren't always named, take the repo or archive
+ * name from the url instead
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+const nameFromUrl = (url) => {
+	const repo = url.match(/(?:github\.com|codeberg\.org)\/[^/]+\/([^/#?]+)/);
+	const last = repo?.[1] ?? url.replace(/\/+$/, "").split("/").pop() ?? url;
+	return last
+		.replace(/\.git$/, "")
+		.replace(/\.(tar\.gz|tgz|tar\.xz|zip)$/, "");
+};
+
+/**
+ * @typedef {Object} ManifestDependencies
+ * @property {UrlDependency[]} urlDeps
+ * @property {RepoDependency[]} deps
+ */
+
+/**
+ * Everything a repo's manifests declare, build.zig.zon first.
+ *
+ * @typedef {Object} Manifests
+ * @property {Zon | null} zon
+ * @property {UrlDependency[]} urlDeps
+ * @property {RepoDependency[]} deps
+ */
+
+/**
+ * @typedef {Object} LegacyDependency
+ * @property {string} name
+ * @property {string | null} url
+ * @property {string | null} path - local dependencies
+ * @property {string | null} version - pinned commit, tag or version range
+ */
+
+/**
+ * Legacy packages have no content hash, the url plus its pinned version
+ * (prefixed with the package manager) stands in as url_dependencies.hash.
+ *
+ * @param {'zigmod' | 'gyro'} source
+ * @param {LegacyDependency[]} entries
+ * @returns {ManifestDependencies}
+ */
+const transformLegacyDependencies = (source, entries) => {
+	/** @type {UrlDependency[]} */
+	const urlDeps = [];
+	/** @type {RepoDependency[]} */
+	const deps = [];
+	const seen = new Set();
+	for (const { name, url, path, version } of entries) {
+		if (seen.has(name)) continue;
+		seen.add(name);
+		if (url !== null) {
+			const hash = `${source}:${url}${version ? ` ${version}` : ""}`;
+			deps.push({
+				name,
+				dependency_type: "url",
+				path: null,
+				url_dependency_hash: hash,
+				lazy: false,
+				source,
+			});
+			urlDeps.push({ url, hash, source });
+		} else if (path !== null) {
+			deps.push({
+				name,
+				dependency_type: "path",
+				path,
+				url_dependency_hash: null,
+				lazy: false,
+				source,
+			});
+		}
+	}
+	return { urlDeps, deps };
+};
+
+/**
+ * `src: system_lib ...` and `src: framework ...` aren't packages and are
+ * left out, so are entries without a `src`.
+ *
+ * @param {ReturnType<typeof parseZigmodYml>} yml
+ * @param {ZigmodLockEntry[]} lock - empty when there's no zigmod.lock
+ * @returns {ManifestDependencies}
+ */
+export const extractZigmod = (yml, lock) => {
+	const pins = new Map(lock.map((e) => [`${e.type} ${e.path}`, e.version]));
+	const lists = [
+		"dependencies",
+		"root_dependencies",
+		"build_dependencies",
+		"dev_dependencies",
+	];
+	const listed = /** @type {ZigmodDependency[]} */ (
+		lists
+			.flatMap((key) => (Array.isArray(yml[key]) ? yml[key] : []))
+			.filter((dep) => typeof dep === "object" && typeof dep.src === "string")
+	);
+	/** @type {LegacyDependency[]} */
+	const entries = [];
+	for (const dep of listed) {
+		const [type, target, inlineVersion] = dep.src.trim().split(/\s+/);
+		if (!target) continue;
+		const name = dep.name || nameFromUrl(target);
+		if (type === "local") {
+			entries.push({ name, url: null, path: target, version: null });
+		} else if (type === "git" || type === "hg" || type === "http") {
+			const version =
+				pins.get(`${type} ${target}`) ?? dep.version ?? inlineVersion ?? null;
+			entries.push({ name, url: target, path: null, version });
+		}
+	}
+	return transformLegacyDependencies("zigmod", entries);
+};
+
+/**
+ * A gyro dependency is either `user/pkg: version` from astrolabe.pm or a
+ * node with (optionally under `src:`) one of git, github, url, pkg or local.
+ *
+ * @param {Object.<string, any>} zzz - output of parseZzz
+ * @returns {ManifestDependencies}
+ */
+export const extractGyro = (zzz) => {
+	/** @param {string} user @param {string} pkg */
+	const astrolabe = (user, pkg) =>
+		`https://astrolabe.pm/#/package/${user ? `${user}/` : ""}${pkg}`;
+	/** @type {LegacyDependency[]} */
+	const entries = ["deps", "build_deps"]
+		.flatMap((key) =>
+			zzz[key] && typeof zzz[key] === "object" ? Object.entries(zzz[key]) : [],
+		)
+		.flatMap(([key, node]) => {
+			const name = key.split("/").pop() ?? key;
+			/** @param {string | null} url @param {string | null} version */
+			const entry = (url, version) => [
+				{ name, url, path: null, version: version ?? null },
+			];
+			if (typeof node === "string") {
+				const user = key.includes("/") ? key.split("/")[0] : "";
+				return entry(astrolabe(user, name), node);
+			}
+			const src = node.src ?? node;
+			if (src.git?.url) return entry(src.git.url, src.git.ref);
+			if (src.github?.user && src.github?.repo) {
+				const { user, repo, ref } = src.github;
+				return entry(`https://github.com/${user}/${repo}`, ref);
+			}
+			if (typeof src.url === "string") return entry(src.url, null);
+			if (src.url?.url) return entry(src.url.url, null);
+			if (src.pkg?.name) {
+				const { user, name: pkg, version } = src.pkg;
+				return entry(astrolabe(user ?? "", pkg), version);
+			}
+			const path = typeof src.local === "string" ? src.local : src.local?.path;
+			return path ? [{ name, url: null, path, version: null }] : [];
+		});
+	return transformLegacyDependencies("gyro", entries);
+};
+
+/**
+ * https://github.com/ziglang/zig/blob/0.14.0/src/Package.zig
+ *
+ * hashplus is 33 bytes, base64url: u32 LE package id, u32 LE decompressed
+ * size, first 25 bytes of the sha256 digest
+ *
+ * @param {string} hash - `.hash` of a dependency
+ * @returns {PackageHash | null} null for formats we don't know
+ */
+export const decodePackageHash = (hash) => {
+	const multihash = hash.match(/^1220([0-9a-f]{64})$/);
+	if (multihash) {
+		return {
+			format: "multihash",
+			name: null,
+			version: null,
+			package_id: null,
+			size: null,
+			digest: multihash[1],
+		};
+	}
+	// name is a zig identifier so it has no `-`, the semver might
+	const match = hash.match(/^([A-Za-z0-9_]+)-(.+)-([A-Za-z0-9_-]{44})$/);
+	if (!match) return null;
+	const bytes = Buffer.from(match[3], "base64url");
+	if (bytes.length !== 33) return null;
+	return {
+		format: "package",
+		name: match[1],
+		version: match[2],
+		package_id: bytes.readUInt32LE(0),
+		size: bytes.readUInt32LE(4),
+		digest: bytes.subarray(8).toString("hex"),
+	};
+};
+
+/**
+ * Dependencies are keyed by name, it's unique within a manifest. The same
+ * name declared by two manifests (zon and zigmod) are two dependencies.
+ *
+ * @param {RepoDependency[]} previous - what's stored for the repo
+ * @param {RepoDependency[]} current - what the manifests declare now
+ * @returns {DependencyEvent[]}
+ */
+export const diffDependencies = (previous, current) => {
+	/** @param {RepoDependency} dep */
+	const key = (dep) => `${dep.source}:${dep.name}`;
+	const before = new Map(previous.map((dep) => [key(dep), dep]));
+	const after = new Map(current.map((dep) => [key(dep), dep]));
+	/** @type {DependencyEvent[]} */
+	const events = [];
+	for (const [id, dep] of after) {
+		const old = before.get(id);
+		const name = dep.name;
+		if (!old) {
+			events.push({ name, event: "added", before: null, after: dep });
+		} else if (
+			old.dependency_type !== dep.dependency_type ||
+			old.path !== dep.path ||
+			old.url_dependency_hash !== dep.url_dependency_hash ||
+			// stored as 0/1, parsed as a boolean
+			Boolean(old.lazy) !== Boolean(dep.lazy)
+		) {
+			events.push({ name, event: "changed", before: old, after: dep });
+		}
+	}
+	for (const [id, dep] of before) {
+		if (!after.has(id)) {
+			events.push({
+				name: dep.name,
+				event: "removed",
+				before: dep,
+				after: null,
+			});
+		}
+	}
+	return events;
+};
+
+/**
+ * Every build.zig.zon below the repo root. Caches and vendored package
+ * caches (`.zig-cache`, `zig-cache`, `zig-out`, `zig-pkg`) are skipped.
+ *
+ * @param {TreeEntry[]} entries - git tree, recursive
+ * @returns {{path: string, sha: string}[]} path is the package directory
+ */
+export const findNestedPackages = (entries) => {
+	const skipped = [".zig-cache", "zig-cache", "zig-out", "zig-pkg"];
+	const suffix = "/build.zig.zon";
+	return entries
+		.filter((e) => e.type === "blob" && e.path.endsWith(suffix))
+		.map((e) => ({ path: e.path.slice(0, -suffix.length), sha: e.sha }))
+		.filter(({ path }) => !path.split("/").some((d) => skipped.includes(d)));
+};
+
+/**
+ * Resolves a `.path` dependency against the directory of the build.zig.zon
+ * declaring it.
+ *
+ * @param {string} from - package directory, `""` for the repo root
+ * @param {string} path - `.path` of the dependency
+ * @returns {string | null} repo relative directory, null outside of the repo
+ */
+export const resolvePackagePath = (from, path) => {
+	if (path.startsWith("/")) return null;
+	/** @type {string[]} */
+	const parts = [];
+	for (const part of [...from.split("/"), ...path.split("/")]) {
+		if (part === "" || part === ".") continue;
+		if (part === "..") {
+			if (parts.length === 0) return null;
+			parts.pop();
+		} else {
+			parts.push(part);
+		}
+	}
+	return parts.join("/");
+};
+
+/**
+ * Drafts aren't tagged yet and are skipped. Forgejo tags carry the commit
+ * date, github's only get one through their release.
+ *
+ * @param {any[]} tags - tags api response
+ * @param {any[]} releases - releases api response
+ * @returns {RepoTag[]}
+ */
+export const mergeTagsAndReleases = (tags, releases) => {
+	const published = new Map(
+		releases.filter((r) => !r.draft).map((r) => [r.tag_name, r]),
+	);
+	return tags.map((t) => {
+		const release = published.get(t.name);
+		const date = release?.published_at ?? t.commit?.created ?? null;
+		return {
+			tag: t.name,
+			commit_sha: t.commit.sha,
+			is_release: release !== undefined,
+			is_prerelease: release?.prerelease === true,
+			released_at: date ? dateToUnix(date) : null,
+		};
+	});
+};
+
+/**
+ * Orders version-like tags (`v1.2.3`, `0.10.0`, `1.0.0-rc.1`), a pre-release
+ * comes before its release.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number | null} null when either tag isn't version-like
+ */
+export const compareVersionTags = (a, b) => {
+	const re = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/;
+	const ma = a.match(re);
+	const mb = b.match(re);
+	if (!ma || !mb) return null;
+	const na = ma[1].split(".").map(Number);
+	const nb = mb[1].split(".").map(Number);
+	for (let i = 0; i < Math.max(na.length, nb.length); i++) {
+		const diff = (na[i] ?? 0) - (nb[i] ?? 0);
+		if (diff !== 0) return Math.sign(diff);
+	}
+	if (ma[2] === mb[2]) return 0;
+	if (ma[2] === undefined) return 1;
+	if (mb[2] === undefined) return -1;
+	return Math.sign(ma[2].localeCompare(mb[2], undefined, { numeric: true }));
+};
+
+/**
+ * The highest release tag, pre-releases only when there's nothing else and
+ * the first listed tag when none of them are version-like.
+ *
+ * @param {any[]} tags - tags api response
+ * @returns {{tag: string, sha: string} | null}
+ */
+export const pickLatestTag = (tags) => {
+	/** @param {any} t */
+	const toTag = (t) => ({ tag: t.name, sha: t.commit.sha });
+	/** @type {any[]} */
+	const versions = tags.filter((t) => compareVersionTags(t.name, t.name) === 0);
+	if (versions.length === 0) return tags.length > 0 ? toTag(tags[0]) : null;
+	const releases = versions.filter((t) => !/^v?[\d.]+-/.test(t.name));
+	const candidates = releases.length > 0 ? releases : versions;
+	const latest = candidates.reduce((a, b) =>
+		/** @type {number} */ (compareVersionTags(a.name, b.name)) >= 0 ? a : b,
+	);
+	return toTag(latest);
+};
+
+/**
+ * Tags are compared against the latest tag, commits against the head of the
+ * default branch (or the latest tag's commit). Branches move with upstream,
+ * there's nothing to compare.
+ *
+ * @param {string | null} ref
+ * @param {'tag' | 'branch' | 'commit' | null} refType
+ * @param {Upstream} upstream
+ * @returns {{status: UpstreamStatus, latest_ref: string | null}}
+ */
+export const getUpstreamStatus = (ref, refType, upstream) => {
+	const { latest_tag, latest_tag_sha, head_sha } = upstream;
+	if (ref === null || refType === "branch") {
+		return { status: "unknown", latest_ref: latest_tag ?? head_sha };
+	}
+	if (refType === "commit") {
+		const pinned = ref.toLowerCase();
+		if (latest_tag && latest_tag_sha?.startsWith(pinned)) {
+			return { status: "latest", latest_ref: latest_tag };
+		}
+		if (head_sha === null) return { status: "unknown", latest_ref: null };
+		const status = head_sha.startsWith(pinned) ? "latest" : "outdated";
+		return { status, latest_ref: head_sha };
+	}
+	if (latest_tag === null) return { status: "unknown", latest_ref: null };
+	if (ref === latest_tag) return { status: "latest", latest_ref: latest_tag };
+	const order = compareVersionTags(ref, latest_tag);
+	if (order === null) return { status: "unknown", latest_ref: latest_tag };
+	return { status: order < 0 ? "outdated" : "latest", latest_ref: latest_tag };
+};
+
+/**
+ * Takes apart archive urls (`/archive/refs/tags/v1.tar.gz`,
+ * `/archive/<sha>.zip`, codeload, api tarballs, release assets, gitlab
+ * `/-/archive/`), `git+https` urls as written by `zig fetch`
+ * (`?ref=<name>#<sha>`) and plain repo urls from zigmod and gyro.
+ *
+ * @param {string} url - url of a dependency
+ * @returns {DependencyURL | null} null when it isn't a url
+ */
+export const normalizeDependencyURL = (url) => {
+	/** @type {URL} */
+	let parsed;
+	try {
+		parsed = new URL(url.replace(/^git\+/, ""));
+	} catch {
+		return null;
+	}
+	/** @type {Object.<string, string>} */
+	const aliases = {
+		"www.github.com": "github.com",
+		"codeload.github.com": "github.com",
+		"api.github.com": "github.com",
+		"www.codeberg.org": "codeberg.org",
+		"www.gitlab.com": "gitlab.com",
+	};
+	// hosts where a bare /<owner>/<repo>/... path is always a repo
+	const forges = new Set([
+		"github.com",
+		"codeberg.org",
+		"gitlab.com",
+		"git.sr.ht",
+	]);
+	const host = aliases[parsed.hostname] ?? parsed.hostname;
+	/** @param {string} part - kept as written when it's a malformed escape */
+	const decode = (part) => {
+		try {
+			return decodeURIComponent(part);
+		} catch {
+			return part;
+		}
+	};
+	const parts = parsed.pathname.split("/").filter(Boolean).map(decode);
+	const archive = /\.(tar\.gz|tgz|tar\.xz|tar\.zst|zip)$/;
+	const isGit = url.startsWith("git+");
+	/** @type {DependencyURL} */
+	const base = {
+		host,
+		owner: null,
+		repo: null,
+		ref: null,
+		ref_type: null,
+		archive_format: isGit ? "git" : (parts.at(-1)?.match(archive)?.[1] ?? null),
+	};
+	if (parsed.hostname === "api.github.com" && parts.shift() !== "repos") {
+		return base;
+	}
+
+	/** @param {string} ref */
+	const isCommit = (ref) => /^[0-9a-f]{7,40}$/i.test(ref);
+	/**
+	 * @param {string} owner
+	 * @param {string} repo
+	 * @param {string | null} ref - as found in the url, maybe `refs/tags/...`
+	 * @returns {DependencyURL}
+	 */
+	const withRef = (owner, repo, ref) => {
+		const named = { ...base, owner, repo: repo.replace(/\.git$/, "") };
+		if (!ref) return named;
+		if (ref.startsWith("refs/tags/")) {
+			return { ...named, ref: ref.slice(10), ref_type: "tag" };
+		}
+		if (ref.startsWith("refs/heads/")) {
+			return { ...named, ref: ref.slice(11), ref_type: "branch" };
+		}
+		if (isCommit(ref)) return { ...named, ref, ref_type: "commit" };
+		// archives resolve branches too, but version-like names are tags
+		return { ...named, ref, ref_type: /^v?\d/.test(ref) ? "tag" : null };
+	};
+
+	if (isGit) {
+		if (parts.length < 2) return base;
+		// gitlab subgroups, everything but the last segment is the owner
+		const ref = parsed.searchParams.get("ref") ?? parsed.hash.slice(1);
+		return withRef(parts.slice(0, -1).join("/"), parts[parts.length - 1], ref);
+	}
+	const dash = parts.indexOf("-");
+	if (dash >= 2 && parts[dash + 1] === "archive" && parts[dash + 2]) {
+		const owner = parts.slice(0, dash - 1).join("/");
+		return withRef(owner, parts[dash - 1], parts[dash + 2]);
+	}
+	const [owner, repo, kind, ...rest] = parts;
+	if (!owner || !repo) return base;
+	if (kind === "archive" && rest.length > 0) {
+		return withRef(owner, repo, rest.join("/").replace(archive, ""));
+	}
+	if (
+		host === "github.com" &&
+		["tarball", "zipball", "tar.gz", "zip"].includes(kind) &&
+		rest.length > 0
+	) {
+		return withRef(owner, repo, rest.join("/"));
+	}
+	if (kind === "releases" && rest[0] === "download" && rest[1]) {
+		return { ...withRef(owner, repo, null), ref: rest[1], ref_type: "tag" };
+	}
+	if (forges.has(host)) return withRef(owner, repo, null);
+	return base;
+};
+
+/**
+ * Key shared by every url of one repo, whatever the spelling.
+ *
+ * @param {DependencyURL} normalized
+ * @returns {string | null}
+ */
+export const getUpstreamKey = (normalized) =>
+	normalized.owner && normalized.repo
+		? `${normalized.host}/${normalized.owner}/${normalized.repo}`.toLowerCase()
+		: null;
+
+/**
+ * @param {string} url - url of a dependency
+ * @returns {DependencyTarget | null} null when it isn't a github/codeberg repo
+ */
+export const parseDependencyURL = (url) => {
+	const normalized = normalizeDependencyURL(url);
+	/** @type {Object.<string, 'github' | 'codeberg'>} */
+	const platforms = { "github.com": "github", "codeberg.org": "codeberg" };
+	const platform = platforms[normalized?.host ?? ""];
+	if (!normalized?.owner || !normalized.repo || !platform) return null;
+	return {
+		platform,
+		full_name: `${normalized.owner}/${normalized.repo}`,
+		ref: normalized.ref,
+		ref_type: normalized.ref_type,
+	};
+};
+
+/**
+ * Walks the dependencies of `rootId` breadth first. Only dependencies that
+ * resolve to indexed repos are followed, theirs are the only manifests we
+ * have.
+ *
+ * @param {number} rootId
+ * @param {Map<number, DependencyEdge[]>} edges - keyed by dependent_id
+ * @returns {DependencyGraph}
+ */
+export const analyzeDependencyGraph = (rootId, edges) => {
+	/** @type {Map<string, GraphNode>} */
+	const nodes = new Map();
+	/** @type {Map<string, Map<string, DiamondPin>>} */
+	const pins = new Map();
+	const depths = new Map([[rootId, 0]]);
+	const queue = [rootId];
+	for (let i = 0; i < queue.length; i++) {
+		const id = queue[i];
+		const depth = /** @type {number} */ (depths.get(id)) + 1;
+		for (const edge of edges.get(id) ?? []) {
+			if (edge.repo_id === rootId) continue;
+			if (!nodes.has(edge.node)) {
+				nodes.set(edge.node, {
+					node: edge.node,
+					repo_id: edge.repo_id,
+					label: edge.label,
+					depth,
+					parent_id: id,
+				});
+			}
+			const nodePins = pins.get(edge.node) ?? new Map();
+			pins.set(edge.node, nodePins);
+			const pin = nodePins.get(edge.hash) ?? {
+				hash: edge.hash,
+				ref: edge.ref,
+				dependent_ids: [],
+			};
+			nodePins.set(edge.hash, pin);
+			if (!pin.dependent_ids.includes(id)) pin.dependent_ids.push(id);
+			if (edge.repo_id !== null && !depths.has(edge.repo_id)) {
+				depths.set(edge.repo_id, depth);
+				queue.push(edge.repo_id);
+			}
+		}
+	}
+
+	/** @type {Map<string, number[]>} */
+	const cycles = new Map();
+	/** @type {Set<number>} */
+	const done = new Set();
+	/** @type {number[]} */
+	const stack = [];
+	/** @param {number} id */
+	const visit = (id) => {
+		stack.push(id);
+		for (const edge of edges.get(id) ?? []) {
+			if (edge.repo_id === null || done.has(edge.repo_id)) continue;
+			const at = stack.indexOf(edge.repo_id);
+			if (at === -1) {
+				visit(edge.repo_id);
+				continue;
+			}
+			// rotated to start at the lowest id, the same cycle can be entered
+			// from any of its repos
+			const cycle = stack.slice(at);
+			const start = cycle.indexOf(Math.min(...cycle));
+			const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+			cycles.set(rotated.join(","), [...rotated, rotated[0]]);
+		}
+		stack.pop();
+		done.add(id);
+	};
+	visit(rootId);
+
+	/** @type {Diamond[]} */
+	const diamonds = [];
+	for (const [node, nodePins] of pins) {
+		if (nodePins.size < 2) continue;
+		const { repo_id, label } = /** @type {GraphNode} */ (nodes.get(node));
+		diamonds.push({ node, repo_id, label, pins: [...nodePins.values()] });
+	}
+	const list = [...nodes.values()];
+	return {
+		nodes: list,
+		direct_count: list.filter((n) => n.depth === 1).length,
+		depth: Math.max(0, ...list.map((n) => n.depth)),
+		cycles: [...cycles.values()],
+		diamonds,
+	};
+};
+
+const GRAPH_NODE_WIDTH = 160;
+const GRAPH_NODE_HEIGHT = 24;
+const GRAPH_COLUMN_GAP = 64;
+const GRAPH_ROW_GAP = 8;
+
+/**
+ * Places nodes in columns by depth, in the order given within a column.
+ * Edges point from `repo:<dependent_id>` to `node`, those with an end that
+ * isn't placed are dropped. Back edges (cycles, or anything not pointing to
+ * a later column) are flagged so they can be drawn differently.
+ *
+ * @template {{node: string, depth: number}} T
+ * @param {T[]} nodes
+ * @param {{dependent_id: number, node: string}[]} edges
+ */
+export const layoutGraph = (nodes, edges) => {
+	/** @type {Map<string, T & {x: number, y: number}>} */
+	const placed = new Map();
+	/** @type {Map<number, number>} */
+	const rows = new Map();
+	for (const n of nodes) {
+		if (placed.has(n.node)) continue;
+		const row = rows.get(n.depth) ?? 0;
+		rows.set(n.depth, row + 1);
+		placed.set(n.node, {
+			...n,
+			x: n.depth * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP),
+			y: row * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP),
+		});
+	}
+	const lines = [];
+	for (const edge of edges) {
+		const from = placed.get(`repo:${edge.dependent_id}`);
+		const to = placed.get(edge.node);
+		if (!from || !to) continue;
+		lines.push({
+			x1: from.x + GRAPH_NODE_WIDTH,
+			y1: from.y + GRAPH_NODE_HEIGHT / 2,
+			x2: to.x,
+			y2: to.y + GRAPH_NODE_HEIGHT / 2,
+			back: to.depth <= from.depth,
+		});
+	}
+	const columns = placed.size > 0 ? Math.max(...rows.keys()) + 1 : 0;
+	const height = Math.max(0, ...rows.values());
+	return {
+		node_width: GRAPH_NODE_WIDTH,
+		node_height: GRAPH_NODE_HEIGHT,
+		width: Math.max(
+			0,
+			columns * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP) - GRAPH_COLUMN_GAP,
+		),
+		height: Math.max(
+			0,
+			height * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) - GRAPH_ROW_GAP,
+		),
+		nodes: [...placed.values()],
+		edges: lines,
+	};
+};
+
+// ----------------------------------------------------------------------------
+// package hashes
+
+// https://github.com/ziglang/zig/blob/0.14.0/src/Package/Fetch.zig
+// the hash covers the unpacked files the package's `.paths` include, each
+// file is hashed on its own and the sorted file hashes are hashed again
+
+// archives are unpacked in memory, a small archive can inflate to gigabytes
+const MAX_UNPACKED_SIZE = 256 * 1024 * 1024;
+
+/**
+ * @param {() => Uint8Array} inflate - zlib call with a maxOutputLength
+ * @returns {Uint8Array | null} null when the output would be too large
+ */
+const inflateCapped = (inflate) => {
+	try {
+		return inflate();
+	} catch (e) {
+		if (/** @type {any} */ (e)?.code === "ERR_BUFFER_TOO_LARGE") return null;
+		throw e;
+	}
+};
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - `/` separated, relative to the package root
+ * @property {'file' | 'link'} kind
+ * @property {Uint8Array} data - file contents, empty for links
+ * @property {string | null} link - symlink target
+ */
+
+/**
+ * @param {Uint8Array} bytes - uncompressed tar
+ * @returns {ArchiveEntry[]}
+ */
+const readTar = (bytes) => {
+	const decoder = new TextDecoder();
+	/** @param {Uint8Array} field */
+	const text = (field) => {
+		const end = field.indexOf(0);
+		return decoder.decode(end === -1 ? field : field.subarray(0, end));
+	};
+	/**
+	 * pax records are `<length> <key>=<value>\n`, length in bytes
+	 * @param {Uint8Array} data
+	 */
+	const readPax = (data) => {
+		/** @type {Record<string, string>} */
+		const records = {};
+		let offset = 0;
+		while (offset < data.length) {
+			const space = data.indexOf(0x20, offset);
+			if (space === -1) break;
+			const length = Number(decoder.decode(data.subarray(offset, space)));
+			if (!(length > 0)) break;
+			const record = decoder.decode(data.subarray(space + 1, offset + length));
+			const equals = record.indexOf("=");
+			records[record.slice(0, equals)] = record.slice(equals + 1, -1);
+			offset += length;
+		}
+		return records;
+	};
+
+	/** @type {ArchiveEntry[]} */
+	const entries = [];
+	/** @type {Record<string, string>} */
+	let pax = {};
+	let longName = null;
+	let longLink = null;
+	let offset = 0;
+	// the archive ends with zeroed blocks
+	while (offset + 512 <= bytes.length && bytes[offset] !== 0) {
+		const header = bytes.subarray(offset, offset + 512);
+		const size = parseInt(text(header.subarray(124, 136)).trim() || "0", 8);
+		const type = String.fromCharCode(header[156] || 0x30);
+		const data = bytes.subarray(offset + 512, offset + 512 + size);
+		offset += 512 + Math.ceil(size / 512) * 512;
+
+		if (type === "x") {
+			pax = readPax(data);
+			continue;
+		}
+		if (type === "L") {
+			longName = text(data);
+			continue;
+		}
+		if (type === "K") {
+			longLink = text(data);
+			continue;
+		}
+		const prefix = text(header.subarray(345, 500));
+		const name = text(header.subarray(0, 100));
+		const path = pax.path ?? longName ?? (prefix ? `${prefix}/${name}` : name);
+		const link = pax.linkpath ?? longLink ?? text(header.subarray(157, 257));
+		pax = {};
+		longName = null;
+		longLink = null;
+		// directories, hard links and the global pax header aren't hashed
+		if (type === "0" || type === "7") {
+			entries.push({ path, kind: "file", data, link: null });
+		} else if (type === "2") {
+			entries.push({ path, kind: "link", data: new Uint8Array(), link });
+		}
+	}
+	return entries;
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {ArchiveEntry[] | null} null for zip64, unknown compression and
+ * archives unpacking past MAX_UNPACKED_SIZE
+ */
+const readZip = (bytes) => {
+	const decoder = new TextDecoder();
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	// the end of central directory record is followed by a comment of up to
+	// 64KiB
+	let end = -1;
+	const last = Math.max(0, bytes.length - 22 - 0xffff);
+	for (let i = bytes.length - 22; i >= last; i--) {
+		if (view.getUint32(i, true) === 0x06054b50) {
+			end = i;
+			break;
+		}
+	}
+	if (end === -1) return null;
+	const count = view.getUint16(end + 10, true);
+	let offset = view.getUint32(end + 16, true);
+	if (count === 0xffff || offset === 0xffffffff) return null;
+
+	/** @type {ArchiveEntry[]} */
+	const entries = [];
+	let unpacked = 0;
+	for (let i = 0; i < count; i++) {
+		if (view.getUint32(offset, true) !== 0x02014b50) return null;
+		const method = view.getUint16(offset + 10, true);
+		const compressedSize = view.getUint32(offset + 20, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const extraLength = view.getUint16(offset + 30, true);
+		const commentLength = view.getUint16(offset + 32, true);
+		const localOffset = view.getUint32(offset + 42, true);
+		const path = decoder.decode(
+			bytes.subarray(offset + 46, offset + 46 + nameLength),
+		);
+		offset += 46 + nameLength + extraLength + commentLength;
+		if (path.endsWith("/")) continue;
+
+		const start =
+			localOffset +
+			30 +
+			view.getUint16(localOffset + 26, true) +
+			view.getUint16(localOffset + 28, true);
+		const raw = bytes.subarray(start, start + compressedSize);
+		/** @type {Uint8Array | null} */
+		let data = null;
+		if (method === 0) {
+			data = raw;
+		} else if (method === 8) {
+			const maxOutputLength = MAX_UNPACKED_SIZE - unpacked;
+			data = inflateCapped(() => inflateRawSync(raw, { maxOutputLength }));
+		}
+		if (data === null) return null;
+		unpacked += data.length;
+		if (unpacked > MAX_UNPACKED_SIZE) return null;
+		entries.push({ path, kind: "file", data, link: null });
+	}
+	return entries;
+};
+
+/** @typedef {'tar.gz' | 'zip' | 'tar'} ArchiveFormat */
+
+/**
+ * @param {Uint8Array} archive
+ * @returns {ArchiveFormat | null} null for formats we can't read
+ */
+export const getArchiveFormat = (archive) => {
+	const magic = (/** @type {number[]} */ ...expected) =>
+		expected.every((byte, i) => archive[i] === byte);
+	if (magic(0x1f, 0x8b)) return "tar.gz";
+	if (magic(0x50, 0x4b, 0x03, 0x04)) return "zip";
+	if (new TextDecoder().decode(archive.subarray(257, 262)) === "ustar") {
+		return "tar";
+	}
+	return null;
+};
+
+/**
+ * Like zig, a single directory every entry is in is stripped.
+ *
+ * @param {Uint8Array} archive
+ * @returns {ArchiveEntry[] | null} null for formats we can't read and
+ * archives unpacking past MAX_UNPACKED_SIZE
+ */
+const unpackArchive = (archive) => {
+	const format = getArchiveFormat(archive);
+	let entries = null;
+	if (format === "tar.gz") {
+		const tar = inflateCapped(() =>
+			gunzipSync(archive, { maxOutputLength: MAX_UNPACKED_SIZE }),
+		);
+		entries = tar && readTar(tar);
+	} else if (format === "zip") entries = readZip(archive);
+	else if (format === "tar") entries = readTar(archive);
+	if (entries === null) return null;
+
+	const root = entries[0]?.path.split("/")[0];
+	const stripped = entries.every((e) => e.path.startsWith(`${root}/`))
+		? entries.map((e) => ({ ...e, path: e.path.slice(root.length + 1) }))
+		: entries;
+	// later entries overwrite earlier ones with the same path
+	return [...new Map(stripped.map((e) => [e.path, e])).values()];
+};
+
+/**
+ * @param {string[]} paths - `.paths` of the package, empty includes everything
+ * @param {string} path
+ * @returns {boolean}
+ */
+const includePackagePath = (paths, path) => {
+	if (paths.length === 0 || paths.includes("") || paths.includes(".")) {
+		return true;
+	}
+	// the path itself or any of its parent directories
+	for (let dir = path; ; dir = dir.slice(0, dir.lastIndexOf("/"))) {
+		if (paths.includes(dir)) return true;
+		if (!dir.includes("/")) return false;
+	}
+};
+
+/**
+ * @typedef {Object} ComputedPackageHash
+ * @property {string} digest - hex sha256 of the included files
+ * @property {number} size - bytes of the included files
+ * @property {Zon | null} zon - the package's own build.zig.zon
+ */
+
+/**
+ * Zig >= 0.12 hashes every file as not executable.
+ *
+ * @param {Uint8Array} archive
+ * @returns {ComputedPackageHash | null} null for formats we can't read and
+ * archives unpacking past MAX_UNPACKED_SIZE
+ */
+export const computePackageHash = (archive) => {
+	const entries = unpackArchive(archive);
+	if (entries === null) return null;
+	const zonEntry = entries.find(
+		(e) => e.path === "build.zig.zon" && e.kind === "file",
+	);
+	let zon = null;
+	try {
+		if (zonEntry) {
+			zon = extractZon(parseZon(new TextDecoder().decode(zonEntry.data)));
+		}
+	} catch {
+		// zig refuses a package with a broken manifest, everything is hashed
+	}
+
+	const files = entries
+		.filter((e) => includePackagePath(zon?.paths ?? [], e.path))
+		.map((e) => ({ ...e, name: Buffer.from(e.path) }))
+		.sort((a, b) => Buffer.compare(a.name, b.name));
+	const hasher = createHash("sha256");
+	let size = 0;
+	for (const file of files) {
+		const fileHasher = createHash("sha256").update(file.name);
+		if (file.kind === "file") {
+			fileHasher.update(Uint8Array.of(0, 0)).update(file.data);
+			size += file.data.length;
+		} else {
+			fileHasher.update(file.link?.replaceAll("\\", "/") ?? "");
+		}
+		hasher.update(fileHasher.digest());
+	}
+	return { digest: hasher.digest("hex"), size, zon };
+};
+
+/**
+ * Formats a computed hash like `expected` so the two can be compared, the
+ * name, version and fingerprint come from the package's build.zig.zon.
+ *
+ * @param {string} expected - `.hash` of the dependency
+ * @param {ComputedPackageHash} computed
+ * @returns {string}
+ */
+export const formatPackageHash = (expected, computed) => {
+	const decoded = decodePackageHash(expected);
+	if (decoded?.format !== "package") return `1220${computed.digest}`;
+	const fingerprint = computed.zon?.fingerprint;
+	const bytes = Buffer.alloc(33);
+	// the fingerprint's low 32 bits are the package id
+	bytes.writeUInt32LE(
+		fingerprint
+			? parseInt(fingerprint.slice(-8), 16)
+			: (decoded.package_id ?? 0),
+		0,
+	);
+	bytes.writeUInt32LE(Math.min(computed.size, 0xffffffff), 4);
+	Buffer.from(computed.digest, "hex").copy(bytes, 8, 0, 25);
+	const name = computed.zon?.name ?? decoded.name;
+	const version = computed.zon?.version ?? decoded.version;
+	return `${name}-${version}-${bytes.toString("base64url")}`;
+};
+
+// ----------------------------------------------------------------------------
+// url stuffs
+
+/**
+ * @param {string} filename
+ * @returns {(repo: RepoName) => string}
+ */
+const getBuildZigURL = (filename) => (repo) => {
+	if (repo.platform === "github") {
+		return `https://raw.githubusercontent.com/${repo.full_name}/${repo.default_branch}/${filename}`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/${repo.full_name}/raw/branch/${repo.default_branch}/${filename}`;
+	}
+	fatal(`getBuildZigURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+const getZigURL = getBuildZigURL("build.zig");
+const getZonURL = getBuildZigURL("build.zig.zon");
+const getZigmodYmlURL = getBuildZigURL("zigmod.yml");
+const getZigmodLockURL = getBuildZigURL("zigmod.lock");
+const getGyroZzzURL = getBuildZigURL("gyro.zzz");
+
+/**
+ * Tag names can have slashes (`release/v1`), keep those as path separators.
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+const encodeTag = (tag) => tag.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * @param {{platform: string, full_name: string}} repo
+ * @returns {string}
+ */
+const getRepoTagsURL = (repo) => {
+	if (repo.platform === "github") {
+		return `https://api.github.com/repos/${repo.full_name}/tags?per_page=100`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/api/v1/repos/${repo.full_name}/tags?limit=50`;
+	}
+	fatal(`getRepoTagsURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * Latest commit of the default branch.
+ *
+ * @param {{platform: string, full_name: string}} repo
+ * @returns {string}
+ */
+const getRepoHeadURL = (repo) => {
+	if (repo.platform === "github") {
+		return `https://api.github.com/repos/${repo.full_name}/commits/HEAD`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/api/v1/repos/${repo.full_name}/commits?limit=1&stat=false&verification=false&files=false`;
+	}
+	fatal(`getRepoHeadURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * @param {RepoName} repo
+ * @returns {string}
+ */
+const getRepoReleasesURL = (repo) => {
+	if (repo.platform === "github") {
+		return `https://api.github.com/repos/${repo.full_name}/releases?per_page=100`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/api/v1/repos/${repo.full_name}/releases?limit=50`;
+	}
+	fatal(`getRepoReleasesURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * @param {RepoName} repo
+ * @param {string} tag
+ * @returns {string}
+ */
+const getTagZonURL = (repo, tag) => {
+	if (repo.platform === "github") {
+		return `https://raw.githubusercontent.com/${repo.full_name}/refs/tags/${encodeTag(tag)}/build.zig.zon`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/${repo.full_name}/raw/tag/${encodeTag(tag)}/build.zig.zon`;
+	}
+	fatal(`getTagZonURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * What goes into `zig fetch --save` to depend on a tagged release.
+ *
+ * @param {{platform: string, full_name: string}} repo
+ * @param {string} tag
+ * @returns {string}
+ */
+export const getTagTarballURL = (repo, tag) => {
+	if (repo.platform === "github") {
+		return `https://github.com/${repo.full_name}/archive/refs/tags/${encodeTag(tag)}.tar.gz`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/${repo.full_name}/archive/${encodeTag(tag)}.tar.gz`;
+	}
+	fatal(`getTagTarballURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * Recursive file listing of the default branch. Forgejo serves the same git
+ * trees api as github, paginated, `truncated` means there's another page.
+ *
+ * @param {RepoName} repo
+ * @param {number} page - 1-based, ignored by github
+ * @returns {string}
+ */
+const getRepoTreeURL = (repo, page) => {
+	const branch = encodeURIComponent(repo.default_branch);
+	if (repo.platform === "github") {
+		return `https://api.github.com/repos/${repo.full_name}/git/trees/${branch}?recursive=1`;
+	} else if (repo.platform === "codeberg") {
+		return `https://codeberg.org/api/v1/repos/${repo.full_name}/git/trees/${branch}?recursive=true&per_page=1000&page=${page}`;
+	}
+	fatal(`getRepoTreeURL - invalid platform ${repo.platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * @param {'github' | 'codeberg'} platform
+ * @returns {string}
+ */
+const getTopRepoURL = (platform) => {
+	if (platform === "github") {
+		const base = "https://api.github.com/search/repositories";
+		const query = "language:zig";
+		return `${base}?q=${encodeURIComponent(query)}&per_page=100&page=1`;
+	} else if (platform === "codeberg") {
+		const base = "https://codeberg.org/api/v1/repos/search";
+		const query = "zig";
+		return `${base}?q=${encodeURIComponent(query)}&includeDesc=true&page=1&limit=50`;
+	}
+	fatal(`getRepoURL - invalid platform ${platform}`);
+	return ""; // unreachable
+};
+
+/**
+ * the date range is used to fetch all repos from github, it's hardcoded
+ * to make sure the query returns <1k items per url
+ */
+const createDateGenerator = () => {
+	/**
+	 * @param {Date} date
+	 * @param {number} months
+	 * @returns {Date}
+	 */
+	const addMonths = (date, months) => {
+		const newDate = new Date(date);
+		newDate.setMonth(newDate.getMonth() + months);
+		return newDate;
+	};
+
+	// first index: zig init date,
+	// commit 8e08cf4bec80b87a7a22a18086a3db5c2c0f1772
+	const dates = [
+		new Date("2015-07-04"),
+		new Date("2017-09-02"),
+		new Date("2019-02-09"),
+		new Date("2020-01-11"),
+		new Date("2020-08-22"),
+		new Date("2021-02-27"),
+		new Date("2021-07-31"),
+		new Date("2021-12-18"),
+		new Date("2022-04-16"),
+		new Date("2022-07-30"),
+		new Date("2022-11-19"),
+		new Date("2023-02-25"),
+		new Date("2023-05-20"),
+		new Date("2023-07-29"),
+		new Date("2023-09-30"),
+		new Date("2023-12-02"),
+		new Date("2024-01-20"),
+		new Date("2024-03-16"),
+		new Date("2024-05-04"),
+	];
+
+	let index = 0;
+	let monthsAfterLast = 0;
+
+	return function* () {
+		while (true) {
+			let start, end;
+			if (index < dates.length - 1) {
+				start = dates[index];
+				end = dates[index + 1];
+				index++;
+			} else {
+				start = addMonths(dates[dates.length - 1], monthsAfterLast);
+				end = addMonths(dates[dates.length - 1], monthsAfterLast + 1);
+				monthsAfterLast++;
+				if (end > new Date()) {
+					index = 0;
+					monthsAfterLast = 0;
+				}
+			}
+			yield { start, end };
+		}
+	};
+};
+
+const dateGenerator = createDateGenerator();
+
+/**
+ * @param {'github' | 'codeberg'} platform
+ * @returns {string}
+ */
+const getAllRepoURL = (platform) => {
+	/**
+	 * Some queries are done where it's between two dates, GitHub only returns
+	 * 1000 items for a query, this between two date condition makes it possible
 	 * to query more than 1000 repos
 	 *
 	 * @param {Date} start
 	 * @param {Date} end
 	 * @returns {string}
 	 */
-	const makeDateRange = (start, end) =>
-		`${start.toISOString().slice(0, 19)}Z..${end.toISOString().slice(0, 19)}Z`;
+	const makeDateRange = (start, end) =>
+		`${start.toISOString().slice(0, 19)}Z..${end.toISOString().slice(0, 19)}Z`;
+
+	if (platform === "github") {
+		const base = "https://api.github.com/search/repositories";
+		const { start, end } = dateGenerator().next().value;
+		const dateRange = makeDateRange(start, end);
+		const query = `in:name,description,topics zig created:${dateRange}`;
+		return `${base}?q=${encodeURIComponent(query)}&per_page=100&page=1`;
+	}
+	// codeberg's top url contain all repos, it's unused here
+	fatal(`getRepoURL - invalid platform ${platform}`);
+	return ""; // unreachable
+};
+
+const GITHUB_API_KEY = process.env.GITHUB_API_KEY;
+if (!GITHUB_API_KEY) fatal("GITHUB_API_KEY is not set");
+const CODEBERG_API_KEY = process.env.CODEBERG_API_KEY;
+if (!CODEBERG_API_KEY) fatal("CODEBERG_API_KEY is not set");
+// optional, package hashes are only verified when set, see createArchiveSource
+export const PACKAGE_HASH_SOURCE = process.env.PACKAGE_HASH_SOURCE ?? null;
+// optional, archives are only mirrored when set, see mirrorPackages
+export const PACKAGE_MIRROR_DIR = process.env.PACKAGE_MIRROR_DIR ?? null;
+export const PACKAGE_MIRROR_MAX_SIZE = Number(
+	process.env.PACKAGE_MIRROR_MAX_SIZE ?? 10 * 1024 * 1024 * 1024,
+);
+
+export const headers = {
+	github: {
+		Accept: "application/vnd.github+json",
+		"X-GitHub-Api-Version": "2022-11-28",
+		Authorization: `Bearer ${GITHUB_API_KEY}`,
+	},
+	codeberg: {
+		Authorization: `token ${CODEBERG_API_KEY}`,
+	},
+};
+
+// rate limit: 5000 requests per hour, 83/min, raw file fetches included.
+// every worker fetching from github gets a share per run and leaves what it
+// can't afford to the next run, shares per minute:
+// buildZig 40 + packages 12 + versions 24 + upstreams 20 / 5 = 80
+// upstreams runs every 5 minutes, the others every minute
+export const GITHUB_BUDGET = {
+	buildZig: 40,
+	packages: 12,
+	versions: 24,
+	upstreams: 20,
+};
+
+/**
+ * Counts the github requests of one worker run, other platforms aren't
+ * counted.
+ *
+ * @typedef {Object} RequestBudget
+ * @property {(repo: {platform: string}) => number} left
+ * @property {(repo: {platform: string}, count: number) => void} spend
+ */
+
+/**
+ * @param {number} limit - github requests of the run, see GITHUB_BUDGET
+ * @returns {RequestBudget}
+ */
+export const createRequestBudget = (limit) => {
+	let spent = 0;
+	return {
+		left: (repo) => (repo.platform === "github" ? limit - spent : Infinity),
+		spend: (repo, count) => {
+			if (repo.platform === "github") spent += count;
+		},
+	};
+};
+
+// ----------------------------------------------------------------------------
+// workers
+
+/**
+ * @param {Database} conn
+ * @param {'github' | 'codeberg'} platform
+ * @param {'top' | 'all'} type
+ */
+export const fetchRepo = async (conn, platform, type) => {
+	logger.info(`fetch - worker-fetch-repo - ${platform} ${type}`);
+
+	/** @type {string | undefined} */
+	let url = type === "top" ? getTopRepoURL(platform) : getAllRepoURL(platform);
+	while (url) {
+		const response = await fetch(url, { headers: headers[platform] });
+		if (response.status !== 200) {
+			logger.error(
+				`fetch - worker-fetch-repo - ${platform} ${type} - HTTP ${response.status}`,
+			);
+			break;
+		}
+		const data = await response.json();
+		let items = platform === "codeberg" ? data.data : data.items;
+		items = Array.isArray(items) ? items.filter(Boolean) : [];
+		const parsed = items.map(repoExtractors[platform]);
+		const stmt = conn.prepare(`
+			INSERT INTO repos (
+				platform, full_name, name, owner, description, homepage, license, 
+				created_at, updated_at, pushed_at, stars, forks, 
+				is_fork, is_archived, default_branch, language
+			)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT (platform, full_name) DO UPDATE SET
+				name = excluded.name,
+				owner = excluded.owner,
+				description = excluded.description,
+				homepage = excluded.homepage,
+				license = excluded.license,
+				created_at = excluded.created_at,
+				updated_at = excluded.updated_at,
+				pushed_at = excluded.pushed_at,
+				stars = excluded.stars,
+				forks = excluded.forks,
+				is_fork = excluded.is_fork,
+				is_archived = excluded.is_archived,
+				default_branch = excluded.default_branch,
+				language = excluded.language
+			`);
+
+		try {
+			const upsertMany = conn.transaction((data) => {
+				for (const row of data) {
+					stmt.run(row);
+				}
+			});
+
+			const rows = parsed.map((item) => [
+				item.platform,
+				item.full_name,
+				item.name,
+				item.owner,
+				item.description,
+				item.homepage,
+				item.license,
+				item.created_at,
+				item.updated_at,
+				item.pushed_at,
+				item.stars,
+				item.forks,
+				item.is_fork,
+				item.is_archived,
+				item.default_branch,
+				item.language,
+			]);
+
+			upsertMany(rows);
+			logger.info(`db - upsertZigRepos - len ${rows.length}`);
+		} catch (e) {
+			logger.error(`db - upsertZigRepos - ${e}`);
+		} finally {
+			if (stmt) stmt.finalize();
+		}
+		logger.info(
+			`fetch - worker-fetch-repo - ${platform} ${type} - ${items.length} repos - url: ${url}`,
+		);
+		url = getNextURL(response);
+	}
+	logger.info(`fetch - worker-fetch-repo - ${platform} ${type} - completed`);
+};
+
+/**
+ * @param {Database} conn
+ */
+export const fetchBuildZig = async (conn) => {
+	// up to 2 requests per repo, 5 without a build.zig.zon, see fetchZigContent
+	const repoIdStmt = conn.prepare(`
+		SELECT r.id, r.full_name, r.default_branch, r.platform
+		FROM repos r
+		LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+		WHERE (
+			rbz.fetched_at IS NULL
+			OR (strftime('%s', 'now') - rbz.fetched_at) > 259200
+		)
+		AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
+		AND (r.description IS NULL OR r.description NOT LIKE '%zigbee%' COLLATE NOCASE)
+		ORDER BY r.stars DESC
+		LIMIT 20;`);
+	const repos = repoIdStmt.all();
+	const budget = createRequestBudget(GITHUB_BUDGET.buildZig);
+	/** @type {RepoBuildZig[]} */
+	const parsed = [];
+	for (const repo of repos) {
+		// repos that may not be fetched whole wait for the next run
+		if (budget.left(repo) < 5) continue;
+		parsed.push(await fetchZigContent(repo, budget));
+	}
+	const stmt = conn.prepare(`
+		INSERT INTO repo_build_zig (
+			repo_id, build_zig_content, build_zig_zon_content,
+			zigmod_yml_content, zigmod_lock_content, gyro_zzz_content, fetched_at
+		) VALUES (?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(repo_id) DO UPDATE SET
+			build_zig_content = excluded.build_zig_content,
+			build_zig_zon_content = excluded.build_zig_zon_content,
+			zigmod_yml_content = excluded.zigmod_yml_content,
+			zigmod_lock_content = excluded.zigmod_lock_content,
+			gyro_zzz_content = excluded.gyro_zzz_content,
+			fetched_at = excluded.fetched_at
+		`);
+	try {
+		const upsertMany = conn.transaction((data) => {
+			for (const row of data) {
+				stmt.run(row);
+			}
+		});
+
+		const rows = parsed.map((item) => [
+			item.repo_id,
+			item.build_zig_content,
+			item.build_zig_zon_content,
+			item.zigmod_yml_content,
+			item.zigmod_lock_content,
+			item.gyro_zzz_content,
+			item.fetched_at,
+		]);
+
+		upsertMany(rows);
+		logger.info(`db - upsertBuildZig - len ${rows.length}`);
+	} catch (e) {
+		logger.error(`db - upsertBuildZig - ${e}`);
+	} finally {
+		if (stmt) stmt.finalize();
+	}
+};
+
+/**
+ * @param {unknown} error - whatever parsing or extracting a manifest threw
+ * @returns {'parse_error' | 'schema_error' | null} null for unexpected errors
+ */
+const getParseStatus = (error) => {
+	if (error instanceof ZonError) return "parse_error";
+	if (error instanceof ManifestError) return "parse_error";
+	if (error instanceof ZonSchemaError) return "schema_error";
+	return null;
+};
+
+/**
+ * fetching worker and processing worker should be separate
+ *
+ * every repo is processed in its own transaction, a broken build.zig.zon only
+ * marks its own row as failed, see the repo_zon_failures view
+ *
+ * only rows fetched since they were last processed are read, and of those
+ * only the ones whose content hash changed are parsed and written
+ *
+ * stored repo_zon and repo_dependencies are replaced with exactly what the
+ * manifests declare, a deleted manifest clears them, the difference is kept
+ * in repo_dependency_events
+ *
+ * zigmod.yml and gyro.zzz dependencies land next to the build.zig.zon ones,
+ * marked by their source
+ *
+ * @param {Database} conn
+ */
+export const processBuildZig = async (conn) => {
+	// >= because fetch and process can land on the same second
+	const stmt = conn.prepare(`
+		SELECT
+			build_zig_zon_content, zigmod_yml_content, zigmod_lock_content,
+			gyro_zzz_content, repo_id, processed_hash
+		FROM repo_build_zig
+		WHERE (
+			build_zig_zon_content IS NOT NULL
+			OR zigmod_yml_content IS NOT NULL
+			OR gyro_zzz_content IS NOT NULL
+			OR processed_hash IS NOT NULL
+		)
+			AND (processed_at IS NULL OR fetched_at >= processed_at)
+	`);
+	const rows = stmt.all();
+	const hasZonStmt = conn.prepare(`
+		SELECT 1 FROM repo_zon WHERE repo_id = ? LIMIT 1
+	`);
+	const previousDepsStmt = conn.prepare(`
+		SELECT name, dependency_type, path, url_dependency_hash, lazy, source
+		FROM repo_dependencies
+		WHERE repo_id = ?
+		ORDER BY id
+	`);
+	const deleteZonStmt = conn.prepare(`DELETE FROM repo_zon WHERE repo_id = ?`);
+	const deleteDepsStmt = conn.prepare(`
+		DELETE FROM repo_dependencies WHERE repo_id = ?
+	`);
+	const zonStmt = conn.prepare(`
+		INSERT OR REPLACE INTO repo_zon (repo_id, name, version, minimum_zig_version, paths, fingerprint)
+		VALUES (?, ?, ?, ?, ?, ?)
+	`);
+	const writeUrlDep = createUrlDependencyWriter(conn);
+	const depStmt = conn.prepare(`
+		INSERT OR REPLACE INTO repo_dependencies (repo_id, name, dependency_type, path, url_dependency_hash, lazy, source)
+		VALUES (?, ?, ?, ?, ?, ?, ?)
+	`);
+	const eventStmt = conn.prepare(`
+		INSERT INTO repo_dependency_events (
+			repo_id, name, source, event,
+			old_dependency_type, old_path, old_url_dependency_hash,
+			new_dependency_type, new_path, new_url_dependency_hash,
+			created_at
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+	`);
+	const statusStmt = conn.prepare(`
+		UPDATE repo_build_zig
+		SET parse_status = ?, parse_error = ?, processed_at = ?, processed_hash = ?
+		WHERE repo_id = ?
+	`);
+	const touchStmt = conn.prepare(`
+		UPDATE repo_build_zig SET processed_at = ? WHERE repo_id = ?
+	`);
+	const failStmt = conn.prepare(`
+		UPDATE repo_build_zig SET parse_error = ?, processed_at = ? WHERE repo_id = ?
+	`);
+	const link = createPathLinker(conn);
+
+	/**
+	 * @param {number} repoId
+	 * @param {Manifests | null} parsed - null when every manifest is gone
+	 * @param {number} processedAt
+	 * @param {string | null} hash
+	 */
+	const reconcileZon = conn.transaction((repoId, parsed, processedAt, hash) => {
+		// the first successful parse is the baseline, not a series of additions
+		const previous = previousDepsStmt.all(repoId);
+		const isFirst = hasZonStmt.get(repoId) === null && previous.length === 0;
+		const zon = parsed?.zon ?? null;
+		const current = parsed?.deps ?? [];
+
+		deleteZonStmt.run(repoId);
+		deleteDepsStmt.run(repoId);
+		if (zon) {
+			zonStmt.run(
+				repoId,
+				zon.name,
+				zon.version,
+				zon.minimum_zig_version,
+				zon.paths.join(","),
+				zon.fingerprint,
+			);
+		}
+		for (const urlDep of parsed?.urlDeps ?? []) writeUrlDep(urlDep);
+		for (const dep of current) {
+			depStmt.run(
+				repoId,
+				dep.name,
+				dep.dependency_type,
+				dep.dependency_type === "path" ? dep.path : null,
+				dep.dependency_type === "url" ? dep.url_dependency_hash : null,
+				dep.lazy,
+				dep.source,
+			);
+		}
+		link(repoId);
+
+		if (!isFirst) {
+			for (const { name, event, before, after } of diffDependencies(
+				previous,
+				current,
+			)) {
+				eventStmt.run(
+					repoId,
+					name,
+					(after ?? before)?.source ?? "zon",
+					event,
+					before?.dependency_type ?? null,
+					before?.path ?? null,
+					before?.url_dependency_hash ?? null,
+					after?.dependency_type ?? null,
+					after?.path ?? null,
+					after?.url_dependency_hash ?? null,
+					processedAt,
+				);
+			}
+		}
+		statusStmt.run(parsed ? "ok" : null, null, processedAt, hash, repoId);
+	});
+
+	let okCount = 0;
+	let failedCount = 0;
+	let unchangedCount = 0;
+	let removedCount = 0;
+	for (const row of rows) {
+		const processedAt = Math.floor(Date.now() / 1000);
+		const zonContent = row.build_zig_zon_content;
+		const ymlContent = row.zigmod_yml_content;
+		const lockContent = row.zigmod_lock_content;
+		const zzzContent = row.gyro_zzz_content;
+		try {
+			if (zonContent === null && ymlContent === null && zzzContent === null) {
+				reconcileZon(row.repo_id, null, processedAt, null);
+				removedCount++;
+				continue;
+			}
+			// equals the plain build.zig.zon hash when that's the only manifest
+			const hash = sha256(
+				[zonContent ?? "", ymlContent, lockContent, zzzContent]
+					.filter((content) => content !== null)
+					.join("\0"),
+			);
+			if (hash === row.processed_hash) {
+				touchStmt.run(processedAt, row.repo_id);
+				unchangedCount++;
+				continue;
+			}
+			try {
+				const zon =
+					zonContent === null ? null : extractZon(parseZon(zonContent));
+				const legacy = [
+					ymlContent === null
+						? null
+						: extractZigmod(
+								parseZigmodYml(ymlContent),
+								lockContent === null ? [] : parseZigmodLock(lockContent),
+							),
+					zzzContent === null ? null : extractGyro(parseZzz(zzzContent)),
+				];
+				/** @type {Manifests} */
+				const parsed = {
+					zon,
+					urlDeps: [zon, ...legacy].flatMap((m) => m?.urlDeps ?? []),
+					deps: [zon, ...legacy].flatMap((m) => m?.deps ?? []),
+				};
+				reconcileZon(row.repo_id, parsed, processedAt, hash);
+				okCount++;
+			} catch (error) {
+				const status = getParseStatus(error);
+				if (status === null) throw error;
+				failedCount++;
+				const message = /** @type {Error} */ (error).message;
+				statusStmt.run(status, message, processedAt, hash, row.repo_id);
+				logger.warn(
+					`db - worker-process-build-zig - ${status} - repo_id ${row.repo_id} - ${message}`,
+				);
+			}
+		} catch (error) {
+			failedCount++;
+			logger.error(
+				`db - worker-process-build-zig - repo_id ${row.repo_id} - ${error}`,
+			);
+			// not the manifest's fault, so processed_hash is kept and the row is
+			// tried again once it's fetched again instead of every run
+			failStmt.run(String(error), processedAt, row.repo_id);
+		}
+	}
+	logger.info(
+		`db - worker-process-build-zig - completed - ${okCount} ok, ${failedCount} failed, ${unchangedCount} unchanged, ${removedCount} removed`,
+	);
+};
+
+/**
+ * url_dependencies are shared between repos, packages and versions, the
+ * decoded hash is stored next to it. Rows are updated in place so the
+ * resolved target and upstream status survive, a changed url is resolved
+ * and checked again.
+ *
+ * @param {Database} conn
+ * @returns {(urlDep: UrlDependency) => void}
+ */
+const createUrlDependencyWriter = (conn) => {
+	const stmt = conn.prepare(`
+		INSERT INTO url_dependencies (
+			hash, url, source,
+			hash_format, hash_name, hash_version, hash_package_id, hash_size, hash_digest
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(hash) DO UPDATE SET
+			url = excluded.url,
+			source = excluded.source,
+			hash_format = excluded.hash_format,
+			hash_name = excluded.hash_name,
+			hash_version = excluded.hash_version,
+			hash_package_id = excluded.hash_package_id,
+			hash_size = excluded.hash_size,
+			hash_digest = excluded.hash_digest,
+			repo_id = CASE
+				WHEN url_dependencies.url = excluded.url THEN repo_id
+			END,
+			resolved_at = CASE
+				WHEN url_dependencies.url = excluded.url THEN resolved_at
+			END,
+			upstream_checked_at = CASE
+				WHEN url_dependencies.url = excluded.url THEN upstream_checked_at
+			END,
+			hash_checked_at = CASE
+				WHEN url_dependencies.url = excluded.url THEN hash_checked_at
+			END,
+			link_checked_at = CASE
+				WHEN url_dependencies.url = excluded.url THEN link_checked_at
+			END
+	`);
+	return (urlDep) => {
+		const decoded = decodePackageHash(urlDep.hash);
+		stmt.run(
+			urlDep.hash,
+			urlDep.url,
+			urlDep.source,
+			decoded?.format ?? null,
+			decoded?.name ?? null,
+			decoded?.version ?? null,
+			decoded?.package_id ?? null,
+			decoded?.size ?? null,
+			decoded?.digest ?? null,
+		);
+	};
+};
+
+/**
+ * Links `.path` dependencies, of the root manifest and of nested packages,
+ * to the package they point at. linked_path is the repo relative directory
+ * of that package, `""` for the root build.zig.zon.
+ *
+ * @param {Database} conn
+ * @returns {(repoId: number) => void}
+ */
+const createPathLinker = (conn) => {
+	const rootStmt = conn.prepare(`
+		SELECT 1 FROM repo_build_zig
+		WHERE repo_id = ? AND build_zig_zon_content IS NOT NULL
+	`);
+	const packagesStmt = conn.prepare(`
+		SELECT path FROM repo_packages WHERE repo_id = ?
+	`);
+	const rootDepsStmt = conn.prepare(`
+		SELECT id, path FROM repo_dependencies
+		WHERE repo_id = ? AND dependency_type = 'path'
+	`);
+	const packageDepsStmt = conn.prepare(`
+		SELECT rpd.id, rpd.path, rp.path AS package_path
+		FROM repo_package_dependencies rpd
+		JOIN repo_packages rp ON rp.id = rpd.package_id
+		WHERE rp.repo_id = ? AND rpd.dependency_type = 'path'
+	`);
+	const rootLinkStmt = conn.prepare(`
+		UPDATE repo_dependencies SET linked_path = ? WHERE id = ?
+	`);
+	const packageLinkStmt = conn.prepare(`
+		UPDATE repo_package_dependencies SET linked_path = ? WHERE id = ?
+	`);
+
+	return (repoId) => {
+		const paths = new Set(packagesStmt.all(repoId).map((p) => p.path));
+		if (rootStmt.get(repoId) !== null) paths.add("");
+		/** @param {string} from @param {string} path */
+		const link = (from, path) => {
+			const resolved = resolvePackagePath(from, path);
+			return resolved !== null && paths.has(resolved) ? resolved : null;
+		};
+		for (const dep of rootDepsStmt.all(repoId)) {
+			rootLinkStmt.run(link("", dep.path), dep.id);
+		}
+		for (const dep of packageDepsStmt.all(repoId)) {
+			packageLinkStmt.run(link(dep.package_path, dep.path), dep.id);
+		}
+	};
+};
+
+/**
+ * Monorepos keep packages below the root (`packages/foo/build.zig.zon`),
+ * a tree listing finds them, then only new or changed blobs are fetched.
+ *
+ * @param {Database} conn
+ */
+export const fetchRepoPackages = async (conn) => {
+	// one api request per repo for the tree, then a raw fetch per manifest
+	const repoStmt = conn.prepare(`
+		SELECT r.id, r.full_name, r.default_branch, r.platform
+		FROM repos r
+		JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+		WHERE rbz.fetched_at IS NOT NULL
+			AND (
+				rbz.tree_fetched_at IS NULL
+				OR (strftime('%s', 'now') - rbz.tree_fetched_at) > 259200
+			)
+		ORDER BY r.stars DESC
+		LIMIT 12;`);
+	const existingStmt = conn.prepare(`
+		SELECT id, path, sha FROM repo_packages WHERE repo_id = ?
+	`);
+	const deleteDepsStmt = conn.prepare(`
+		DELETE FROM repo_package_dependencies WHERE package_id = ?
+	`);
+	const deleteStmt = conn.prepare(`DELETE FROM repo_packages WHERE id = ?`);
+	const upsertStmt = conn.prepare(`
+		INSERT INTO repo_packages (repo_id, path, sha, build_zig_zon_content, fetched_at)
+		VALUES (?, ?, ?, ?, ?)
+		ON CONFLICT(repo_id, path) DO UPDATE SET
+			sha = excluded.sha,
+			build_zig_zon_content = excluded.build_zig_zon_content,
+			fetched_at = excluded.fetched_at
+	`);
+	const treeStmt = conn.prepare(`
+		UPDATE repo_build_zig SET tree_fetched_at = ? WHERE repo_id = ?
+	`);
+	const link = createPathLinker(conn);
+
+	/**
+	 * @param {number} repoId
+	 * @param {RepoPackage[]} gone
+	 * @param {{path: string, sha: string, content: string | null}[]} fetched
+	 * @param {number} fetchedAt
+	 * @param {boolean} pending - manifests left for the next run to fetch
+	 */
+	const replacePackages = conn.transaction(
+		(repoId, gone, fetched, fetchedAt, pending) => {
+			for (const pkg of gone) {
+				deleteDepsStmt.run(pkg.id);
+				deleteStmt.run(pkg.id);
+			}
+			for (const { path, sha, content } of fetched) {
+				// a failed fetch keeps no sha, the next tree listing retries it
+				if (content === null) continue;
+				upsertStmt.run(repoId, path, sha, content, fetchedAt);
+			}
+			if (!pending) treeStmt.run(fetchedAt, repoId);
+			link(repoId);
+		},
+	);
 
-	if (platform === "github") {
-		const base = "https://api.github.com/search/repositories";
-		const { start, end } = dateGenerator().next().value;
-		const dateRange = makeDateRange(start, end);
-		const query = `in:name,description,topics zig created:${dateRange}`;
-		return `${base}?q=${encodeURIComponent(query)}&per_page=100&page=1`;
+	const repos = repoStmt.all();
+	const budget = createRequestBudget(GITHUB_BUDGET.packages);
+	let packageCount = 0;
+	for (const repo of repos) {
+		if (budget.left(repo) < 1) continue;
+		const fetchedAt = Math.floor(Date.now() / 1000);
+		try {
+			const entries = await fetchRepoTree(repo, budget);
+			const found = entries === null ? [] : findNestedPackages(entries);
+			/** @type {RepoPackage[]} */
+			const existing = existingStmt.all(repo.id);
+			const known = new Map(existing.map((pkg) => [pkg.path, pkg.sha]));
+			const paths = new Set(found.map((pkg) => pkg.path));
+			const gone =
+				entries === null ? [] : existing.filter((pkg) => !paths.has(pkg.path));
+			const changed = found.filter((pkg) => known.get(pkg.path) !== pkg.sha);
+			// the rest are fetched after the tree is listed again next run
+			const affordable = changed.slice(0, budget.left(repo));
+			budget.spend(repo, affordable.length);
+			const fetched = await Promise.all(
+				affordable.map(async ({ path, sha }) => {
+					const url = getBuildZigURL(`${path}/build.zig.zon`)(repo);
+					const response = await fetch(url, {
+						headers: headers[repo.platform],
+					});
+					const content =
+						response.status === 200 ? await response.text() : null;
+					return { path, sha, content };
+				}),
+			);
+			replacePackages(
+				repo.id,
+				gone,
+				fetched,
+				fetchedAt,
+				affordable.length < changed.length,
+			);
+			packageCount += found.length;
+		} catch (e) {
+			logger.error(
+				`fetch - worker-fetch-repo-packages - ${repo.full_name} - ${e}`,
+			);
+		}
+	}
+	logger.info(
+		`fetch - worker-fetch-repo-packages - completed - ${repos.length} repos, ${packageCount} nested packages`,
+	);
+};
+
+/**
+ * processBuildZig for nested packages: same incremental scheme, each
+ * package is its own transaction.
+ *
+ * @param {Database} conn
+ */
+export const processPackages = async (conn) => {
+	const stmt = conn.prepare(`
+		SELECT id, repo_id, build_zig_zon_content, processed_hash
+		FROM repo_packages
+		WHERE build_zig_zon_content IS NOT NULL
+			AND (processed_at IS NULL OR fetched_at >= processed_at)
+	`);
+	const rows = stmt.all();
+	const packageStmt = conn.prepare(`
+		UPDATE repo_packages
+		SET name = ?, version = ?, minimum_zig_version = ?, fingerprint = ?
+		WHERE id = ?
+	`);
+	const deleteDepsStmt = conn.prepare(`
+		DELETE FROM repo_package_dependencies WHERE package_id = ?
+	`);
+	const writeUrlDep = createUrlDependencyWriter(conn);
+	const depStmt = conn.prepare(`
+		INSERT OR REPLACE INTO repo_package_dependencies (package_id, name, dependency_type, path, url_dependency_hash, lazy)
+		VALUES (?, ?, ?, ?, ?, ?)
+	`);
+	const statusStmt = conn.prepare(`
+		UPDATE repo_packages
+		SET parse_status = ?, parse_error = ?, processed_at = ?, processed_hash = ?
+		WHERE id = ?
+	`);
+	const touchStmt = conn.prepare(`
+		UPDATE repo_packages SET processed_at = ? WHERE id = ?
+	`);
+	const link = createPathLinker(conn);
+
+	/**
+	 * @param {{id: number, repo_id: number}} pkg
+	 * @param {Zon} zon
+	 * @param {number} processedAt
+	 * @param {string} hash
+	 */
+	const replacePackage = conn.transaction((pkg, zon, processedAt, hash) => {
+		packageStmt.run(
+			zon.name,
+			zon.version,
+			zon.minimum_zig_version,
+			zon.fingerprint,
+			pkg.id,
+		);
+		deleteDepsStmt.run(pkg.id);
+		for (const urlDep of zon.urlDeps) writeUrlDep(urlDep);
+		for (const dep of zon.deps) {
+			depStmt.run(
+				pkg.id,
+				dep.name,
+				dep.dependency_type,
+				dep.dependency_type === "path" ? dep.path : null,
+				dep.dependency_type === "url" ? dep.url_dependency_hash : null,
+				dep.lazy,
+			);
+		}
+		statusStmt.run("ok", null, processedAt, hash, pkg.id);
+		link(pkg.repo_id);
+	});
+
+	let okCount = 0;
+	let failedCount = 0;
+	let unchangedCount = 0;
+	for (const row of rows) {
+		const processedAt = Math.floor(Date.now() / 1000);
+		try {
+			const hash = sha256(row.build_zig_zon_content);
+			if (hash === row.processed_hash) {
+				touchStmt.run(processedAt, row.id);
+				unchangedCount++;
+				continue;
+			}
+			try {
+				const zon = extractZon(parseZon(row.build_zig_zon_content));
+				replacePackage(row, zon, processedAt, hash);
+				okCount++;
+			} catch (error) {
+				const status = getParseStatus(error);
+				if (status === null) throw error;
+				failedCount++;
+				const message = /** @type {Error} */ (error).message;
+				statusStmt.run(status, message, processedAt, hash, row.id);
+			}
+		} catch (error) {
+			failedCount++;
+			logger.error(
+				`db - worker-process-packages - package_id ${row.id} - ${error}`,
+			);
+		}
+	}
+	logger.info(
+		`db - worker-process-packages - completed - ${okCount} ok, ${failedCount} failed, ${unchangedCount} unchanged`,
+	);
+};
+
+/**
+ * Tags and releases of repos with a build.zig.zon, the manifest is fetched
+ * once per tag and again only if the tag is moved to another commit.
+ *
+ * @param {Database} conn
+ */
+export const fetchRepoVersions = async (conn) => {
+	// an api request per page of tags and of releases, then a raw fetch per tag
+	const repoStmt = conn.prepare(`
+		SELECT r.id, r.full_name, r.default_branch, r.platform
+		FROM repos r
+		JOIN repo_build_zig rbz ON r.id = rbz.repo_id
+		WHERE rbz.build_zig_zon_content IS NOT NULL
+			AND (
+				rbz.versions_fetched_at IS NULL
+				OR (strftime('%s', 'now') - rbz.versions_fetched_at) > 86400
+			)
+		ORDER BY r.stars DESC
+		LIMIT 12;`);
+	const existingStmt = conn.prepare(`
+		SELECT id, tag, commit_sha FROM repo_versions WHERE repo_id = ?
+	`);
+	const deleteDepsStmt = conn.prepare(`
+		DELETE FROM repo_version_dependencies WHERE version_id = ?
+	`);
+	const deleteStmt = conn.prepare(`DELETE FROM repo_versions WHERE id = ?`);
+	const upsertStmt = conn.prepare(`
+		INSERT INTO repo_versions (
+			repo_id, tag, commit_sha, is_release, is_prerelease, released_at,
+			build_zig_zon_content, fetched_at
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(repo_id, tag) DO UPDATE SET
+			commit_sha = excluded.commit_sha,
+			is_release = excluded.is_release,
+			is_prerelease = excluded.is_prerelease,
+			released_at = excluded.released_at,
+			build_zig_zon_content = excluded.build_zig_zon_content,
+			fetched_at = excluded.fetched_at
+	`);
+	// a release can be published for a tag that's already stored
+	const releaseStmt = conn.prepare(`
+		UPDATE repo_versions
+		SET is_release = ?, is_prerelease = ?, released_at = ?
+		WHERE repo_id = ? AND tag = ?
+	`);
+	const fetchedStmt = conn.prepare(`
+		UPDATE repo_build_zig SET versions_fetched_at = ? WHERE repo_id = ?
+	`);
+
+	// manifests fetched per repo per run, the rest are picked up next run
+	const maxFetches = 30;
+
+	/**
+	 * @param {number} repoId
+	 * @param {{id: number}[]} gone
+	 * @param {RepoTag[]} tags
+	 * @param {Map<string, string | null>} contents - by tag, only fetched ones
+	 * @param {number | null} fetchedAt - null while tags are still pending
+	 */
+	const replaceVersions = conn.transaction(
+		(repoId, gone, tags, contents, fetchedAt) => {
+			const now = Math.floor(Date.now() / 1000);
+			for (const { id } of gone) {
+				deleteDepsStmt.run(id);
+				deleteStmt.run(id);
+			}
+			for (const t of tags) {
+				if (contents.has(t.tag)) {
+					upsertStmt.run(
+						repoId,
+						t.tag,
+						t.commit_sha,
+						t.is_release,
+						t.is_prerelease,
+						t.released_at,
+						contents.get(t.tag) ?? null,
+						now,
+					);
+				} else {
+					releaseStmt.run(
+						t.is_release,
+						t.is_prerelease,
+						t.released_at,
+						repoId,
+						t.tag,
+					);
+				}
+			}
+			if (fetchedAt !== null) fetchedStmt.run(fetchedAt, repoId);
+		},
+	);
+
+	const repos = repoStmt.all();
+	const budget = createRequestBudget(GITHUB_BUDGET.versions);
+	let versionCount = 0;
+	for (const repo of repos) {
+		if (budget.left(repo) < 2) continue;
+		const fetchedAt = Math.floor(Date.now() / 1000);
+		try {
+			logger.info(`fetch - fetchRepoVersions - ${repo.full_name}`);
+			const [tagPages, releasePages] = await Promise.all([
+				fetchPages(repo, getRepoTagsURL(repo), budget),
+				fetchPages(repo, getRepoReleasesURL(repo), budget),
+			]);
+			if (tagPages.status !== 200) {
+				logger.warn(
+					`fetch - fetchRepoVersions - ${repo.full_name} - HTTP ${tagPages.status}`,
+				);
+				replaceVersions(repo.id, [], [], new Map(), fetchedAt);
+				continue;
+			}
+			const tags = mergeTagsAndReleases(tagPages.items, releasePages.items);
+			const existing = existingStmt.all(repo.id);
+			const known = new Map(existing.map((v) => [v.tag, v.commit_sha]));
+			const current = new Set(tags.map((t) => t.tag));
+			// tags and releases missing from a partial listing may be on the
+			// pages that weren't read, they're kept as stored
+			const gone = tagPages.complete
+				? existing.filter((v) => !current.has(v.tag))
+				: [];
+			const changed = tags.filter((t) => known.get(t.tag) !== t.commit_sha);
+
+			/** @type {Map<string, string | null>} */
+			const contents = new Map();
+			const affordable = changed.slice(
+				0,
+				Math.min(maxFetches, budget.left(repo)),
+			);
+			budget.spend(repo, affordable.length);
+			await Promise.all(
+				affordable.map(async (t) => {
+					const response = await fetch(getTagZonURL(repo, t.tag), {
+						headers: headers[repo.platform],
+					});
+					// no build.zig.zon at that tag is still a version, errors aren't
+					if (response.status === 200) {
+						contents.set(t.tag, await response.text());
+					} else if (response.status === 404) {
+						contents.set(t.tag, null);
+					}
+				}),
+			);
+			const pending = changed.length - contents.size;
+			replaceVersions(
+				repo.id,
+				gone,
+				tags.filter(
+					(t) =>
+						contents.has(t.tag) ||
+						(known.has(t.tag) && (releasePages.complete || t.is_release)),
+				),
+				contents,
+				pending > 0 ? null : fetchedAt,
+			);
+			versionCount += contents.size;
+		} catch (e) {
+			logger.error(`fetch - worker-fetch-versions - ${repo.full_name} - ${e}`);
+		}
+	}
+	logger.info(
+		`fetch - worker-fetch-versions - completed - ${repos.length} repos, ${versionCount} new versions`,
+	);
+};
+
+/**
+ * processPackages for tagged versions.
+ *
+ * @param {Database} conn
+ */
+export const processVersions = async (conn) => {
+	const stmt = conn.prepare(`
+		SELECT id, build_zig_zon_content, processed_hash
+		FROM repo_versions
+		WHERE build_zig_zon_content IS NOT NULL
+			AND (processed_at IS NULL OR fetched_at >= processed_at)
+	`);
+	const rows = stmt.all();
+	const versionStmt = conn.prepare(`
+		UPDATE repo_versions SET version = ?, minimum_zig_version = ? WHERE id = ?
+	`);
+	const deleteDepsStmt = conn.prepare(`
+		DELETE FROM repo_version_dependencies WHERE version_id = ?
+	`);
+	const writeUrlDep = createUrlDependencyWriter(conn);
+	const depStmt = conn.prepare(`
+		INSERT OR REPLACE INTO repo_version_dependencies (version_id, name, dependency_type, path, url_dependency_hash, lazy)
+		VALUES (?, ?, ?, ?, ?, ?)
+	`);
+	const statusStmt = conn.prepare(`
+		UPDATE repo_versions
+		SET parse_status = ?, parse_error = ?, processed_at = ?, processed_hash = ?
+		WHERE id = ?
+	`);
+	const touchStmt = conn.prepare(`
+		UPDATE repo_versions SET processed_at = ? WHERE id = ?
+	`);
+
+	/**
+	 * @param {number} versionId
+	 * @param {Zon} zon
+	 * @param {number} processedAt
+	 * @param {string} hash
+	 */
+	const replaceVersion = conn.transaction(
+		(versionId, zon, processedAt, hash) => {
+			versionStmt.run(zon.version, zon.minimum_zig_version, versionId);
+			deleteDepsStmt.run(versionId);
+			for (const urlDep of zon.urlDeps) writeUrlDep(urlDep);
+			for (const dep of zon.deps) {
+				depStmt.run(
+					versionId,
+					dep.name,
+					dep.dependency_type,
+					dep.dependency_type === "path" ? dep.path : null,
+					dep.dependency_type === "url" ? dep.url_dependency_hash : null,
+					dep.lazy,
+				);
+			}
+			statusStmt.run("ok", null, processedAt, hash, versionId);
+		},
+	);
+
+	let okCount = 0;
+	let failedCount = 0;
+	let unchangedCount = 0;
+	for (const row of rows) {
+		const processedAt = Math.floor(Date.now() / 1000);
+		try {
+			const hash = sha256(row.build_zig_zon_content);
+			if (hash === row.processed_hash) {
+				touchStmt.run(processedAt, row.id);
+				unchangedCount++;
+				continue;
+			}
+			try {
+				const zon = extractZon(parseZon(row.build_zig_zon_content));
+				replaceVersion(row.id, zon, processedAt, hash);
+				okCount++;
+			} catch (error) {
+				const status = getParseStatus(error);
+				if (status === null) throw error;
+				failedCount++;
+				const message = /** @type {Error} */ (error).message;
+				statusStmt.run(status, message, processedAt, hash, row.id);
+			}
+		} catch (error) {
+			failedCount++;
+			logger.error(
+				`db - worker-process-versions - version_id ${row.id} - ${error}`,
+			);
+		}
+	}
+	logger.info(
+		`db - worker-process-versions - completed - ${okCount} ok, ${failedCount} failed, ${unchangedCount} unchanged`,
+	);
+};
+
+/**
+ * Takes dependency urls apart into columns (see normalizeDependencyURL) and
+ * points url_dependencies at the repos they download. Urls are parsed once
+ * (rows rewritten by the processing workers are parsed again), repos are
+ * looked up every run so a dependency indexed after its dependents still
+ * gets linked.
+ *
+ * @param {Database} conn
+ */
+export const resolveUrlDependencies = async (conn) => {
+	const stmt = conn.prepare(`
+		SELECT hash, url FROM url_dependencies WHERE resolved_at IS NULL
+	`);
+	const rows = stmt.all();
+	const targetStmt = conn.prepare(`
+		UPDATE url_dependencies
+		SET host = ?, owner = ?, repo = ?, ref = ?, ref_type = ?,
+			archive_format = ?, upstream = ?, target_platform = ?,
+			target_full_name = ?, resolved_at = ?
+		WHERE hash = ?
+	`);
+	// github and codeberg names are case insensitive, urls aren't consistent
+	const linkStmt = conn.prepare(`
+		UPDATE url_dependencies
+		SET repo_id = (
+			SELECT r.id FROM repos r
+			WHERE r.platform = url_dependencies.target_platform
+				AND r.full_name = url_dependencies.target_full_name COLLATE NOCASE
+		)
+		WHERE repo_id IS NULL
+			AND target_full_name IS NOT NULL
+			AND EXISTS (
+				SELECT 1 FROM repos r
+				WHERE r.platform = url_dependencies.target_platform
+					AND r.full_name = url_dependencies.target_full_name COLLATE NOCASE
+			)
+	`);
+
+	/**
+	 * @param {{hash: string, url: string}[]} rows
+	 * @param {number} resolvedAt
+	 */
+	const parseAll = conn.transaction((rows, resolvedAt) => {
+		for (const row of rows) {
+			const normalized = normalizeDependencyURL(row.url);
+			const target = parseDependencyURL(row.url);
+			targetStmt.run(
+				normalized?.host ?? null,
+				normalized?.owner ?? null,
+				normalized?.repo ?? null,
+				normalized?.ref ?? null,
+				normalized?.ref_type ?? null,
+				normalized?.archive_format ?? null,
+				normalized ? getUpstreamKey(normalized) : null,
+				target?.platform ?? null,
+				target?.full_name ?? null,
+				resolvedAt,
+				row.hash,
+			);
+		}
+	});
+
+	try {
+		parseAll(rows, Math.floor(Date.now() / 1000));
+		const { changes } = linkStmt.run();
+		logger.info(
+			`db - worker-resolve-url-deps - completed - ${rows.length} parsed, ${changes} linked`,
+		);
+	} catch (e) {
+		logger.error(`db - worker-resolve-url-deps - ${e}`);
+	}
+};
+
+/**
+ * Fetches the latest tag and default branch head of the repos dependency urls
+ * point at, most depended on first and refreshed daily, then flags the
+ * dependencies pinned behind them.
+ *
+ * @param {Database} conn
+ */
+export const fetchDependencyUpstreams = async (conn) => {
+	// two api requests per upstream (tags and head commit)
+	const upstreamStmt = conn.prepare(`
+		SELECT ud.target_platform AS platform, ud.target_full_name AS full_name
+		FROM url_dependencies ud
+		LEFT JOIN upstream_repos ur
+			ON ur.platform = ud.target_platform
+			AND ur.full_name = ud.target_full_name
+		WHERE ud.target_full_name IS NOT NULL
+			AND (
+				ur.id IS NULL
+				OR (strftime('%s', 'now') - ur.fetched_at) > 86400
+			)
+		GROUP BY ud.target_platform, ud.target_full_name COLLATE NOCASE
+		ORDER BY COUNT(*) DESC
+		LIMIT 10;`);
+	const upsertStmt = conn.prepare(`
+		INSERT INTO upstream_repos (
+			platform, full_name, latest_tag, latest_tag_sha, head_sha, status,
+			fetched_at
+		) VALUES (?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(platform, full_name) DO UPDATE SET
+			latest_tag = excluded.latest_tag,
+			latest_tag_sha = excluded.latest_tag_sha,
+			head_sha = excluded.head_sha,
+			status = excluded.status,
+			fetched_at = excluded.fetched_at
+	`);
+	const uncheckedStmt = conn.prepare(`
+		SELECT
+			ud.hash, ud.ref, ud.ref_type,
+			ur.latest_tag, ur.latest_tag_sha, ur.head_sha
+		FROM url_dependencies ud
+		JOIN upstream_repos ur
+			ON ur.platform = ud.target_platform
+			AND ur.full_name = ud.target_full_name
+		WHERE ud.upstream_checked_at IS NULL
+			OR ur.fetched_at >= ud.upstream_checked_at
+	`);
+	const statusStmt = conn.prepare(`
+		UPDATE url_dependencies
+		SET upstream_status = ?, latest_ref = ?, upstream_checked_at = ?
+		WHERE hash = ?
+	`);
+
+	/**
+	 * @param {any[]} rows
+	 * @param {number} checkedAt
+	 * @returns {number} outdated count
+	 */
+	const checkAll = conn.transaction((rows, checkedAt) => {
+		let outdated = 0;
+		for (const row of rows) {
+			const { status, latest_ref } = getUpstreamStatus(
+				row.ref,
+				row.ref_type,
+				row,
+			);
+			if (status === "outdated") outdated++;
+			statusStmt.run(status, latest_ref, checkedAt, row.hash);
+		}
+		return outdated;
+	});
+
+	const upstreams = upstreamStmt.all();
+	const budget = createRequestBudget(GITHUB_BUDGET.upstreams);
+	for (const upstream of upstreams) {
+		if (budget.left(upstream) < 2) continue;
+		try {
+			logger.info(`fetch - fetchDependencyUpstreams - ${upstream.full_name}`);
+			budget.spend(upstream, 2);
+			const [tagsResponse, headResponse] = await Promise.all([
+				fetch(getRepoTagsURL(upstream), {
+					headers: headers[upstream.platform],
+				}),
+				fetch(getRepoHeadURL(upstream), {
+					headers: headers[upstream.platform],
+				}),
+			]);
+			const latest =
+				tagsResponse.status === 200
+					? pickLatestTag(await tagsResponse.json())
+					: null;
+			const head =
+				headResponse.status === 200 ? await headResponse.json() : null;
+			// forgejo lists commits, github returns the one
+			const headSha = (Array.isArray(head) ? head[0]?.sha : head?.sha) ?? null;
+			upsertStmt.run(
+				upstream.platform,
+				upstream.full_name,
+				latest?.tag ?? null,
+				latest?.sha ?? null,
+				headSha,
+				tagsResponse.status,
+				Math.floor(Date.now() / 1000),
+			);
+		} catch (e) {
+			logger.error(
+				`fetch - worker-fetch-upstreams - ${upstream.full_name} - ${e}`,
+			);
+		}
+	}
+
+	try {
+		const rows = uncheckedStmt.all();
+		const outdated = checkAll(rows, Math.floor(Date.now() / 1000));
+		logger.info(
+			`fetch - worker-fetch-upstreams - completed - ${upstreams.length} upstreams, ${rows.length} checked, ${outdated} outdated`,
+		);
+	} catch (e) {
+		logger.error(`fetch - worker-fetch-upstreams - ${e}`);
+	}
+};
+
+/**
+ * Returns the archive of a url dependency, null when it can't be had.
+ * Downloads larger than maxSize bytes aren't started, files on disk are
+ * read whatever their size.
+ *
+ * @typedef {(urlDep: {hash: string, url: string}, maxSize?: number) => Promise<Uint8Array | null>} ArchiveSource
+ */
+
+// archives are held in memory while they're hashed
+const MAX_ARCHIVE_SIZE = 64 * 1024 * 1024;
+
+/**
+ * `.hash` comes from manifests, the semver part of a package hash could
+ * contain a `/`
+ *
+ * @param {string} dir
+ * @param {string} hash
+ * @returns {string | null} null for hashes that aren't a safe file name
+ */
+const getArchivePath = (dir, hash) =>
+	/^[A-Za-z0-9_.+-]+$/.test(hash) ? `${dir}/${hash}` : null;
+
+/**
+ * @param {string} location - `remote` downloads archives from their urls, a
+ * directory reads them from `<directory>/<hash>`, e.g. fixtures in tests
+ * @returns {ArchiveSource}
+ */
+export const createArchiveSource = (location) => {
+	if (location !== "remote") {
+		return async ({ hash }) => {
+			const path = getArchivePath(location, hash);
+			const file = path === null ? null : Bun.file(path);
+			if (file === null || !(await file.exists())) return null;
+			return new Uint8Array(await file.arrayBuffer());
+		};
+	}
+	return async ({ url }, maxSize = MAX_ARCHIVE_SIZE) => {
+		const limit = Math.min(maxSize, MAX_ARCHIVE_SIZE);
+		const response = await fetch(url, { signal: AbortSignal.timeout(60000) });
+		const length = Number(response.headers.get("content-length") ?? 0);
+		if (response.status !== 200 || length > limit) {
+			await response.body?.cancel();
+			return null;
+		}
+		// content-length is optional, chunked bodies are counted as they come
+		const reader = response.body?.getReader();
+		if (!reader) return null;
+		/** @type {Uint8Array[]} */
+		const chunks = [];
+		let size = 0;
+		for (let r = await reader.read(); !r.done; r = await reader.read()) {
+			size += r.value.length;
+			if (size > limit) {
+				await reader.cancel();
+				return null;
+			}
+			chunks.push(r.value);
+		}
+		return new Uint8Array(Buffer.concat(chunks));
+	};
+};
+
+/**
+ * Downloads url dependencies and checks their `.hash`. Hashes don't change
+ * so each is verified once, unreachable ones are retried weekly. git+ urls
+ * need a git client and are left unsupported, like archives that unpack past
+ * MAX_UNPACKED_SIZE.
+ *
+ * @param {Database} conn
+ * @param {ArchiveSource} source
+ */
+export const verifyPackageHashes = async (conn, source) => {
+	const stmt = conn.prepare(`
+		SELECT hash, url FROM url_dependencies
+		WHERE hash_format IS NOT NULL
+			AND (
+				hash_checked_at IS NULL
+				OR (
+					hash_status = 'unreachable'
+					AND (strftime('%s', 'now') - hash_checked_at) > 604800
+				)
+			)
+		ORDER BY hash_checked_at IS NOT NULL, hash_checked_at
+		LIMIT 10;`);
+	const statusStmt = conn.prepare(`
+		UPDATE url_dependencies
+		SET hash_status = ?, hash_computed = ?, hash_checked_at = ?
+		WHERE hash = ?
+	`);
+
+	const rows = stmt.all();
+	/** @type {Record<string, number>} */
+	const counts = { verified: 0, mismatch: 0, unreachable: 0, unsupported: 0 };
+	for (const row of rows) {
+		let status = "unsupported";
+		let computed = null;
+		if (!row.url.startsWith("git+")) {
+			const archive = await source(row).catch((e) => {
+				logger.error(`fetch - worker-verify-hashes - ${row.url} - ${e}`);
+				return null;
+			});
+			try {
+				const result = archive && computePackageHash(archive);
+				if (archive === null) {
+					status = "unreachable";
+				} else if (result) {
+					computed = formatPackageHash(row.hash, result);
+					status = computed === row.hash ? "verified" : "mismatch";
+				}
+			} catch (e) {
+				// a corrupt archive doesn't unpack, it can't match either
+				status = "mismatch";
+				logger.error(`fetch - worker-verify-hashes - ${row.url} - ${e}`);
+			}
+		}
+		counts[status]++;
+		statusStmt.run(status, computed, Math.floor(Date.now() / 1000), row.hash);
 	}
-	// codeberg's top url contain all repos, it's unused here
-	fatal(`getRepoURL - invalid platform ${platform}`);
-	return ""; // unreachable
+	logger.info(
+		`fetch - worker-verify-hashes - completed - ${counts.verified} verified, ${counts.mismatch} mismatch, ${counts.unreachable} unreachable, ${counts.unsupported} unsupported`,
+	);
 };
 
-const GITHUB_API_KEY = process.env.GITHUB_API_KEY;
-if (!GITHUB_API_KEY) fatal("GITHUB_API_KEY is not set");
-const CODEBERG_API_KEY = process.env.CODEBERG_API_KEY;
-if (!CODEBERG_API_KEY) fatal("CODEBERG_API_KEY is not set");
+// probes to the same host are at least this many ms apart
+const LINK_CHECK_DELAY = 1000;
 
-export const headers = {
-	github: {
-		Accept: "application/vnd.github+json",
-		"X-GitHub-Api-Version": "2022-11-28",
-		Authorization: `Bearer ${GITHUB_API_KEY}`,
-	},
-	codeberg: {
-		Authorization: `token ${CODEBERG_API_KEY}`,
-	},
+/**
+ * @param {string} url
+ * @returns {Promise<number>} http status
+ */
+const probeDependencyURL = async (url) => {
+	const signal = AbortSignal.timeout(30000);
+	// git+ urls are cloned over git's smart http protocol
+	if (url.startsWith("git+")) {
+		const repo = url.slice(4).replace(/[?#].*$/, "").replace(/\/$/, "");
+		const response = await fetch(`${repo}/info/refs?service=git-upload-pack`, {
+			signal,
+		});
+		await response.body?.cancel();
+		return response.status;
+	}
+	const head = await fetch(url, { method: "HEAD", signal });
+	if (head.status !== 405 && head.status !== 501) return head.status;
+	// servers without HEAD get a GET for the first byte
+	const response = await fetch(url, {
+		headers: { Range: "bytes=0-0" },
+		signal,
+	});
+	await response.body?.cancel();
+	return response.status;
 };
 
-// ----------------------------------------------------------------------------
-// workers
-
 /**
+ * Probes the urls of url dependencies, unchecked ones first. Dead links are
+ * probed again daily, the rest weekly. A url that can't be reached at all
+ * gets a null status. Runs can take longer than the interval, rows are
+ * claimed before they're probed so the next run picks others. A claim left
+ * by a run that didn't finish expires after an hour, the link keeps its last
+ * status until then.
+ *
  * @param {Database} conn
- * @param {'github' | 'codeberg'} platform
- * @param {'top' | 'all'} type
+ * @param {number} [delay] - ms between probes to the same host
  */
-export const fetchRepo = async (conn, platform, type) => {
-	logger.info(`fetch - worker-fetch-repo - ${platform} ${type}`);
+export const checkDependencyLinks = async (conn, delay = LINK_CHECK_DELAY) => {
+	const stmt = conn.prepare(`
+		SELECT url FROM url_dependencies
+		WHERE link_checked_at IS NULL
+			OR (strftime('%s', 'now') - link_checked_at) > CASE
+				WHEN link_status IN (404, 410) THEN 86400
+				ELSE 604800
+			END
+		GROUP BY url
+		HAVING MAX(COALESCE(link_claimed_at, 0)) < strftime('%s', 'now') - 3600
+		ORDER BY MAX(link_checked_at IS NOT NULL), MIN(link_checked_at)
+		LIMIT 30;`);
+	const statusStmt = conn.prepare(`
+		UPDATE url_dependencies
+		SET link_status = ?, link_checked_at = ?, link_claimed_at = NULL
+		WHERE url = ?
+	`);
+	const claimStmt = conn.prepare(`
+		UPDATE url_dependencies SET link_claimed_at = ? WHERE url = ?
+	`);
 
-	/** @type {string | undefined} */
-	let url = type === "top" ? getTopRepoURL(platform) : getAllRepoURL(platform);
-	while (url) {
-		const response = await fetch(url, { headers: headers[platform] });
-		if (response.status !== 200) {
-			logger.error(
-				`fetch - worker-fetch-repo - ${platform} ${type} - HTTP ${response.status}`,
-			);
-			break;
-		}
-		const data = await response.json();
-		let items = platform === "codeberg" ? data.data : data.items;
-		items = Array.isArray(items) ? items.filter(Boolean) : [];
-		const parsed = items.map(repoExtractors[platform]);
-		const stmt = conn.prepare(`
-			INSERT INTO repos (
-				platform, full_name, name, owner, description, homepage, license, 
-				created_at, updated_at, pushed_at, stars, forks, 
-				is_fork, is_archived, default_branch, language
-			)
-			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-			ON CONFLICT (platform, full_name) DO UPDATE SET
-				name = excluded.name,
-				owner = excluded.owner,
-				description = excluded.description,
-				homepage = excluded.homepage,
-				license = excluded.license,
-				created_at = excluded.created_at,
-				updated_at = excluded.updated_at,
-				pushed_at = excluded.pushed_at,
-				stars = excluded.stars,
-				forks = excluded.forks,
-				is_fork = excluded.is_fork,
-				is_archived = excluded.is_archived,
-				default_branch = excluded.default_branch,
-				language = excluded.language
-			`);
+	/**
+	 * @param {number} now
+	 * @returns {{url: string}[]}
+	 */
+	const claim = conn.transaction((now) => {
+		const rows = stmt.all();
+		for (const { url } of rows) claimStmt.run(now, url);
+		return rows;
+	});
+
+	const rows = claim(Math.floor(Date.now() / 1000));
+	/** @type {Map<string, number>} */
+	const lastProbe = new Map();
+	let dead = 0;
+	for (const { url } of rows) {
+		const host = url.match(/^(?:git\+)?\w+:\/\/([^/?#]+)/)?.[1] ?? "";
+		const wait = (lastProbe.get(host) ?? 0) + delay - Date.now();
+		if (wait > 0) await Bun.sleep(wait);
+		lastProbe.set(host, Date.now());
 
+		let status = null;
 		try {
-			const upsertMany = conn.transaction((data) => {
-				for (const row of data) {
-					stmt.run(row);
-				}
-			});
+			status = await probeDependencyURL(url);
+		} catch (e) {
+			logger.error(`fetch - worker-check-links - ${url} - ${e}`);
+		}
+		if (status === 404 || status === 410) dead++;
+		statusStmt.run(status, Math.floor(Date.now() / 1000), url);
+	}
+	logger.info(
+		`fetch - worker-check-links - completed - ${rows.length} checked, ${dead} dead`,
+	);
+};
 
-			const rows = parsed.map((item) => [
-				item.platform,
-				item.full_name,
-				item.name,
-				item.owner,
-				item.description,
-				item.homepage,
-				item.license,
-				item.created_at,
-				item.updated_at,
-				item.pushed_at,
-				item.stars,
-				item.forks,
-				item.is_fork,
-				item.is_archived,
-				item.default_branch,
-				item.language,
-			]);
+/**
+ * Keeps a copy of verified archives, the most depended on first, until
+ * maxSize bytes are stored. Archives are hashed before they're kept, so
+ * unchecked ones are verified here and don't wait for verifyPackageHashes,
+ * one that doesn't match is flagged as a mismatch. Failed downloads, and
+ * archives larger than the space left, are retried daily.
+ *
+ * @param {Database} conn
+ * @param {ArchiveSource} source
+ * @param {string} dir
+ * @param {number} maxSize - bytes
+ */
+export const mirrorPackages = async (conn, source, dir, maxSize) => {
+	const stmt = conn.prepare(`
+		SELECT ud.hash, ud.url, ud.hash_status
+		FROM url_dependencies ud
+		LEFT JOIN package_mirror pm ON pm.hash = ud.hash
+		LEFT JOIN url_dependency_aliases a ON a.hash = ud.hash
+		WHERE ud.hash_format IS NOT NULL
+			AND ud.url NOT LIKE 'git+%'
+			AND (ud.hash_status = 'verified' OR ud.hash_checked_at IS NULL)
+			AND (
+				pm.hash IS NULL
+				OR (
+					pm.status = 'failed'
+					AND (strftime('%s', 'now') - pm.fetched_at) > 86400
+				)
+			)
+		GROUP BY ud.hash
+		ORDER BY SUM(a.dependents) DESC, ud.hash
+		LIMIT 10;`);
+	const sizeStmt = conn.prepare(serverMirrorStatsQuery);
+	const upsertStmt = conn.prepare(`
+		INSERT INTO package_mirror (hash, status, format, size, sha256, fetched_at)
+		VALUES (?, ?, ?, ?, ?, ?)
+		ON CONFLICT(hash) DO UPDATE SET
+			status = excluded.status,
+			format = excluded.format,
+			size = excluded.size,
+			sha256 = excluded.sha256,
+			fetched_at = excluded.fetched_at
+	`);
+	const hashStatusStmt = conn.prepare(`
+		UPDATE url_dependencies
+		SET hash_status = ?, hash_computed = ?, hash_checked_at = ?
+		WHERE hash = ?
+	`);
 
-			upsertMany(rows);
-			logger.info(`db - upsertZigRepos - len ${rows.length}`);
+	const rows = stmt.all();
+	let used = sizeStmt.get().size;
+	let mirrored = 0;
+	for (const row of rows) {
+		if (used >= maxSize) {
+			logger.info(`fetch - worker-mirror-packages - ${dir} is full`);
+			break;
+		}
+		const now = Math.floor(Date.now() / 1000);
+		const path = getArchivePath(dir, row.hash);
+		if (path === null) {
+			upsertStmt.run(row.hash, "failed", null, null, null, now);
+			continue;
+		}
+		try {
+			// nothing larger than the space left is downloaded
+			const archive = await source(row, maxSize - used);
+			const computed = archive && computePackageHash(archive);
+			if (archive === null || !computed) {
+				upsertStmt.run(row.hash, "failed", null, null, null, now);
+				continue;
+			}
+			const hash = formatPackageHash(row.hash, computed);
+			if (hash !== row.hash) {
+				hashStatusStmt.run("mismatch", hash, now, row.hash);
+				continue;
+			}
+			if (row.hash_status !== "verified") {
+				hashStatusStmt.run("verified", hash, now, row.hash);
+			}
+			if (used + archive.length > maxSize) {
+				logger.info(`fetch - worker-mirror-packages - ${dir} is full`);
+				break;
+			}
+			await Bun.write(path, archive);
+			upsertStmt.run(
+				row.hash,
+				"mirrored",
+				getArchiveFormat(archive),
+				archive.length,
+				sha256(archive),
+				now,
+			);
+			used += archive.length;
+			mirrored++;
 		} catch (e) {
-			logger.error(`db - upsertZigRepos - ${e}`);
-		} finally {
-			if (stmt) stmt.finalize();
+			upsertStmt.run(row.hash, "failed", null, null, null, now);
+			logger.error(`fetch - worker-mirror-packages - ${row.url} - ${e}`);
 		}
-		logger.info(
-			`fetch - worker-fetch-repo - ${platform} ${type} - ${items.length} repos - url: ${url}`,
-		);
-		url = getNextURL(response);
 	}
-	logger.info(`fetch - worker-fetch-repo - ${platform} ${type} - completed`);
+	logger.info(
+		`fetch - worker-mirror-packages - completed - ${mirrored} mirrored, ${used} bytes used`,
+	);
 };
 
 /**
+ * @typedef {Object} MirroredPackage
+ * @property {import("bun").BunFile} file
+ * @property {ArchiveFormat} format
+ */
+
+// mirrored files whose sha256 was checked, by hash, with their mtime then
+/** @type {Map<string, number>} */
+const checkedMirrorFiles = new Map();
+
+/**
+ * A mirrored archive, checked against its size and sha256 from when it was
+ * stored. The sha256 is checked again only when the file was modified since,
+ * the file is streamed from disk. One that doesn't match is dropped from the
+ * mirror and fetched again by mirrorPackages.
+ *
  * @param {Database} conn
+ * @param {string} dir
+ * @param {string} hash
+ * @returns {Promise<MirroredPackage | null>}
  */
-export const fetchBuildZig = async (conn) => {
-	// rate limit: 5000 requests per hour, 83/min
-	// 41 because fetching both build.zig and build.zig.zon, 41 * 2 = 82
-	const repoIdStmt = conn.prepare(`
-		SELECT r.id, r.full_name, r.default_branch, r.platform
-		FROM repos r
-		LEFT JOIN repo_build_zig rbz ON r.id = rbz.repo_id
-		WHERE (
-			rbz.fetched_at IS NULL
-			OR (strftime('%s', 'now') - rbz.fetched_at) > 259200
+export const readMirroredPackage = async (conn, dir, hash) => {
+	const row = conn
+		.prepare(
+			`SELECT format, size, sha256 FROM package_mirror WHERE hash = ? AND status = 'mirrored'`,
 		)
-		AND r.full_name NOT LIKE '%zigbee%' COLLATE NOCASE
-		AND (r.description IS NULL OR r.description NOT LIKE '%zigbee%' COLLATE NOCASE)
-		ORDER BY r.stars DESC
-		LIMIT 41;`);
-	const repos = repoIdStmt.all();
-	const parsed = await Promise.all(repos.map((repo) => fetchZigContent(repo)));
-	const stmt = conn.prepare(`
-		INSERT INTO repo_build_zig (
-			repo_id, build_zig_content, build_zig_zon_content, fetched_at
+		.get(hash);
+	const path = getArchivePath(dir, hash);
+	if (!row || path === null) return null;
+	const file = Bun.file(path);
+	if ((await file.exists()) && file.size === row.size) {
+		if (checkedMirrorFiles.get(hash) === file.lastModified) {
+			return { file, format: row.format };
+		}
+		const hasher = createHash("sha256");
+		const reader = file.stream().getReader();
+		for (let r = await reader.read(); !r.done; r = await reader.read()) {
+			hasher.update(r.value);
+		}
+		if (hasher.digest("hex") === row.sha256) {
+			checkedMirrorFiles.set(hash, file.lastModified);
+			return { file, format: row.format };
+		}
+	}
+	checkedMirrorFiles.delete(hash);
+	logger.error(`db - mirror - ${hash} - failed integrity check`);
+	conn.prepare(`DELETE FROM package_mirror WHERE hash = ?`).run(hash);
+	return null;
+};
+
+/**
+ * Recomputes the graph of repos whose edges changed since the last run, and
+ * of every repo that reaches one of them, a change anywhere upstream changes
+ * the graph of every repo below it. A repo's edges are compared by
+ * edges_hash, so it doesn't matter which worker changed them.
+ *
+ * @param {Database} conn
+ */
+export const processDependencyGraph = async (conn) => {
+	const edgeStmt = conn.prepare(dependencyEdgesQuery);
+	const storedStmt = conn.prepare(
+		`SELECT repo_id, edges_hash FROM repo_dependency_graph`,
+	);
+	const clearStmts = [
+		"repo_dependency_graph",
+		"repo_transitive_dependencies",
+		"repo_dependency_cycles",
+		"repo_dependency_diamonds",
+	].map((table) => conn.prepare(`DELETE FROM ${table} WHERE repo_id = ?`));
+	const graphStmt = conn.prepare(`
+		INSERT INTO repo_dependency_graph (
+			repo_id, direct_count, package_count, depth, cycle_count,
+			diamond_count, processed_at, edges_hash
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+	`);
+	const nodeStmt = conn.prepare(`
+		INSERT INTO repo_transitive_dependencies (
+			repo_id, node, dependency_id, label, depth, parent_id
+		) VALUES (?, ?, ?, ?, ?, ?)
+	`);
+	const cycleStmt = conn.prepare(`
+		INSERT INTO repo_dependency_cycles (
+			repo_id, cycle, position, dependency_id
 		) VALUES (?, ?, ?, ?)
-		ON CONFLICT(repo_id) DO UPDATE SET
-			build_zig_content = excluded.build_zig_content,
-			build_zig_zon_content = excluded.build_zig_zon_content,
-			fetched_at = excluded.fetched_at
-		`);
-	try {
-		const upsertMany = conn.transaction((data) => {
-			for (const row of data) {
-				stmt.run(row);
+	`);
+	const diamondStmt = conn.prepare(`
+		INSERT INTO repo_dependency_diamonds (
+			repo_id, node, label, dependency_id, hash, ref, dependent_id
+		) VALUES (?, ?, ?, ?, ?, ?, ?)
+	`);
+
+	/**
+	 * @param {Set<number>} staleIds
+	 * @param {[number, DependencyGraph, string][]} graphs
+	 * @param {number} processedAt
+	 */
+	const replaceStale = conn.transaction((staleIds, graphs, processedAt) => {
+		for (const id of staleIds) {
+			for (const stmt of clearStmts) stmt.run(id);
+		}
+		for (const [repoId, graph, edgesHash] of graphs) {
+			graphStmt.run(
+				repoId,
+				graph.direct_count,
+				graph.nodes.length,
+				graph.depth,
+				graph.cycles.length,
+				graph.diamonds.length,
+				processedAt,
+				edgesHash,
+			);
+			for (const n of graph.nodes) {
+				nodeStmt.run(repoId, n.node, n.repo_id, n.label, n.depth, n.parent_id);
 			}
-		});
+			graph.cycles.forEach((cycle, i) => {
+				cycle.forEach((id, position) => {
+					cycleStmt.run(repoId, i, position, id);
+				});
+			});
+			for (const d of graph.diamonds) {
+				for (const pin of d.pins) {
+					for (const dependentId of pin.dependent_ids) {
+						diamondStmt.run(
+							repoId,
+							d.node,
+							d.label,
+							d.repo_id,
+							pin.hash,
+							pin.ref,
+							dependentId,
+						);
+					}
+				}
+			}
+		}
+	});
 
-		const rows = parsed.map((item) => [
-			item.repo_id,
-			item.build_zig_content,
-			item.build_zig_zon_content,
-			item.fetched_at,
-		]);
+	try {
+		/** @type {DependencyEdge[]} */
+		const rows = edgeStmt.all();
+		/** @type {Map<number, DependencyEdge[]>} */
+		const edges = new Map();
+		/** @type {Map<number, number[]>} */
+		const dependents = new Map();
+		for (const row of rows) {
+			const list = edges.get(row.dependent_id) ?? [];
+			edges.set(row.dependent_id, list);
+			list.push(row);
+			if (row.repo_id === null) continue;
+			const ids = dependents.get(row.repo_id) ?? [];
+			dependents.set(row.repo_id, ids);
+			ids.push(row.dependent_id);
+		}
+		const hashes = new Map(
+			[...edges].map(([id, list]) => [id, sha256(JSON.stringify(list))]),
+		);
+		/** @type {Map<number, string | null>} */
+		const stored = new Map(
+			storedStmt.all().map((r) => [r.repo_id, r.edges_hash]),
+		);
 
-		upsertMany(rows);
-		logger.info(`db - upsertBuildZig - len ${rows.length}`);
+		// repos whose edges changed, appeared or went away, then their dependents
+		const queue = [...hashes]
+			.filter(([id, hash]) => stored.get(id) !== hash)
+			.map(([id]) => id);
+		for (const id of stored.keys()) {
+			if (!hashes.has(id)) queue.push(id);
+		}
+		const stale = new Set(queue);
+		for (let i = 0; i < queue.length; i++) {
+			for (const id of dependents.get(queue[i]) ?? []) {
+				if (stale.has(id)) continue;
+				stale.add(id);
+				queue.push(id);
+			}
+		}
+
+		/** @type {[number, DependencyGraph, string][]} */
+		const graphs = [...stale]
+			.filter((id) => edges.has(id))
+			.map((id) => [
+				id,
+				analyzeDependencyGraph(id, edges),
+				/** @type {string} */ (hashes.get(id)),
+			]);
+		replaceStale(stale, graphs, Math.floor(Date.now() / 1000));
+		const cyclic = graphs.filter(([, g]) => g.cycles.length > 0).length;
+		logger.info(
+			`db - worker-dependency-graph - completed - ${graphs.length} of ${edges.size} repos recomputed, ${cyclic} with cycles`,
+		);
 	} catch (e) {
-		logger.error(`db - upsertBuildZig - ${e}`);
-	} finally {
-		if (stmt) stmt.finalize();
+		logger.error(`db - worker-dependency-graph - ${e}`);
 	}
 };
 
 /**
- * fetching worker and processing worker should be separate
+ * Same incremental scheme as processBuildZig, keyed on build.zig instead.
  *
  * @param {Database} conn
  */
-export const processBuildZig = async (conn) => {
+export const processBuildAnalysis = async (conn) => {
 	const stmt = conn.prepare(`
-		SELECT build_zig_zon_content, repo_id 
+		SELECT build_zig_content, repo_id, analyzed_hash
 		FROM repo_build_zig
-		WHERE build_zig_zon_content IS NOT NULL
+		WHERE (build_zig_content IS NOT NULL OR analyzed_hash IS NOT NULL)
+			AND (analyzed_at IS NULL OR fetched_at >= analyzed_at)
 	`);
 	const rows = stmt.all();
-	conn.exec("BEGIN TRANSACTION");
-	try {
-		for (const row of rows) {
-			const data = JSON.parse(zon2json(row.build_zig_zon_content));
-			const name = data.name;
-			const version = data.version;
-			const minimum_zig_version = data.minimum_zig_version ?? null;
-			const paths = data.paths;
-			let urlDeps = [];
-			let deps = [];
-			if (data.dependencies) {
-				const transformedDependencies = transformDependencies(
-					data.dependencies,
-				);
-				urlDeps = transformedDependencies.urlDeps;
-				deps = transformedDependencies.deps;
-			}
-
-			const metadataStmt = conn.prepare(`
-				INSERT OR REPLACE INTO repo_zon (repo_id, name, version, minimum_zig_version, paths)
-				VALUES (?, ?, ?, ?, ?)
-			`);
-			const pathsString = paths !== undefined ? paths.join(",") : "";
-			metadataStmt.run(
-				row.repo_id,
-				name,
-				version,
-				minimum_zig_version,
-				pathsString,
-			);
+	const deleteStmts = [
+		"repo_build_modules",
+		"repo_build_artifacts",
+		"repo_build_options",
+		"repo_build_steps",
+		"repo_build_system_libraries",
+		"repo_build_c_sources",
+	].map((table) => conn.prepare(`DELETE FROM ${table} WHERE repo_id = ?`));
+	const moduleStmt = conn.prepare(`
+		INSERT INTO repo_build_modules (repo_id, name) VALUES (?, ?)
+	`);
+	const artifactStmt = conn.prepare(`
+		INSERT INTO repo_build_artifacts (repo_id, kind, name) VALUES (?, ?, ?)
+	`);
+	const optionStmt = conn.prepare(`
+		INSERT INTO repo_build_options (repo_id, name, type, description)
+		VALUES (?, ?, ?, ?)
+	`);
+	const stepStmt = conn.prepare(`
+		INSERT INTO repo_build_steps (repo_id, name, description) VALUES (?, ?, ?)
+	`);
+	const systemLibraryStmt = conn.prepare(`
+		INSERT INTO repo_build_system_libraries (repo_id, name) VALUES (?, ?)
+	`);
+	const cSourceStmt = conn.prepare(`
+		INSERT INTO repo_build_c_sources (repo_id, path, language) VALUES (?, ?, ?)
+	`);
+	const statusStmt = conn.prepare(`
+		UPDATE repo_build_zig
+		SET build_kind = ?, links_libc = ?, links_libcpp = ?, has_c_sources = ?,
+			pure_zig = ?, analyzed_at = ?, analyzed_hash = ?
+		WHERE repo_id = ?
+	`);
+	const touchStmt = conn.prepare(`
+		UPDATE repo_build_zig SET analyzed_at = ? WHERE repo_id = ?
+	`);
 
-			const urlDepStmt = conn.prepare(`
-				INSERT OR REPLACE INTO url_dependencies (hash, name, url)
-				VALUES (?, ?, ?)
-			`);
-			for (const urlDep of urlDeps) {
-				urlDepStmt.run(urlDep.hash, urlDep.name, urlDep.url);
+	/**
+	 * @param {number} repoId
+	 * @param {BuildZigAnalysis | null} analysis - null when build.zig is gone
+	 * @param {number} analyzedAt
+	 * @param {string | null} hash
+	 */
+	const replaceAnalysis = conn.transaction(
+		(repoId, analysis, analyzedAt, hash) => {
+			for (const deleteStmt of deleteStmts) deleteStmt.run(repoId);
+			if (analysis) {
+				for (const name of analysis.modules) moduleStmt.run(repoId, name);
+				for (const { kind, name } of analysis.artifacts) {
+					artifactStmt.run(repoId, kind, name);
+				}
+				for (const { name, type, description } of analysis.options) {
+					optionStmt.run(repoId, name, type, description);
+				}
+				for (const { name, description } of analysis.steps) {
+					stepStmt.run(repoId, name, description);
+				}
+				for (const name of analysis.system_libraries) {
+					systemLibraryStmt.run(repoId, name);
+				}
+				for (const { path, language } of analysis.c_sources) {
+					cSourceStmt.run(repoId, path, language);
+				}
 			}
+			statusStmt.run(
+				analysis ? classifyBuild(analysis) : null,
+				analysis?.links_libc ?? null,
+				analysis?.links_libcpp ?? null,
+				analysis?.has_c_sources ?? null,
+				analysis ? isPureZig(analysis) : null,
+				analyzedAt,
+				hash,
+				repoId,
+			);
+		},
+	);
 
-			const depStmt = conn.prepare(`
-				INSERT OR REPLACE INTO repo_dependencies (repo_id, name, dependency_type, path, url_dependency_hash)
-				VALUES (?, ?, ?, ?, ?)
-			`);
-			for (const dep of deps) {
-				depStmt.run(
-					row.repo_id,
-					dep.name,
-					dep.dependency_type,
-					dep.dependency_type === "path" ? dep.path : null,
-					dep.dependency_type === "url" ? dep.url_dependency_hash : null,
-				);
+	let analyzedCount = 0;
+	let unchangedCount = 0;
+	for (const row of rows) {
+		const analyzedAt = Math.floor(Date.now() / 1000);
+		const content = row.build_zig_content;
+		try {
+			const hash = content === null ? null : sha256(content);
+			if (hash !== null && hash === row.analyzed_hash) {
+				touchStmt.run(analyzedAt, row.repo_id);
+				unchangedCount++;
+				continue;
 			}
+			const analysis = content === null ? null : analyzeBuildZig(content);
+			replaceAnalysis(row.repo_id, analysis, analyzedAt, hash);
+			analyzedCount++;
+		} catch (error) {
+			logger.error(
+				`db - worker-process-build-analysis - repo_id ${row.repo_id} - ${error}`,
+			);
 		}
-		conn.exec("COMMIT");
-		logger.info("db - worker-process-build-zig - completed successfully");
-	} catch (error) {
-		conn.exec("ROLLBACK");
-		logger.error(`db - worker-process-build-zig - Error: ${error}`);
 	}
+	logger.info(
+		`db - worker-process-build-analysis - completed - ${analyzedCount} analyzed, ${unchangedCount} unchanged`,
+	);
 };
 
 /**
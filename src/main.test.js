@@ -1,6 +1,9 @@
 import { expect, describe, beforeAll, afterAll, test } from "bun:test";
 import { Glob } from "bun";
 import { Database } from "bun:sqlite";
+import { createHash } from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
 import {
 	headers,
 	extractZon,
@@ -12,13 +15,81 @@ import {
 	logger,
 	getZigZonURL,
 	fetchMetadata,
-	zon2json,
+	parseZon,
+	ZonError,
+	processBuildZig,
+	diffDependencies,
+	decodePackageHash,
+	analyzeBuildZig,
+	classifyBuild,
+	isPureZig,
+	processBuildAnalysis,
+	parseZigmodYml,
+	parseZigmodLock,
+	parseZzz,
+	extractZigmod,
+	extractGyro,
+	ManifestError,
+	findNestedPackages,
+	resolvePackagePath,
+	processPackages,
+	mergeTagsAndReleases,
+	processVersions,
+	serverVersionsQuery,
+	parseDependencyURL,
+	normalizeDependencyURL,
+	getUpstreamKey,
+	resolveUrlDependencies,
+	serverDependencyQuery,
+	serverDependentsQuery,
+	serverRepoQuery,
+	serverRepoDependenciesQuery,
+	serverOwnerQuery,
+	serverOwnerStatsQuery,
+	serverTopQuery,
+	analyzeDependencyGraph,
+	processDependencyGraph,
+	getDependencyGraph,
+	getPackageGraph,
+	layoutGraph,
+	serverPopularDependenciesQuery,
+	serverFragmentationQuery,
+	getFragmentation,
+	compareVersionTags,
+	pickLatestTag,
+	getUpstreamStatus,
+	fetchDependencyUpstreams,
+	serverOutdatedDependenciesQuery,
+	serverOutdatedReportQuery,
+	computePackageHash,
+	formatPackageHash,
+	createArchiveSource,
+	verifyPackageHashes,
+	checkDependencyLinks,
+	mirrorPackages,
+	readMirroredPackage,
+	serverMirrorQuery,
+	serverDeadDependenciesQuery,
+	serverDeadLinksQuery,
 	getZigBuildURL,
 	getAllRepoURL,
 	upsertMetadata,
 	getNextURL,
+	GITHUB_BUDGET,
+	createRequestBudget,
 	dateGenerator,
 	repoExtractors,
+	ApiError,
+	API_PARAMS,
+	API_ENDPOINTS,
+	API_SCHEMAS,
+	parseApiParam,
+	parseApiParams,
+	getOpenApiDocument,
+	rebuildFts,
+	listApiRepos,
+	getApiRepo,
+	listApiDependencies,
 } from "./main.js";
 
 const CACHE_DIR = "./.http-cache";
@@ -189,7 +260,7 @@ describe("db inserts and reads", () => {
 			const zonExists = zonData.status === 200;
 			const buildExists = buildData.status === 200;
 			if (!zonExists) continue;
-			const parsed = extractZon(JSON.parse(zon2json(zonData.content)));
+			const parsed = extractZon(parseZon(zonData.content));
 
 			const repoStmt = db.prepare(
 				`SELECT id
@@ -270,7 +341,7 @@ describe("db inserts and reads", () => {
 			const zonData = await zonFile.json();
 			const zonExists = zonData.status === 200;
 			if (!zonExists) continue;
-			const parsed = extractZon(JSON.parse(zon2json(zonData.content)));
+			const parsed = extractZon(parseZon(zonData.content));
 			const repoStmt = db.prepare(
 				`SELECT id FROM repos WHERE full_name = ? AND platform = ?`,
 			);
@@ -303,7 +374,6 @@ describe("db inserts and reads", () => {
 				expect(actualUrlDep).toEqual(
 					expect.objectContaining({
 						hash: expectedUrlDep.hash,
-						name: expectedUrlDep.name,
 						url: expectedUrlDep.url,
 					}),
 				);
@@ -336,7 +406,7 @@ describe("db inserts and reads", () => {
 			const zonFile = Bun.file(getCacheFilename("metadata-zon", repo));
 			const zonData = await zonFile.json();
 			if (zonData.status !== 200) continue;
-			const parsed = extractZon(JSON.parse(zon2json(zonData.content)));
+			const parsed = extractZon(parseZon(zonData.content));
 			const repoStmt = db.prepare(
 				`SELECT id
 					FROM repos
@@ -475,3 +545,2284 @@ describe("fetches", () => {
 		logger.flush();
 	});
 });
+
+describe("github budget", () => {
+	test("shares should stay under the rate limit", () => {
+		const { buildZig, packages, versions, upstreams } = GITHUB_BUDGET;
+		const perMinute = buildZig + packages + versions + upstreams / 5;
+		expect(perMinute).toBeLessThan(5000 / 60);
+	});
+
+	test("only github requests should be counted", () => {
+		const budget = createRequestBudget(3);
+		const github = { platform: "github" };
+		const codeberg = { platform: "codeberg" };
+		budget.spend(github, 2);
+		budget.spend(codeberg, 10);
+		expect(budget.left(github)).toBe(1);
+		expect(budget.left(codeberg)).toBe(Infinity);
+	});
+});
+
+describe("zon parser", () => {
+	test("multiline strings, escapes and comments inside strings", () => {
+		const zon = [
+			".{",
+			'\t.name = "zig-clap", // trailing comment',
+			'\t.description = "say \\"hi\\" // not a comment",',
+			"\t.notes =",
+			"\t\t\\\\first line",
+			'\t\t\\\\second "line" // kept',
+			"\t,",
+			"}",
+		].join("\n");
+		expect(parseZon(zon)).toEqual({
+			name: "zig-clap",
+			description: 'say "hi" // not a comment',
+			notes: 'first line\nsecond "line" // kept',
+		});
+	});
+
+	test("numbers, char and enum literals", () => {
+		const parsed = parseZon(`.{
+			.name = .zig_clap,
+			.@"quoted-field" = true,
+			.fingerprint = 0x9947018c924eecb2,
+			.hex = 0xFF,
+			.big = 1_000_000,
+			.octal = 0o17,
+			.binary = 0b101,
+			.float = 1.5e3,
+			.negative = -3,
+			.char = 'a',
+			.escaped_char = '\\n',
+			.nothing = null,
+		}`);
+		expect(parsed).toEqual({
+			name: "zig_clap",
+			"quoted-field": true,
+			fingerprint: 0x9947018c924eecb2n,
+			hex: 255,
+			big: 1000000,
+			octal: 15,
+			binary: 5,
+			float: 1500,
+			negative: -3,
+			char: 97,
+			escaped_char: 10,
+			nothing: null,
+		});
+	});
+
+	test("structs, tuples and empty initializers", () => {
+		const parsed = parseZon(`.{
+			.dependencies = .{
+				.clap = .{
+					.url = "git+https://github.com/Hejsil/zig-clap?ref=0.9.1#d71cc39a",
+					.hash = "122062d301a203d003547b414237229b09a7980095061697349f8bef41be9c30266b",
+				},
+				.local = .{ .path = "libs/local" },
+			},
+			.empty = .{},
+			.paths = .{ "build.zig", "src", "" },
+		}`);
+		expect(parsed.dependencies.clap.url).toBe(
+			"git+https://github.com/Hejsil/zig-clap?ref=0.9.1#d71cc39a",
+		);
+		expect(parsed.dependencies.local).toEqual({ path: "libs/local" });
+		expect(parsed.empty).toEqual({});
+		expect(parsed.paths).toEqual(["build.zig", "src", ""]);
+	});
+
+	test("errors should carry line and column", () => {
+		const cases = [
+			{ zon: '.{ .name = "unterminated }', line: 1, column: 12 },
+			{ zon: ".{\n\t.a = 1,\n\t.a = 2,\n}", line: 3, column: 3 },
+			{ zon: ".{\n\t.a = 1\n\t.b = 2,\n}", line: 3, column: 2 },
+			{ zon: '.{ .a = "\\q" }', line: 1, column: 10 },
+			{ zon: '.{ .a = "\\', line: 1, column: 9 },
+			{ zon: ".{ .a = 12ab }", line: 1, column: 9 },
+			{ zon: ".{ .a = 1 }}", line: 1, column: 12 },
+			{ zon: ".{ .a = constructor }", line: 1, column: 9 },
+			{ zon: ".{ .a = toString }", line: 1, column: 9 },
+		];
+		for (const { zon, line, column } of cases) {
+			/** @type {any} */
+			let error;
+			try {
+				parseZon(zon);
+			} catch (e) {
+				error = e;
+			}
+			expect(error).toBeInstanceOf(ZonError);
+			expect(error.line).toBe(line);
+			expect(error.column).toBe(column);
+		}
+		expect(() => parseZon('.{ .a = "\\')).toThrow(
+			"unterminated string literal",
+		);
+	});
+});
+
+/**
+ * @param {Database} db
+ * @param {string} full_name
+ * @param {string | null} zon - build.zig.zon content
+ * @returns {number} repo id
+ */
+const insertRepoWithZon = (db, full_name, zon) => {
+	const { id } = db
+		.prepare(
+			`INSERT INTO repos (full_name, platform, name, owner, stars, forks)
+			VALUES (?, 'github', ?, ?, 0, 0)
+			RETURNING id`,
+		)
+		.get(full_name, full_name.split("/")[1], full_name.split("/")[0]);
+	db.prepare(
+		`INSERT INTO repo_build_zig (repo_id, build_zig_zon_content, fetched_at)
+		VALUES (?, ?, ?)`,
+	).run(id, zon, Math.floor(Date.now() / 1000));
+	return id;
+};
+
+describe("processBuildZig", () => {
+	let db;
+	beforeAll(() => {
+		db = new Database(DB_NAME);
+		initDB(db);
+	});
+
+	test("an unexpected error should wait for the next fetch", async () => {
+		const conn = new Database(DB_NAME);
+		initDB(conn);
+		const id = insertRepoWithZon(
+			conn,
+			"stuck/repo",
+			`.{ .name = "stuck", .version = "0.1.0" }`,
+		);
+		conn.exec(`
+			CREATE TEMP TRIGGER fail_zon BEFORE INSERT ON repo_zon
+			BEGIN SELECT RAISE(ABORT, 'disk on fire'); END;
+		`);
+		conn.exec(`UPDATE repo_build_zig SET fetched_at = 0`);
+
+		await processBuildZig(conn);
+		const row = conn
+			.prepare(
+				`SELECT parse_error, processed_at, processed_hash
+				FROM repo_build_zig WHERE repo_id = ?`,
+			)
+			.get(id);
+		expect(row.parse_error).toContain("disk on fire");
+		expect(row.processed_at).toBeGreaterThan(0);
+		expect(row.processed_hash).toBeNull();
+
+		// the next run doesn't pick it up until it's fetched again
+		conn.exec(`DROP TRIGGER fail_zon`);
+		await processBuildZig(conn);
+		expect(
+			conn.prepare(`SELECT 1 FROM repo_zon WHERE repo_id = ?`).get(id),
+		).toBeNull();
+		conn
+			.prepare(`UPDATE repo_build_zig SET fetched_at = ?`)
+			.run(Math.floor(Date.now() / 1000));
+		await processBuildZig(conn);
+		expect(
+			conn.prepare(`SELECT 1 FROM repo_zon WHERE repo_id = ?`).get(id),
+		).not.toBeNull();
+		conn.close();
+	});
+
+	test("a broken manifest should not block the others", async () => {
+		const okId = insertRepoWithZon(
+			db,
+			"ok/repo",
+			`.{
+				.name = "ok",
+				.version = "0.1.0",
+				.dependencies = .{ .dep = .{ .path = "libs/dep" } },
+			}`,
+		);
+		const parseErrorId = insertRepoWithZon(
+			db,
+			"broken/repo",
+			'.{ .name = "broken", .version = "0.1.0"',
+		);
+		const schemaErrorId = insertRepoWithZon(
+			db,
+			"schema/repo",
+			`.{ .name = "schema", .version = 1 }`,
+		);
+
+		await processBuildZig(db);
+
+		const statusStmt = db.prepare(
+			`SELECT parse_status, parse_error, processed_at
+			FROM repo_build_zig
+			WHERE repo_id = ?`,
+		);
+		expect(statusStmt.get(okId)).toEqual(
+			expect.objectContaining({ parse_status: "ok", parse_error: null }),
+		);
+		expect(statusStmt.get(parseErrorId).parse_status).toBe("parse_error");
+		expect(statusStmt.get(parseErrorId).parse_error).toContain("line 1");
+		expect(statusStmt.get(schemaErrorId).parse_status).toBe("schema_error");
+		expect(statusStmt.get(schemaErrorId).parse_error).toContain(".version");
+		expect(statusStmt.get(schemaErrorId).processed_at).toBeGreaterThan(0);
+
+		const deps = db
+			.prepare(`SELECT name FROM repo_dependencies WHERE repo_id = ?`)
+			.all(okId);
+		expect(deps).toEqual([{ name: "dep" }]);
+
+		const failures = db
+			.prepare(`SELECT full_name FROM repo_zon_failures ORDER BY full_name`)
+			.all();
+		expect(failures).toEqual([
+			{ full_name: "broken/repo" },
+			{ full_name: "schema/repo" },
+		]);
+	});
+
+	test("only changed manifests should be reprocessed", async () => {
+		const zon = `.{ .name = "inc", .version = "0.1.0", .dependencies = .{ .a = .{ .path = "a" } } }`;
+		const repoId = insertRepoWithZon(db, "incremental/repo", zon);
+		await processBuildZig(db);
+
+		// a reprocess would bring the row back
+		db.prepare(`DELETE FROM repo_dependencies WHERE repo_id = ?`).run(repoId);
+		await processBuildZig(db);
+		const depStmt = db.prepare(
+			`SELECT name FROM repo_dependencies WHERE repo_id = ?`,
+		);
+		expect(depStmt.all(repoId)).toEqual([]);
+
+		// refetched with the same content
+		db.prepare(
+			`UPDATE repo_build_zig SET fetched_at = fetched_at + 60 WHERE repo_id = ?`,
+		).run(repoId);
+		await processBuildZig(db);
+		expect(depStmt.all(repoId)).toEqual([]);
+
+		db.prepare(
+			`UPDATE repo_build_zig
+			SET build_zig_zon_content = ?, fetched_at = fetched_at + 60
+			WHERE repo_id = ?`,
+		).run(zon.replace(".a =", ".b ="), repoId);
+		await processBuildZig(db);
+		expect(depStmt.all(repoId)).toEqual([{ name: "b" }]);
+	});
+
+	test("stored zon and dependencies should follow the manifest", async () => {
+		const repoId = insertRepoWithZon(
+			db,
+			"reconcile/repo",
+			`.{
+				.name = "reconcile",
+				.version = "0.1.0",
+				.dependencies = .{
+					.kept = .{ .path = "kept" },
+					.dropped = .{ .path = "dropped" },
+					.bumped = .{ .url = "https://example.com/v1.tar.gz", .hash = "1220aaaa" },
+				},
+			}`,
+		);
+		await processBuildZig(db);
+		db.prepare(
+			`UPDATE repo_build_zig
+			SET build_zig_zon_content = ?, fetched_at = fetched_at + 60
+			WHERE repo_id = ?`,
+		).run(
+			`.{
+				.name = "reconcile",
+				.version = "0.2.0",
+				.dependencies = .{
+					.kept = .{ .path = "kept" },
+					.bumped = .{ .url = "https://example.com/v2.tar.gz", .hash = "1220bbbb" },
+					.new = .{ .path = "new" },
+				},
+			}`,
+			repoId,
+		);
+		await processBuildZig(db);
+
+		const zon = db
+			.prepare(`SELECT version FROM repo_zon WHERE repo_id = ?`)
+			.all(repoId);
+		expect(zon).toEqual([{ version: "0.2.0" }]);
+		const deps = db
+			.prepare(
+				`SELECT name, url_dependency_hash FROM repo_dependencies
+				WHERE repo_id = ? ORDER BY name`,
+			)
+			.all(repoId);
+		expect(deps).toEqual([
+			{ name: "bumped", url_dependency_hash: "1220bbbb" },
+			{ name: "kept", url_dependency_hash: null },
+			{ name: "new", url_dependency_hash: null },
+		]);
+		const events = db
+			.prepare(
+				`SELECT name, event, old_url_dependency_hash, new_url_dependency_hash
+				FROM repo_dependency_events
+				WHERE repo_id = ? ORDER BY name`,
+			)
+			.all(repoId);
+		expect(events).toEqual([
+			{
+				name: "bumped",
+				event: "changed",
+				old_url_dependency_hash: "1220aaaa",
+				new_url_dependency_hash: "1220bbbb",
+			},
+			{
+				name: "dropped",
+				event: "removed",
+				old_url_dependency_hash: null,
+				new_url_dependency_hash: null,
+			},
+			{
+				name: "new",
+				event: "added",
+				old_url_dependency_hash: null,
+				new_url_dependency_hash: null,
+			},
+		]);
+
+		// manifest deleted upstream
+		db.prepare(
+			`UPDATE repo_build_zig
+			SET build_zig_zon_content = NULL, fetched_at = fetched_at + 120
+			WHERE repo_id = ?`,
+		).run(repoId);
+		await processBuildZig(db);
+		expect(
+			db.prepare(`SELECT * FROM repo_zon WHERE repo_id = ?`).all(repoId),
+		).toEqual([]);
+		expect(
+			db.prepare(`SELECT * FROM repo_dependencies WHERE repo_id = ?`).all(repoId),
+		).toEqual([]);
+		const removed = db
+			.prepare(
+				`SELECT COUNT(*) AS count FROM repo_dependency_events
+				WHERE repo_id = ? AND event = 'removed'`,
+			)
+			.get(repoId);
+		expect(removed.count).toBe(4);
+	});
+
+	afterAll(() => {
+		db.close();
+	});
+});
+
+describe("diffDependencies", () => {
+	/**
+	 * @param {string} name
+	 * @param {string} p
+	 * @returns {import("./main.js").RepoDependency}
+	 */
+	const path = (name, p) => ({
+		name,
+		dependency_type: "path",
+		path: p,
+		url_dependency_hash: null,
+		lazy: false,
+		source: "zon",
+	});
+
+	test("unchanged dependencies should produce no events", () => {
+		const deps = [path("a", "a"), path("b", "b")];
+		expect(diffDependencies(deps, [...deps].reverse())).toEqual([]);
+	});
+
+	test("added, removed and changed", () => {
+		const events = diffDependencies(
+			[path("a", "a"), path("b", "b")],
+			[path("a", "libs/a"), path("c", "c")],
+		);
+		expect(events.map((e) => [e.name, e.event])).toEqual([
+			["a", "changed"],
+			["c", "added"],
+			["b", "removed"],
+		]);
+		expect(events[0].before?.path).toBe("a");
+		expect(events[0].after?.path).toBe("libs/a");
+	});
+
+	test("switching between lazy and eager is a change", () => {
+		const eager = path("a", "a");
+		const stored = { ...eager, lazy: /** @type {any} */ (0) };
+		expect(diffDependencies([stored], [eager])).toEqual([]);
+		const events = diffDependencies([stored], [{ ...eager, lazy: true }]);
+		expect(events.map((e) => [e.name, e.event])).toEqual([["a", "changed"]]);
+	});
+});
+
+describe("newer build.zig.zon fields", () => {
+	test("enum literal name, fingerprint and lazy dependencies", () => {
+		const zon = extractZon(
+			parseZon(`.{
+				.name = .zig_clap,
+				.version = "0.10.0",
+				.fingerprint = 0x9947018c924eecb2,
+				.dependencies = .{
+					.eager = .{ .path = "eager" },
+					.lazy = .{ .url = "https://example.com/a.tar.gz", .hash = "1220aa", .lazy = true },
+				},
+			}`),
+		);
+		expect(zon.name).toBe("zig_clap");
+		expect(zon.fingerprint).toBe("0x9947018c924eecb2");
+		expect(zon.deps.map((d) => [d.name, d.lazy])).toEqual([
+			["eager", false],
+			["lazy", true],
+		]);
+	});
+
+	test("multihash package hash", () => {
+		const digest = "ab".repeat(32);
+		expect(decodePackageHash(`1220${digest}`)).toEqual({
+			format: "multihash",
+			name: null,
+			version: null,
+			package_id: null,
+			size: null,
+			digest,
+		});
+	});
+
+	test("name-version-hashplus package hash", () => {
+		const bytes = Buffer.alloc(33);
+		bytes.writeUInt32LE(0x924eecb2, 0);
+		bytes.writeUInt32LE(123456, 4);
+		bytes.fill(0xcd, 8);
+		const hashplus = bytes.toString("base64url");
+		expect(hashplus).toHaveLength(44);
+
+		expect(decodePackageHash(`zig_clap-0.10.0-rc.1-${hashplus}`)).toEqual({
+			format: "package",
+			name: "zig_clap",
+			version: "0.10.0-rc.1",
+			package_id: 0x924eecb2,
+			size: 123456,
+			digest: "cd".repeat(25),
+		});
+		expect(decodePackageHash("not-a-hash")).toBeNull();
+	});
+});
+
+describe("build.zig analysis", () => {
+	const buildZig = `const std = @import("std");
+
+pub fn build(b: *std.Build) void {
+    const target = b.standardTargetOptions(.{});
+    const strip = b.option(bool, "strip", "Strip debug info (default: false)") orelse false;
+    const backend = b.option([]const u8, "backend", "Render backend, e.g. \\"gl\\"");
+
+    const mod = b.addModule("clap", .{
+        .root_source_file = b.path("clap.zig"),
+    });
+    // const old = b.addModule("commented-out", .{});
+    const msg = "b.addModule(\\"in-a-string\\", .{})";
+
+    const lib = b.addLibrary(.{
+        .linkage = .dynamic,
+        .name = "clap-shared",
+        .root_module = mod,
+    });
+    const exe = b.addExecutable(.{
+        .name = "example",
+        .target = target,
+    });
+    const tests = b.addTest(.{ .root_module = mod });
+
+    const run_step = b.step("run", "Run the example");
+    const docs_step = b.step("docs", "Generate docs");
+}`;
+
+	test("modules, artifacts, options and steps", () => {
+		const analysis = analyzeBuildZig(buildZig);
+		expect(analysis.modules).toEqual(["clap"]);
+		expect(analysis.artifacts).toEqual([
+			{ kind: "shared_library", name: "clap-shared" },
+			{ kind: "executable", name: "example" },
+			{ kind: "test", name: null },
+		]);
+		expect(analysis.options).toEqual([
+			{
+				name: "strip",
+				type: "bool",
+				description: "Strip debug info (default: false)",
+			},
+			{
+				name: "backend",
+				type: "[]const u8",
+				description: 'Render backend, e.g. \\"gl\\"',
+			},
+		]);
+		expect(analysis.steps.map((s) => s.name)).toEqual(["run", "docs"]);
+	});
+
+	test("library, application or both", () => {
+		expect(classifyBuild(analyzeBuildZig(buildZig))).toBe("both");
+		expect(
+			classifyBuild(
+				analyzeBuildZig(`_ = b.addModule("lib", .{}); _ = b.addTest(.{});`),
+			),
+		).toBe("library");
+		expect(
+			classifyBuild(
+				analyzeBuildZig(`const exe = b.addExecutable(.{ .name = "app" });`),
+			),
+		).toBe("application");
+		expect(classifyBuild(analyzeBuildZig(`_ = b.addTest(.{});`))).toBeNull();
+	});
+
+	test("processBuildAnalysis should store the analysis", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const repoId = insertRepoWithZon(db, "analysis/repo", null);
+		db.prepare(
+			`UPDATE repo_build_zig SET build_zig_content = ? WHERE repo_id = ?`,
+		).run(buildZig, repoId);
+
+		await processBuildAnalysis(db);
+		const kind = db
+			.prepare(
+				`SELECT build_kind, pure_zig FROM repo_build_zig WHERE repo_id = ?`,
+			)
+			.get(repoId);
+		expect(kind.build_kind).toBe("both");
+		expect(kind.pure_zig).toBe(1);
+		const count = (table) =>
+			db
+				.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE repo_id = ?`)
+				.get(repoId).count;
+		expect(count("repo_build_modules")).toBe(1);
+		expect(count("repo_build_artifacts")).toBe(3);
+		expect(count("repo_build_options")).toBe(2);
+		expect(count("repo_build_steps")).toBe(2);
+		db.close();
+	});
+
+	test("initDB should reanalyze builds analyzed before pure_zig", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const repoId = insertRepoWithZon(db, "analysis/repo", null);
+		db.prepare(
+			`UPDATE repo_build_zig SET build_zig_content = ? WHERE repo_id = ?`,
+		).run(buildZig, repoId);
+		await processBuildAnalysis(db);
+		for (const column of [
+			"links_libc",
+			"links_libcpp",
+			"has_c_sources",
+			"pure_zig",
+		]) {
+			db.exec(`ALTER TABLE repo_build_zig DROP COLUMN ${column}`);
+		}
+
+		initDB(db);
+		await processBuildAnalysis(db);
+		const row = db
+			.prepare(`SELECT pure_zig FROM repo_build_zig WHERE repo_id = ?`)
+			.get(repoId);
+		expect(row.pure_zig).toBe(1);
+		db.close();
+	});
+
+	test("system libraries, libc and c sources", () => {
+		const analysis = analyzeBuildZig(`
+    exe.linkSystemLibrary("sdl2");
+    exe.linkSystemLibrary2("z", .{ .use_pkg_config = .no });
+    exe.linkSystemLibrary("c");
+    // exe.linkSystemLibrary("commented-out");
+    lib.addCSourceFiles(.{
+        .files = &.{ "vendor/miniz.c", "vendor/imgui.cpp", "src/cocoa.m" },
+        .flags = &.{"-std=c99"},
+    });
+    lib.addCSourceFile(.{ .file = b.path("vendor/miniz.c") });
+    const mod = b.createModule(.{ .link_libcpp = true });`);
+		expect(analysis.system_libraries).toEqual(["sdl2", "z"]);
+		expect(analysis.links_libc).toBe(true);
+		expect(analysis.links_libcpp).toBe(true);
+		expect(analysis.has_c_sources).toBe(true);
+		expect(analysis.c_sources).toEqual([
+			{ path: "vendor/miniz.c", language: "c" },
+			{ path: "vendor/imgui.cpp", language: "cpp" },
+			{ path: "src/cocoa.m", language: "objc" },
+		]);
+		expect(isPureZig(analysis)).toBe(false);
+		expect(isPureZig(analyzeBuildZig(buildZig))).toBe(true);
+		expect(isPureZig(analyzeBuildZig(`exe.linkLibC();`))).toBe(false);
+	});
+});
+
+describe("zigmod and gyro", () => {
+	const zigmodYml = `id: 8k0b9d6s2p4a
+name: hello
+main: src/main.zig
+license: MIT
+description: >
+  multi line
+  description
+dependencies:
+  - src: git https://github.com/nektro/zig-ansi
+  - src: git https://github.com/truemedian/zfetch
+    name: zfetch # comment
+    version: branch-main
+    dependencies:
+      - src: git https://github.com/nested/should-skip
+  - src: system_lib sqlite3
+  - src: local ./libs/util
+root_dependencies:
+  - src: http https://example.com/archive/pkg.tar.gz
+`;
+	const zigmodLock = `2
+git https://github.com/nektro/zig-ansi commit-25039ca
+git https://github.com/truemedian/zfetch commit-1e9f0ab
+`;
+	const gyroZzz = `pkgs:
+  hello:
+    version: 0.1.0
+deps:
+  Hejsil/zig-clap: ^0.4.0
+  iguanaTLS:
+    src:
+      github:
+        user: alexnask
+        repo: iguanaTLS
+        ref: master
+  known-folders:
+    git:
+      url: "https://github.com/ziglibs/known-folders.git"
+      ref: main
+      root: known-folders.zig
+  util:
+    local: ../util
+build_deps:
+  pkgs:
+    url: https://example.com/pkgs.tar.gz
+`;
+
+	test("zigmod.yml and zigmod.lock", () => {
+		const yml = parseZigmodYml(zigmodYml);
+		expect(yml.name).toBe("hello");
+		const { deps, urlDeps } = extractZigmod(yml, parseZigmodLock(zigmodLock));
+		expect(
+			deps.map((d) => [d.name, d.dependency_type, d.path, d.source]),
+		).toEqual([
+			["zig-ansi", "url", null, "zigmod"],
+			["zfetch", "url", null, "zigmod"],
+			["util", "path", "./libs/util", "zigmod"],
+			["pkg", "url", null, "zigmod"],
+		]);
+		expect(urlDeps.map((d) => d.hash)).toEqual([
+			"zigmod:https://github.com/nektro/zig-ansi commit-25039ca",
+			"zigmod:https://github.com/truemedian/zfetch commit-1e9f0ab",
+			"zigmod:https://example.com/archive/pkg.tar.gz",
+		]);
+		expect(() => parseZigmodLock("1\n")).toThrow(ManifestError);
+	});
+
+	test("gyro.zzz", () => {
+		const { deps, urlDeps } = extractGyro(parseZzz(gyroZzz));
+		expect(deps.map((d) => [d.name, d.dependency_type, d.path])).toEqual([
+			["zig-clap", "url", null],
+			["iguanaTLS", "url", null],
+			["known-folders", "url", null],
+			["util", "path", "../util"],
+			["pkgs", "url", null],
+		]);
+		expect(urlDeps.map((d) => [d.url, d.hash])).toEqual([
+			[
+				"https://astrolabe.pm/#/package/Hejsil/zig-clap",
+				"gyro:https://astrolabe.pm/#/package/Hejsil/zig-clap ^0.4.0",
+			],
+			[
+				"https://github.com/alexnask/iguanaTLS",
+				"gyro:https://github.com/alexnask/iguanaTLS master",
+			],
+			[
+				"https://github.com/ziglibs/known-folders.git",
+				"gyro:https://github.com/ziglibs/known-folders.git main",
+			],
+			[
+				"https://example.com/pkgs.tar.gz",
+				"gyro:https://example.com/pkgs.tar.gz",
+			],
+		]);
+		expect(() => parseZzz("deps\n")).toThrow(ManifestError);
+	});
+
+	test("processBuildZig should store them next to zon deps", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const repoId = insertRepoWithZon(
+			db,
+			"legacy/repo",
+			`.{ .name = "legacy", .version = "0.1.0", .dependencies = .{ .ansi = .{ .path = "ansi" } } }`,
+		);
+		db.prepare(
+			`UPDATE repo_build_zig
+			SET zigmod_yml_content = ?, zigmod_lock_content = ?, gyro_zzz_content = ?
+			WHERE repo_id = ?`,
+		).run(zigmodYml, zigmodLock, gyroZzz, repoId);
+
+		await processBuildZig(db);
+		const sources = db
+			.prepare(
+				`SELECT source, COUNT(*) AS count FROM repo_dependencies
+				WHERE repo_id = ? GROUP BY source ORDER BY source`,
+			)
+			.all(repoId);
+		expect(sources).toEqual([
+			{ source: "gyro", count: 5 },
+			{ source: "zigmod", count: 4 },
+			{ source: "zon", count: 1 },
+		]);
+		const urlSource = db
+			.prepare(`SELECT source FROM url_dependencies WHERE hash = ?`)
+			.get("zigmod:https://example.com/archive/pkg.tar.gz");
+		expect(urlSource.source).toBe("zigmod");
+
+		// zigmod only, build.zig.zon is gone
+		db.prepare(
+			`UPDATE repo_build_zig
+			SET build_zig_zon_content = NULL, gyro_zzz_content = NULL,
+				fetched_at = fetched_at + 1
+			WHERE repo_id = ?`,
+		).run(repoId);
+		await processBuildZig(db);
+		const remaining = db
+			.prepare(
+				`SELECT DISTINCT source FROM repo_dependencies WHERE repo_id = ?`,
+			)
+			.all(repoId);
+		expect(remaining).toEqual([{ source: "zigmod" }]);
+		const status = db
+			.prepare(`SELECT parse_status FROM repo_build_zig WHERE repo_id = ?`)
+			.get(repoId);
+		expect(status.parse_status).toBe("ok");
+		db.close();
+	});
+});
+
+describe("nested packages", () => {
+	test("findNestedPackages", () => {
+		const entries = [
+			{ path: "build.zig.zon", type: "blob", sha: "a" },
+			{ path: "packages", type: "tree", sha: "b" },
+			{ path: "packages/core/build.zig.zon", type: "blob", sha: "c" },
+			{ path: "libs/ui/build.zig.zon", type: "blob", sha: "d" },
+			{ path: "libs/ui/.zig-cache/p/x/build.zig.zon", type: "blob", sha: "e" },
+			{ path: "docs/build.zig.zon.md", type: "blob", sha: "f" },
+		];
+		expect(findNestedPackages(entries)).toEqual([
+			{ path: "packages/core", sha: "c" },
+			{ path: "libs/ui", sha: "d" },
+		]);
+	});
+
+	test("resolvePackagePath", () => {
+		expect(resolvePackagePath("", "packages/core")).toBe("packages/core");
+		expect(resolvePackagePath("", "./libs/ui/")).toBe("libs/ui");
+		expect(resolvePackagePath("libs/ui", "../../packages/core")).toBe(
+			"packages/core",
+		);
+		expect(resolvePackagePath("examples", "..")).toBe("");
+		expect(resolvePackagePath("", "../sibling")).toBeNull();
+		expect(resolvePackagePath("", "/abs")).toBeNull();
+	});
+
+	test("processPackages should index them and link path deps", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const repoId = insertRepoWithZon(
+			db,
+			"mono/repo",
+			`.{ .name = .mono, .version = "0.1.0", .dependencies = .{
+				.core = .{ .path = "packages/core" },
+				.missing = .{ .path = "packages/missing" },
+			} }`,
+		);
+		const insertPackage = db.prepare(
+			`INSERT INTO repo_packages (repo_id, path, sha, build_zig_zon_content, fetched_at)
+			VALUES (?, ?, ?, ?, ?)`,
+		);
+		const now = Math.floor(Date.now() / 1000);
+		insertPackage.run(
+			repoId,
+			"packages/core",
+			"c",
+			`.{ .name = .core, .version = "0.2.0", .dependencies = .{
+				.clap = .{ .url = "https://example.com/clap.tar.gz", .hash = "1220cc" },
+			} }`,
+			now,
+		);
+		insertPackage.run(
+			repoId,
+			"packages/app",
+			"d",
+			`.{ .name = .app, .version = "0.3.0", .dependencies = .{
+				.core = .{ .path = "../core" },
+				.root = .{ .path = "../.." },
+			} }`,
+			now,
+		);
+		insertPackage.run(repoId, "packages/broken", "e", `.{ .name = `, now);
+
+		await processBuildZig(db);
+		await processPackages(db);
+		const packages = db
+			.prepare(
+				`SELECT path, name, version, parse_status FROM repo_packages
+				WHERE repo_id = ? ORDER BY path`,
+			)
+			.all(repoId);
+		expect(packages).toEqual([
+			{
+				path: "packages/app",
+				name: "app",
+				version: "0.3.0",
+				parse_status: "ok",
+			},
+			{
+				path: "packages/broken",
+				name: null,
+				version: null,
+				parse_status: "parse_error",
+			},
+			{
+				path: "packages/core",
+				name: "core",
+				version: "0.2.0",
+				parse_status: "ok",
+			},
+		]);
+		const rootLinks = db
+			.prepare(
+				`SELECT name, linked_path FROM repo_dependencies
+				WHERE repo_id = ? ORDER BY name`,
+			)
+			.all(repoId);
+		expect(rootLinks).toEqual([
+			{ name: "core", linked_path: "packages/core" },
+			{ name: "missing", linked_path: null },
+		]);
+		const packageLinks = db
+			.prepare(
+				`SELECT rpd.name, rpd.dependency_type, rpd.linked_path
+				FROM repo_package_dependencies rpd
+				JOIN repo_packages rp ON rp.id = rpd.package_id
+				WHERE rp.repo_id = ? ORDER BY rp.path, rpd.name`,
+			)
+			.all(repoId);
+		expect(packageLinks).toEqual([
+			{ name: "core", dependency_type: "path", linked_path: "packages/core" },
+			{ name: "root", dependency_type: "path", linked_path: "" },
+			{ name: "clap", dependency_type: "url", linked_path: null },
+		]);
+		db.close();
+	});
+});
+
+describe("versions", () => {
+	test("mergeTagsAndReleases", () => {
+		const tags = [
+			{ name: "0.10.0", commit: { sha: "a" } },
+			{ name: "0.10.0-rc1", commit: { sha: "b" } },
+			{ name: "0.9.1", commit: { sha: "c", created: "2024-06-01T00:00:00Z" } },
+		];
+		const releases = [
+			{ tag_name: "0.10.0", published_at: "2025-03-05T00:00:00Z" },
+			{
+				tag_name: "0.10.0-rc1",
+				published_at: "2025-02-01T00:00:00Z",
+				prerelease: true,
+			},
+			{ tag_name: "0.11.0", draft: true, published_at: null },
+		];
+		expect(mergeTagsAndReleases(tags, releases)).toEqual([
+			{
+				tag: "0.10.0",
+				commit_sha: "a",
+				is_release: true,
+				is_prerelease: false,
+				released_at: 1741132800,
+			},
+			{
+				tag: "0.10.0-rc1",
+				commit_sha: "b",
+				is_release: true,
+				is_prerelease: true,
+				released_at: 1738368000,
+			},
+			{
+				tag: "0.9.1",
+				commit_sha: "c",
+				is_release: false,
+				is_prerelease: false,
+				released_at: 1717200000,
+			},
+		]);
+	});
+
+	test("processVersions should store each tag's manifest", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const repoId = insertRepoWithZon(db, "tagged/repo", null);
+		const insertVersion = db.prepare(
+			`INSERT INTO repo_versions (repo_id, tag, commit_sha, released_at, build_zig_zon_content, fetched_at)
+			VALUES (?, ?, ?, ?, ?, ?)`,
+		);
+		const now = Math.floor(Date.now() / 1000);
+		insertVersion.run(
+			repoId,
+			"v0.3.0",
+			"a",
+			now - 100,
+			`.{ .name = "tagged", .version = "0.3.0", .minimum_zig_version = "0.12.0" }`,
+			now,
+		);
+		insertVersion.run(
+			repoId,
+			"v0.4.0",
+			"b",
+			now,
+			`.{ .name = .tagged, .version = "0.4.0", .minimum_zig_version = "0.14.0",
+				.dependencies = .{ .clap = .{ .url = "https://example.com/clap.tar.gz", .hash = "1220cc" } } }`,
+			now,
+		);
+		insertVersion.run(repoId, "v0.1.0", "c", null, null, now);
+
+		await processVersions(db);
+		const versions = db
+			.prepare(serverVersionsQuery)
+			.all("github", "tagged/repo")
+			.map((v) => [
+				v.tag,
+				v.version,
+				v.minimum_zig_version,
+				JSON.parse(v.dependencies).map((d) => d.name),
+			]);
+		expect(versions).toEqual([
+			["v0.4.0", "0.4.0", "0.14.0", ["clap"]],
+			["v0.3.0", "0.3.0", "0.12.0", []],
+			["v0.1.0", null, null, []],
+		]);
+		// repo names are matched like on the repo page
+		expect(
+			db.prepare(serverVersionsQuery).all("github", "Tagged/Repo"),
+		).toHaveLength(3);
+		db.close();
+	});
+});
+
+describe("url dependency resolution", () => {
+	test("parseDependencyURL", () => {
+		/** @type {[string, (string | null)[]][]} */
+		const cases = [
+			[
+				"https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz",
+				["github", "Hejsil/zig-clap", "0.10.0", "tag"],
+			],
+			[
+				"https://github.com/ziglibs/known-folders/archive/0ad514dcfb7525e32ae349b9acc0a53976f3a9fa.tar.gz",
+				[
+					"github",
+					"ziglibs/known-folders",
+					"0ad514dcfb7525e32ae349b9acc0a53976f3a9fa",
+					"commit",
+				],
+			],
+			[
+				"https://github.com/o/r/archive/refs/heads/main.zip",
+				["github", "o/r", "main", "branch"],
+			],
+			[
+				"git+https://github.com/ziglibs/known-folders.git#0ad514dc",
+				["github", "ziglibs/known-folders", "0ad514dc", "commit"],
+			],
+			[
+				"git+https://codeberg.org/ziglings/exercises?ref=v0.14.0#0ad514dc",
+				["codeberg", "ziglings/exercises", "v0.14.0", "tag"],
+			],
+			[
+				"https://codeberg.org/ziglings/exercises/archive/main.tar.gz",
+				["codeberg", "ziglings/exercises", "main", null],
+			],
+			[
+				"https://api.github.com/repos/o/r/tarball/v1.2.3",
+				["github", "o/r", "v1.2.3", "tag"],
+			],
+			[
+				"https://github.com/o/r/releases/download/v2/r.tar.gz",
+				["github", "o/r", "v2", "tag"],
+			],
+			[
+				"https://github.com/nektro/zig-ansi",
+				["github", "nektro/zig-ansi", null, null],
+			],
+			// malformed escapes are kept as written
+			[
+				"https://github.com/o/r%zz/archive/v1.tar.gz",
+				["github", "o/r%zz", "v1", "tag"],
+			],
+		];
+		for (const [url, expected] of cases) {
+			const target = parseDependencyURL(url);
+			expect([
+				target?.platform,
+				target?.full_name,
+				target?.ref,
+				target?.ref_type,
+			]).toEqual(expected);
+		}
+		expect(parseDependencyURL("https://example.com/a.tar.gz")).toBeNull();
+		expect(parseDependencyURL("not a url")).toBeNull();
+	});
+
+	test("normalizeDependencyURL", () => {
+		/** @type {[string, (string | null)[]][]} */
+		const cases = [
+			[
+				"https://codeload.github.com/Hejsil/zig-clap/zip/refs/heads/master",
+				["github.com", "Hejsil", "zig-clap", "master", "branch", null],
+			],
+			[
+				"https://gitlab.com/group/sub/lib/-/archive/v1.0.0/lib-v1.0.0.tar.gz",
+				["gitlab.com", "group/sub", "lib", "v1.0.0", "tag", "tar.gz"],
+			],
+			[
+				"git+https://gitlab.com/group/sub/lib.git#0ad514dc",
+				["gitlab.com", "group/sub", "lib", "0ad514dc", "commit", "git"],
+			],
+			[
+				"https://git.sr.ht/~sircmpwn/hare/archive/0.24.0.tar.gz",
+				["git.sr.ht", "~sircmpwn", "hare", "0.24.0", "tag", "tar.gz"],
+			],
+			[
+				"https://git.example.org/me/lib/archive/main.zip",
+				["git.example.org", "me", "lib", "main", null, "zip"],
+			],
+			[
+				"https://ziglang.org/download/0.13.0/zig-0.13.0.tar.xz",
+				["ziglang.org", null, null, null, null, "tar.xz"],
+			],
+			[
+				"git+https://codeberg.org/me/li%zzb#0ad514dc",
+				["codeberg.org", "me", "li%zzb", "0ad514dc", "commit", "git"],
+			],
+		];
+		for (const [url, expected] of cases) {
+			const n = normalizeDependencyURL(url);
+			expect([
+				n?.host,
+				n?.owner,
+				n?.repo,
+				n?.ref,
+				n?.ref_type,
+				n?.archive_format,
+			]).toEqual(expected);
+		}
+		expect(normalizeDependencyURL("not a url")).toBeNull();
+
+		const spellings = [
+			"https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz",
+			"https://github.com/hejsil/zig-clap/archive/0ad514dc.tar.gz",
+			"git+https://github.com/Hejsil/zig-clap.git#0ad514dc",
+			"https://api.github.com/repos/Hejsil/zig-clap/tarball/0.10.0",
+		];
+		const keys = spellings.map((url) =>
+			getUpstreamKey(/** @type {any} */ (normalizeDependencyURL(url))),
+		);
+		expect(new Set(keys)).toEqual(new Set(["github.com/hejsil/zig-clap"]));
+	});
+
+	test("resolveUrlDependencies should link dependents", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const clapId = insertRepoWithZon(db, "Hejsil/zig-clap", null);
+		const zon = (url, hash) =>
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ .clap = .{ .url = "${url}", .hash = "${hash}" } } }`;
+		insertRepoWithZon(
+			db,
+			"a/app",
+			zon(
+				"https://github.com/hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz",
+				"1220aa",
+			),
+		);
+		insertRepoWithZon(
+			db,
+			"b/app",
+			zon("git+https://github.com/Hejsil/zig-clap#0ad514dc", "1220bb"),
+		);
+		db.prepare(
+			`UPDATE repos SET forks = 10, description = '' WHERE id = ?`,
+		).run(clapId);
+		// a repo depending on itself isn't a dependent
+		db.prepare(
+			`UPDATE repo_build_zig SET build_zig_zon_content = ? WHERE repo_id = ?`,
+		).run(
+			zon("https://github.com/Hejsil/zig-clap/archive/main.tar.gz", "1220cc"),
+			clapId,
+		);
+
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+		const dependents = db
+			.prepare(serverDependentsQuery)
+			.all("github", "hejsil/zig-clap")
+			.map((r) => [r.full_name, r.dependency_refs])
+			.sort();
+		expect(dependents).toEqual([
+			["a/app", "0.10.0"],
+			["b/app", "0ad514dc"],
+		]);
+		const usedBy = db
+			.prepare(serverTopQuery)
+			.all(null, null, 10, 0)
+			.find((r) => r.id === clapId).used_by;
+		expect(usedBy).toBe(2);
+		db.close();
+	});
+
+	test("serverRepoQuery should show one repo and its dependencies", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(db, "Hejsil/zig-clap", null);
+		const appId = insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = .app, .version = "0.1.0", .minimum_zig_version = "0.14.0", .paths = .{ "build.zig", "src" }, .dependencies = .{ .clap = .{ .url = "https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz", .hash = "1220aa" }, .local = .{ .path = "libs/local" } } }`,
+		);
+
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+		const repo = db.prepare(serverRepoQuery).get("github", "A/App");
+		expect([
+			repo.id,
+			repo.zon_name,
+			repo.zon_version,
+			repo.minimum_zig_version,
+			repo.zon_paths,
+			repo.build_zig_zon_exists,
+			repo.build_zig_exists,
+		]).toEqual([appId, "app", "0.1.0", "0.14.0", "build.zig,src", 1, 0]);
+		const deps = db
+			.prepare(serverRepoDependenciesQuery)
+			.all(appId)
+			.map((d) => [d.name, d.dependency_type, d.target_full_name]);
+		expect(deps).toEqual([
+			["clap", "url", "Hejsil/zig-clap"],
+			["local", "path", null],
+		]);
+		const clap = db.prepare(serverRepoQuery).get("github", "hejsil/zig-clap");
+		expect([clap.zon_name, clap.used_by]).toEqual([null, 1]);
+		expect(db.prepare(serverRepoQuery).get("github", "no/repo")).toBeNull();
+		db.close();
+	});
+
+	test("serverOwnerStatsQuery should total an owner's repos", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const zon = (name) =>
+			`.{ .name = .${name}, .version = "0.1.0", .dependencies = .{ .dep = .{ .url = "https://github.com/lib/core/archive/refs/tags/v1.tar.gz", .hash = "1220aa" } } }`;
+		const coreId = insertRepoWithZon(db, "lib/core", zon("core"));
+		const extraId = insertRepoWithZon(db, "lib/extra", null);
+		insertRepoWithZon(db, "a/app", zon("app"));
+		insertRepoWithZon(db, "b/app", zon("app"));
+		db.prepare(`UPDATE repos SET stars = ?, pushed_at = ? WHERE id = ?`).run(
+			5,
+			100,
+			coreId,
+		);
+		db.prepare(`UPDATE repos SET stars = ?, pushed_at = ? WHERE id = ?`).run(
+			7,
+			200,
+			extraId,
+		);
+
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+		const stats = db.prepare(serverOwnerStatsQuery).get("github", "LIB");
+		expect(stats).toEqual({
+			owner: "lib",
+			repos: 2,
+			stars: 12,
+			packages: 1,
+			dependents: 2,
+			pushed_at: 200,
+		});
+		const repos = db
+			.prepare(serverOwnerQuery)
+			.all("github", "lib", 30, 0)
+			.map((r) => [r.full_name, r.used_by]);
+		expect(repos).toEqual([
+			["lib/extra", 0],
+			["lib/core", 2],
+		]);
+		db.close();
+	});
+
+	test("url dependencies should keep every local name", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const url =
+			"https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz";
+		const zon = (name, url) =>
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ .${name} = .{ .url = "${url}", .hash = "1220aa" } } }`;
+		const appId = insertRepoWithZon(db, "a/app", zon("clap", url));
+		insertRepoWithZon(db, "b/app", zon("zig_clap", url));
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+
+		const aliases = db
+			.prepare(`SELECT name, dependents FROM url_dependency_aliases`)
+			.all();
+		expect(aliases).toEqual([
+			{ name: "clap", dependents: 1 },
+			{ name: "zig_clap", dependents: 1 },
+		]);
+		const deps = db.prepare(serverDependencyQuery).all();
+		expect(deps.map((d) => JSON.parse(d.dependencies)[0].name)).toEqual([
+			"clap",
+			"zig_clap",
+		]);
+
+		// rewriting a manifest keeps the resolved target unless the url moved
+		const resolvedStmt = db.prepare(
+			`SELECT repo_id, resolved_at FROM url_dependencies WHERE hash = '1220aa'`,
+		);
+		const resolved = resolvedStmt.get();
+		expect(resolved.resolved_at).not.toBeNull();
+		const rewrite = db.prepare(
+			`UPDATE repo_build_zig
+			SET build_zig_zon_content = ?, processed_at = NULL, processed_hash = NULL
+			WHERE repo_id = ?`,
+		);
+		rewrite.run(zon("clap_renamed", url), appId);
+		await processBuildZig(db);
+		expect(resolvedStmt.get()).toEqual(resolved);
+		rewrite.run(zon("clap", url.replace("Hejsil", "hejsil")), appId);
+		await processBuildZig(db);
+		expect(resolvedStmt.get()).toEqual({ repo_id: null, resolved_at: null });
+		db.close();
+	});
+
+	test("initDB should drop url_dependencies.name", () => {
+		const db = new Database(DB_NAME);
+		db.exec(`
+			CREATE TABLE url_dependencies (
+				hash TEXT PRIMARY KEY,
+				name TEXT NOT NULL,
+				url TEXT NOT NULL
+			);
+			INSERT INTO url_dependencies VALUES ('1220aa', 'clap', 'https://a');
+		`);
+		initDB(db);
+		expect(db.prepare(`SELECT * FROM url_dependencies`).get()).toMatchObject({
+			hash: "1220aa",
+			url: "https://a",
+		});
+		expect(
+			db
+				.prepare(`PRAGMA table_info(url_dependencies)`)
+				.all()
+				.map((c) => c.name),
+		).not.toContain("name");
+		db.close();
+	});
+});
+
+describe("dependency graph", () => {
+	/**
+	 * @param {[number, number | string, string][]} list - dependent, target, hash
+	 */
+	const toEdges = (list) => {
+		const edges = new Map();
+		for (const [dependent_id, target, hash] of list) {
+			const repo_id = typeof target === "number" ? target : null;
+			const node = repo_id !== null ? `repo:${repo_id}` : target;
+			const edge = {
+				dependent_id,
+				repo_id,
+				node,
+				label: node,
+				hash,
+				ref: null,
+			};
+			edges.set(dependent_id, [...(edges.get(dependent_id) ?? []), edge]);
+		}
+		return edges;
+	};
+
+	test("analyzeDependencyGraph", () => {
+		// 1 -> 2 -> 3 -> 2, 1 -> 4 -> zlib@b, 3 -> zlib@a, 1 -> 5
+		const edges = toEdges([
+			[1, 2, "h2"],
+			[1, 4, "h4"],
+			[1, 5, "h5"],
+			[2, 3, "h3"],
+			[3, 2, "h2"],
+			[3, "github:madler/zlib", "a"],
+			[4, "github:madler/zlib", "b"],
+		]);
+		const graph = analyzeDependencyGraph(1, edges);
+		expect(graph.direct_count).toBe(3);
+		expect(graph.nodes.length).toBe(5);
+		expect(graph.depth).toBe(2);
+		expect(graph.cycles).toEqual([[2, 3, 2]]);
+		expect(graph.diamonds.length).toBe(1);
+		expect(graph.diamonds[0].node).toBe("github:madler/zlib");
+		expect(graph.diamonds[0].pins).toEqual([
+			{ hash: "b", ref: null, dependent_ids: [4] },
+			{ hash: "a", ref: null, dependent_ids: [3] },
+		]);
+		const zlib = graph.nodes.find((n) => n.node === "github:madler/zlib");
+		expect([zlib?.depth, zlib?.parent_id]).toEqual([2, 4]);
+
+		// the root in a cycle of its own, and the same diamond pinned once
+		const cyclic = analyzeDependencyGraph(
+			1,
+			toEdges([
+				[1, 2, "h2"],
+				[2, 1, "h1"],
+				[1, 3, "h3"],
+				[3, 2, "h2"],
+			]),
+		);
+		expect(cyclic.nodes.map((n) => n.node)).toEqual(["repo:2", "repo:3"]);
+		expect(cyclic.cycles).toEqual([[1, 2, 1]]);
+		expect(cyclic.diamonds).toEqual([]);
+		expect(analyzeDependencyGraph(9, edges).nodes).toEqual([]);
+	});
+
+	test("layoutGraph", () => {
+		const layout = layoutGraph(
+			[
+				{ node: "repo:1", depth: 0 },
+				{ node: "repo:2", depth: 1 },
+				{ node: "hash:a", depth: 1 },
+				{ node: "repo:3", depth: 2 },
+			],
+			[
+				{ dependent_id: 1, node: "repo:2" },
+				{ dependent_id: 1, node: "hash:a" },
+				{ dependent_id: 2, node: "repo:3" },
+				{ dependent_id: 3, node: "repo:2" },
+				{ dependent_id: 3, node: "hash:missing" },
+			],
+		);
+		const step = layout.node_height + 8;
+		expect(layout.nodes.map((n) => [n.node, n.x > 0, n.y / step])).toEqual([
+			["repo:1", false, 0],
+			["repo:2", true, 0],
+			["hash:a", true, 1],
+			["repo:3", true, 0],
+		]);
+		expect(layout.edges.map((e) => e.back)).toEqual([
+			false,
+			false,
+			false,
+			true,
+		]);
+		expect(layout.height).toBe(2 * step - 8);
+		expect(layout.width).toBe(layout.nodes[3].x + layout.node_width);
+		expect(layoutGraph([], [])).toMatchObject({ width: 0, height: 0 });
+	});
+
+	test("processDependencyGraph", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const zon = (deps) =>
+			`.{ .name = "x", .version = "0.1.0", .dependencies = .{ ${deps
+				.map(
+					([name, url, hash]) =>
+						`.${name} = .{ .url = "${url}", .hash = "${hash}" }`,
+				)
+				.join(", ")} } }`;
+		const gh = (full_name, tag) =>
+			`https://github.com/${full_name}/archive/refs/tags/${tag}.tar.gz`;
+		insertRepoWithZon(
+			db,
+			"a/app",
+			zon([
+				["lib", gh("b/lib", "v1"), "1220aa"],
+				["zlib", gh("madler/zlib", "v1.3.0"), "1220bb"],
+			]),
+		);
+		insertRepoWithZon(
+			db,
+			"b/lib",
+			zon([["zlib", gh("madler/zlib", "v1.3.1"), "1220cc"]]),
+		);
+
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+		await processDependencyGraph(db);
+		const graph = getDependencyGraph(db, "github", "a/app");
+		expect(graph).not.toBeNull();
+		expect([graph.direct_count, graph.package_count, graph.depth]).toEqual([
+			2, 2, 1,
+		]);
+		expect(graph.nodes.map((n) => [n.label, n.full_name])).toEqual([
+			["b/lib", "b/lib"],
+			["madler/zlib", null],
+		]);
+		expect(graph.diamonds).toEqual([
+			{
+				node: "github.com/madler/zlib",
+				label: "madler/zlib",
+				repo_id: null,
+				pins: [
+					{ hash: "1220bb", ref: "v1.3.0", dependents: ["a/app"] },
+					{ hash: "1220cc", ref: "v1.3.1", dependents: ["b/lib"] },
+				],
+			},
+		]);
+		expect(getDependencyGraph(db, "github", "b/lib")?.package_count).toBe(1);
+		expect(getDependencyGraph(db, "github", "madler/zlib")).toBeNull();
+		const leaf = insertRepoWithZon(db, "c/leaf", null);
+		expect(getDependencyGraph(db, "github", "c/leaf")).toMatchObject({
+			repo_id: leaf,
+			package_count: 0,
+			nodes: [],
+			edges: [],
+		});
+
+		const packages = getPackageGraph(db, 10).nodes;
+		expect(packages.map((n) => [n.label, n.dependents, n.depth])).toEqual([
+			["madler/zlib", 2, 1],
+			["b/lib", 1, 0],
+		]);
+
+		// rerunning replaces rather than appends
+		await processDependencyGraph(db);
+		const { count } = db
+			.prepare(`SELECT COUNT(*) AS count FROM repo_transitive_dependencies`)
+			.get();
+		expect(count).toBe(3);
+
+		// only repos whose edges changed, and their dependents, are recomputed
+		const processedAt = (full_name) =>
+			db
+				.prepare(
+					`SELECT rdg.processed_at FROM repo_dependency_graph rdg JOIN repos r ON r.id = rdg.repo_id WHERE r.full_name = ?`,
+				)
+				.get(full_name)?.processed_at;
+		db.prepare(`UPDATE repo_dependency_graph SET processed_at = 0`).run();
+		await processDependencyGraph(db);
+		expect([processedAt("a/app"), processedAt("b/lib")]).toEqual([0, 0]);
+		db.prepare(
+			`DELETE FROM repo_dependencies WHERE repo_id = (SELECT id FROM repos WHERE full_name = 'b/lib')`,
+		).run();
+		await processDependencyGraph(db);
+		expect(processedAt("a/app")).toBeGreaterThan(0);
+		expect(processedAt("b/lib")).toBeUndefined();
+		expect(getDependencyGraph(db, "github", "a/app")?.diamonds).toEqual([]);
+		db.close();
+	});
+});
+
+describe("popular dependencies", () => {
+	test("serverPopularDependenciesQuery", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const zon = (deps) =>
+			`.{ .name = "x", .version = "0.1.0", .dependencies = .{ ${deps
+				.map(
+					([name, url, hash]) =>
+						`.${name} = .{ .url = "${url}", .hash = "${hash}" }`,
+				)
+				.join(", ")} } }`;
+		const a = insertRepoWithZon(
+			db,
+			"a/app",
+			zon([
+				[
+					"clap",
+					"https://github.com/Hejsil/zig-clap/archive/1a2b3c4d.tar.gz",
+					"1220a1",
+				],
+				["zig_foo", "https://example.com/foo-1.tar.gz", "1220a2"],
+			]),
+		);
+		const b = insertRepoWithZon(
+			db,
+			"b/app",
+			zon([
+				[
+					'@"zig-clap"',
+					"git+https://github.com/hejsil/zig-clap#5e6f7a8b",
+					"1220b1",
+				],
+				['@"zig-foo"', "https://example.com/foo-1.tar.gz", "1220a2"],
+			]),
+		);
+		insertRepoWithZon(
+			db,
+			"c/app",
+			zon([["foo", "https://example.com/foo-2.tar.gz", "1220c1"]]),
+		);
+		db.prepare(`UPDATE repos SET stars = ? WHERE id = ?`).run(100, a);
+		db.prepare(`UPDATE repos SET stars = ? WHERE id = ?`).run(5, b);
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+
+		const rank = (sort) =>
+			db
+				.prepare(serverPopularDependenciesQuery)
+				.all(sort, 10, 0)
+				.map((d) => [d.label, d.dependents, d.hashes, d.stars, d.names]);
+		expect(rank("dependents")).toEqual([
+			["Hejsil/zig-clap", 2, 2, 105, "clap,zig-clap"],
+			["zig_foo", 2, 1, 105, "zig_foo,zig-foo"],
+			["foo", 1, 1, 0, "foo"],
+		]);
+		expect(rank("stars").map((d) => d[0])).toEqual([
+			"Hejsil/zig-clap",
+			"zig_foo",
+			"foo",
+		]);
+		expect(rank("hashes")[0][0]).toBe("Hejsil/zig-clap");
+		db.close();
+	});
+});
+
+describe("fragmentation", () => {
+	test("getFragmentation should list every pin of an upstream", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(db, "Hejsil/zig-clap", null);
+		const zon = (deps) =>
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ ${deps} } }`;
+		const clap = (tag, hash) =>
+			`.clap = .{ .url = "https://github.com/Hejsil/zig-clap/archive/refs/tags/${tag}.tar.gz", .hash = "${hash}" }`;
+		const zlib = `.zlib = .{ .url = "https://github.com/madler/zlib/archive/v1.3.1.tar.gz", .hash = "1220cc" }`;
+		insertRepoWithZon(
+			db,
+			"a/app",
+			zon(`${clap("0.9.1", "1220aa")}, ${zlib}`),
+		);
+		insertRepoWithZon(
+			db,
+			"b/app",
+			zon(`${clap("0.10.0", "1220bb")}, ${zlib}`),
+		);
+		insertRepoWithZon(db, "c/app", zon(clap("0.10.0", "1220bb")));
+		insertRepoWithZon(db, "d/app", zon(clap("0.8.0", "1220dd")));
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+
+		const ranking = db.prepare(serverFragmentationQuery).all(10, 0);
+		expect(ranking).toEqual([
+			{
+				upstream: "github.com/hejsil/zig-clap",
+				label: "Hejsil/zig-clap",
+				platform: "github",
+				full_name: "Hejsil/zig-clap",
+				hashes: 3,
+				refs: 3,
+				dependents: 4,
+			},
+		]);
+
+		const fragmentation = getFragmentation(db, "github.com/Hejsil/zig-clap");
+		expect(fragmentation?.full_name).toBe("Hejsil/zig-clap");
+		expect(
+			fragmentation?.pins.map((p) => [
+				p.ref,
+				p.dependents.map((d) => d.full_name).sort(),
+				p.newest,
+			]),
+		).toEqual([
+			["0.10.0", ["b/app", "c/app"], true],
+			["0.9.1", ["a/app"], false],
+			["0.8.0", ["d/app"], false],
+		]);
+
+		// a pin at upstream's latest tag is the newest one
+		db.prepare(
+			`UPDATE url_dependencies SET upstream_status = 'latest' WHERE hash = '1220aa'`,
+		).run();
+		const pins = getFragmentation(db, "github.com/hejsil/zig-clap")?.pins;
+		expect(pins?.find((p) => p.newest)?.ref).toBe("0.9.1");
+		expect(getFragmentation(db, "github.com/nobody/nothing")).toBeNull();
+		db.close();
+	});
+});
+
+describe("outdated dependencies", () => {
+	test("compareVersionTags", () => {
+		expect(compareVersionTags("v1.2.3", "1.2.3")).toBe(0);
+		expect(compareVersionTags("0.9.1", "0.10.0")).toBe(-1);
+		expect(compareVersionTags("1.0", "1.0.0")).toBe(0);
+		expect(compareVersionTags("1.0.0-rc.2", "1.0.0")).toBe(-1);
+		expect(compareVersionTags("1.0.0-rc.10", "1.0.0-rc.2")).toBe(1);
+		expect(compareVersionTags("nightly", "1.0.0")).toBeNull();
+	});
+
+	test("pickLatestTag", () => {
+		const tag = (name) => ({ name, commit: { sha: `sha-${name}` } });
+		expect(
+			pickLatestTag([tag("v0.9.0"), tag("v0.10.0-rc1"), tag("v0.10.0")]),
+		).toEqual({ tag: "v0.10.0", sha: "sha-v0.10.0" });
+		expect(pickLatestTag([tag("v2.0.0-rc1"), tag("latest")])?.tag).toBe(
+			"v2.0.0-rc1",
+		);
+		expect(pickLatestTag([tag("latest"), tag("stable")])?.tag).toBe("latest");
+		expect(pickLatestTag([])).toBeNull();
+	});
+
+	test("getUpstreamStatus", () => {
+		const head = "a".repeat(40);
+		const upstream = {
+			latest_tag: "v1.2.0",
+			latest_tag_sha: "b".repeat(40),
+			head_sha: head,
+		};
+		/**
+		 * @type {[
+		 * 	string | null,
+		 * 	'tag' | 'branch' | 'commit' | null,
+		 * 	import("./main.js").UpstreamStatus,
+		 * 	string,
+		 * ][]}
+		 */
+		const cases = [
+			["v1.1.0", "tag", "outdated", "v1.2.0"],
+			["v1.2.0", "tag", "latest", "v1.2.0"],
+			["1.3.0", null, "latest", "v1.2.0"],
+			["main", null, "unknown", "v1.2.0"],
+			["main", "branch", "unknown", "v1.2.0"],
+			["aaaaaaaa", "commit", "latest", head],
+			["bbbbbbbb", "commit", "latest", "v1.2.0"],
+			["cccccccc", "commit", "outdated", head],
+			[null, null, "unknown", "v1.2.0"],
+		];
+		for (const [ref, refType, status, latest] of cases) {
+			expect(getUpstreamStatus(ref, refType, upstream)).toEqual({
+				status,
+				latest_ref: latest,
+			});
+		}
+		expect(
+			getUpstreamStatus("v1", "tag", {
+				latest_tag: null,
+				latest_tag_sha: null,
+				head_sha: head,
+			}).status,
+		).toBe("unknown");
+	});
+
+	test("fetchDependencyUpstreams should flag outdated pins", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ .clap = .{ .url = "https://github.com/Hejsil/zig-clap/archive/refs/tags/0.9.1.tar.gz", .hash = "1220aa" }, .kf = .{ .url = "git+https://github.com/ziglibs/known-folders#${"e".repeat(40)}", .hash = "1220bb" } } }`,
+		);
+		// fresh upstreams, nothing is fetched
+		const now = Math.floor(Date.now() / 1000);
+		const upstreamStmt = db.prepare(
+			`INSERT INTO upstream_repos (platform, full_name, latest_tag, latest_tag_sha, head_sha, status, fetched_at)
+			VALUES ('github', ?, ?, ?, ?, 200, ?)`,
+		);
+		upstreamStmt.run("hejsil/zig-clap", "0.10.0", "c".repeat(40), null, now);
+		upstreamStmt.run("ziglibs/known-folders", null, null, "e".repeat(40), now);
+
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+		await fetchDependencyUpstreams(db);
+		const statuses = db
+			.prepare(
+				`SELECT a.name, ud.upstream_status, ud.latest_ref
+				FROM url_dependencies ud
+				JOIN url_dependency_aliases a ON a.hash = ud.hash
+				ORDER BY a.name`,
+			)
+			.all();
+		expect(statuses).toEqual([
+			{ name: "clap", upstream_status: "outdated", latest_ref: "0.10.0" },
+			{ name: "kf", upstream_status: "latest", latest_ref: "e".repeat(40) },
+		]);
+		expect(
+			db.prepare(serverOutdatedDependenciesQuery).all("github", "a/app"),
+		).toMatchObject([{ name: "clap", ref: "0.9.1", latest_ref: "0.10.0" }]);
+		const report = db.prepare(serverOutdatedReportQuery).all(10, 0);
+		expect(report.map((r) => r.full_name)).toEqual(["a/app"]);
+		expect(JSON.parse(report[0].dependencies)).toEqual([
+			{
+				name: "clap",
+				label: "Hejsil/zig-clap",
+				ref: "0.9.1",
+				latest_ref: "0.10.0",
+			},
+		]);
+		db.close();
+	});
+});
+
+describe("package hashes", () => {
+	/**
+	 * @param {[string, string | {link: string}][]} files
+	 * @returns {Buffer} ustar archive
+	 */
+	const tar = (files) => {
+		const blocks = [];
+		for (const [path, content] of files) {
+			const header = Buffer.alloc(512);
+			const data = Buffer.from(typeof content === "string" ? content : "");
+			header.write(path, 0);
+			header.write(`${data.length.toString(8).padStart(11, "0")}\0`, 124);
+			header.write(typeof content === "string" ? "0" : "2", 156);
+			if (typeof content !== "string") header.write(content.link, 157);
+			header.write("ustar\x0000", 257);
+			const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+			blocks.push(header, data, padding);
+		}
+		blocks.push(Buffer.alloc(1024));
+		return Buffer.concat(blocks);
+	};
+	/** @param {...(string | Uint8Array)} parts */
+	const sha256 = (...parts) => {
+		const hasher = createHash("sha256");
+		for (const part of parts) hasher.update(part);
+		return hasher.digest();
+	};
+
+	const zon = `.{ .name = .pkg, .version = "1.0.0", .fingerprint = 0x1234567800abcdef, .paths = .{ "build.zig.zon", "src" } }`;
+	const main = "pub fn main() void {}\n";
+	const archive = Bun.gzipSync(
+		tar([
+			["pkg-1.0.0/build.zig.zon", zon],
+			["pkg-1.0.0/src/main.zig", main],
+			["pkg-1.0.0/src/link.zig", { link: "main.zig" }],
+			["pkg-1.0.0/README.md", "not in .paths"],
+		]),
+	);
+	// files sorted by path, executable bit always 0
+	const digest = sha256(
+		sha256("build.zig.zon", Uint8Array.of(0, 0), zon),
+		sha256("src/link.zig", "main.zig"),
+		sha256("src/main.zig", Uint8Array.of(0, 0), main),
+	);
+	const size = zon.length + main.length;
+
+	test("computePackageHash", () => {
+		const computed = computePackageHash(archive);
+		expect(computed?.digest).toBe(digest.toString("hex"));
+		expect(computed?.size).toBe(size);
+		expect(computed?.zon?.paths).toEqual(["build.zig.zon", "src"]);
+		if (!computed) return;
+
+		const multihash = `1220${digest.toString("hex")}`;
+		expect(formatPackageHash(multihash, computed)).toBe(multihash);
+		const hashplus = Buffer.alloc(33);
+		hashplus.writeUInt32LE(0x00abcdef, 0);
+		hashplus.writeUInt32LE(size, 4);
+		digest.copy(hashplus, 8, 0, 25);
+		const expected = `pkg-1.0.0-${hashplus.toString("base64url")}`;
+		expect(formatPackageHash(expected, computed)).toBe(expected);
+
+		// without a root directory or a manifest everything is hashed
+		const plain = computePackageHash(tar([["a.zig", main], ["b/c.zig", ""]]));
+		expect(plain?.digest).toBe(
+			sha256(
+				sha256("a.zig", Uint8Array.of(0, 0), main),
+				sha256("b/c.zig", Uint8Array.of(0, 0)),
+			).toString("hex"),
+		);
+		expect(computePackageHash(Buffer.from("not an archive"))).toBeNull();
+	});
+
+	test("computePackageHash should refuse archives that unpack too large", () => {
+		// 257MiB of zeros, a few hundred KiB compressed
+		const bomb = Bun.gzipSync(new Uint8Array(257 * 1024 * 1024));
+		expect(computePackageHash(bomb)).toBeNull();
+	});
+
+	test("verifyPackageHashes should record a status per url dependency", async () => {
+		const dir = mkdtempSync(`${tmpdir()}/ziglist-archives-`);
+		const good = `1220${digest.toString("hex")}`;
+		const tampered = `1220${"00".repeat(32)}`;
+		const unreachable = `1220${"11".repeat(32)}`;
+		const git = `1220${"22".repeat(32)}`;
+		writeFileSync(`${dir}/${good}`, archive);
+		writeFileSync(`${dir}/${tampered}`, archive);
+		const dep = (name, url, hash) =>
+			`.${name} = .{ .url = "${url}", .hash = "${hash}" }`;
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ ${[
+				dep("good", "https://example.com/good.tar.gz", good),
+				dep("tampered", "https://example.com/tampered.tar.gz", tampered),
+				dep("gone", "https://example.com/gone.tar.gz", unreachable),
+				dep("git", "git+https://example.com/pkg#abc", git),
+			].join(", ")} } }`,
+		);
+		await processBuildZig(db);
+		await verifyPackageHashes(db, createArchiveSource(dir));
+		rmSync(dir, { recursive: true });
+
+		const [{ dependencies }] = db.prepare(serverDependencyQuery).all();
+		const statuses = JSON.parse(dependencies)
+			.map((d) => [d.name, d.hash_status])
+			.sort();
+		expect(statuses).toEqual([
+			["git", "unsupported"],
+			["gone", "unreachable"],
+			["good", "verified"],
+			["tampered", "mismatch"],
+		]);
+		const { hash_computed } = db
+			.prepare(`SELECT hash_computed FROM url_dependencies WHERE hash = ?`)
+			.get(tampered);
+		expect(hash_computed).toBe(good);
+		db.close();
+	});
+
+	test("mirrorPackages should keep verified archives", async () => {
+		const fixtures = mkdtempSync(`${tmpdir()}/ziglist-archives-`);
+		const mirror = mkdtempSync(`${tmpdir()}/ziglist-mirror-`);
+		const hash = `1220${digest.toString("hex")}`;
+		writeFileSync(`${fixtures}/${hash}`, archive);
+		const source = createArchiveSource(fixtures);
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ .pkg = .{ .url = "https://example.com/pkg.tar.gz", .hash = "${hash}" } } }`,
+		);
+		await processBuildZig(db);
+
+		// unchecked hashes are verified while mirroring, within the size limit
+		await mirrorPackages(db, source, mirror, archive.length - 1);
+		expect(db.prepare(serverMirrorQuery).all(10, 0)).toEqual([]);
+		const { hash_status } = db
+			.prepare(`SELECT hash_status FROM url_dependencies WHERE hash = ?`)
+			.get(hash);
+		expect(hash_status).toBe("verified");
+		await mirrorPackages(db, source, mirror, archive.length);
+		expect(db.prepare(serverMirrorQuery).all(10, 0)).toMatchObject([
+			{ hash, format: "tar.gz", size: archive.length },
+		]);
+		const mirrored = await readMirroredPackage(db, mirror, hash);
+		const served = await mirrored?.file.arrayBuffer();
+		expect(new Uint8Array(served ?? [])).toEqual(new Uint8Array(archive));
+		// checked once, served again without hashing
+		expect(await readMirroredPackage(db, mirror, hash)).not.toBeNull();
+		expect(await readMirroredPackage(db, mirror, "../etc")).toBeNull();
+
+		// a changed file isn't served and gets mirrored again
+		writeFileSync(`${mirror}/${hash}`, "tampered");
+		expect(await readMirroredPackage(db, mirror, hash)).toBeNull();
+		expect(db.prepare(serverMirrorQuery).all(10, 0)).toEqual([]);
+
+		// remote downloads larger than the space left aren't started
+		const server = Bun.serve({
+			port: 0,
+			fetch: (req) => {
+				if (!req.url.endsWith("/chunked.tar.gz")) return new Response(archive);
+				// no content-length, the size is only known once it's read
+				const body = new ReadableStream({
+					start(controller) {
+						controller.enqueue(new Uint8Array(archive));
+						controller.close();
+					},
+				});
+				return new Response(body);
+			},
+		});
+		const remote = createArchiveSource("remote");
+		const url = `http://localhost:${server.port}/pkg.tar.gz`;
+		const chunked = `http://localhost:${server.port}/chunked.tar.gz`;
+		expect(await remote({ hash, url }, archive.length - 1)).toBeNull();
+		expect(await remote({ hash, url })).toEqual(new Uint8Array(archive));
+		expect(await remote({ hash, url: chunked }, archive.length - 1)).toBeNull();
+		expect(await remote({ hash, url: chunked })).toEqual(
+			new Uint8Array(archive),
+		);
+		server.stop(true);
+		rmSync(fixtures, { recursive: true });
+		rmSync(mirror, { recursive: true });
+		db.close();
+	});
+});
+
+describe("dependency links", () => {
+	test("checkDependencyLinks should record statuses and dead links", async () => {
+		const server = Bun.serve({
+			port: 0,
+			fetch: (req) => {
+				const { pathname } = new URL(req.url);
+				if (pathname === "/nohead.tar.gz" && req.method === "HEAD") {
+					return new Response(null, { status: 405 });
+				}
+				if (pathname === "/nohead.tar.gz") {
+					return new Response("x", { status: 206 });
+				}
+				const ok = ["/ok.tar.gz", "/repo/info/refs"].includes(pathname);
+				return new Response(null, { status: ok ? 200 : 404 });
+			},
+		});
+		const base = `http://localhost:${server.port}`;
+		const dep = (name, url) =>
+			`.${name} = .{ .url = "${url}", .hash = "1220${name}" }`;
+		const db = new Database(DB_NAME);
+		initDB(db);
+		const zon = (deps) =>
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ ${deps.join(", ")} } }`;
+		insertRepoWithZon(
+			db,
+			"a/app",
+			zon([
+				dep("ok", `${base}/ok.tar.gz`),
+				dep("gone", `${base}/gone.tar.gz`),
+				dep("nohead", `${base}/nohead.tar.gz`),
+				dep("repo", `git+${base}/repo#abc`),
+				dep("deleted", `git+${base}/deleted#abc`),
+			]),
+		);
+		insertRepoWithZon(db, "b/app", zon([dep("gone", `${base}/gone.tar.gz`)]));
+		await processBuildZig(db);
+		await checkDependencyLinks(db, 0);
+		server.stop(true);
+		// checked urls wait for their next round, nothing is probed
+		await checkDependencyLinks(db, 0);
+
+		const statuses = db
+			.prepare(`SELECT url, link_status FROM url_dependencies ORDER BY url`)
+			.all()
+			.map((r) => [r.url.replace(base, ""), r.link_status]);
+		expect(statuses).toEqual([
+			["git+/deleted#abc", 404],
+			["git+/repo#abc", 200],
+			["/gone.tar.gz", 404],
+			["/nohead.tar.gz", 206],
+			["/ok.tar.gz", 200],
+		]);
+		expect(
+			db
+				.prepare(serverDeadDependenciesQuery)
+				.all("github", "a/app")
+				.map((d) => d.name),
+		).toEqual(["deleted", "gone"]);
+		const links = db.prepare(serverDeadLinksQuery).all(10, 0);
+		expect(links.map((l) => l.url.replace(base, ""))).toEqual([
+			"/gone.tar.gz",
+			"git+/deleted#abc",
+		]);
+		expect(
+			JSON.parse(links[0].repos)
+				.map((r) => r.full_name)
+				.sort(),
+		).toEqual(["a/app", "b/app"]);
+		db.close();
+	});
+
+	test("overlapping runs should probe each url once", async () => {
+		/** @type {string[]} */
+		const probed = [];
+		const server = Bun.serve({
+			port: 0,
+			fetch: (req) => {
+				probed.push(new URL(req.url).pathname);
+				return new Response(null, { status: 200 });
+			},
+		});
+		const base = `http://localhost:${server.port}`;
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = "app", .version = "0.1.0", .dependencies = .{ .a = .{ .url = "${base}/a.tar.gz", .hash = "1220aa" }, .b = .{ .url = "${base}/b.tar.gz", .hash = "1220bb" } } }`,
+		);
+		await processBuildZig(db);
+		await Promise.all([
+			checkDependencyLinks(db, 0),
+			checkDependencyLinks(db, 0),
+		]);
+		expect(probed.sort()).toEqual(["/a.tar.gz", "/b.tar.gz"]);
+
+		// claims of a run that died are taken over once they expire
+		const now = Math.floor(Date.now() / 1000);
+		const claim = db.prepare(
+			`UPDATE url_dependencies SET link_checked_at = NULL, link_claimed_at = ?`,
+		);
+		claim.run(now);
+		await checkDependencyLinks(db, 0);
+		expect(probed.length).toBe(2);
+		claim.run(now - 7200);
+		await checkDependencyLinks(db, 0);
+		server.stop(true);
+		expect(probed.length).toBe(4);
+		db.close();
+	});
+});
+
+/**
+ * @param {any} value
+ * @param {string[]} types - the ones the schema allows
+ * @returns {string} json schema type of value
+ */
+const getApiSchemaType = (value, types) => {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (Number.isInteger(value) && types.includes("integer")) return "integer";
+	return typeof value;
+};
+
+/**
+ * The subset of json schema API_SCHEMAS uses, for checking responses against
+ * the document.
+ *
+ * @param {any} schema
+ * @param {any} value
+ * @param {string} [at] - where value is, for the messages
+ * @returns {string[]} what doesn't match, empty when value is valid
+ */
+const validateApiSchema = (schema, value, at = "$") => {
+	if (schema.$ref) {
+		const name = schema.$ref.replace("#/components/schemas/", "");
+		return validateApiSchema(API_SCHEMAS[name], value, at);
+	}
+	if (schema.allOf) {
+		// allOf parts describe one object together, extra keys are checked
+		// against the union of their properties
+		const parts = schema.allOf.map((/** @type {any} */ part) =>
+			part.$ref
+				? API_SCHEMAS[part.$ref.replace("#/components/schemas/", "")]
+				: part,
+		);
+		const merged = {
+			type: "object",
+			required: parts.flatMap((/** @type {any} */ p) => p.required ?? []),
+			properties: Object.assign(
+				{},
+				...parts.map((/** @type {any} */ p) => p.properties),
+			),
+			additionalProperties: false,
+		};
+		return validateApiSchema(merged, value, at);
+	}
+	if (schema.oneOf) {
+		const matches = schema.oneOf.filter(
+			(/** @type {any} */ option) =>
+				validateApiSchema(option, value, at).length === 0,
+		);
+		return matches.length === 1
+			? []
+			: [`${at}: matches ${matches.length} of oneOf`];
+	}
+	/** @type {string[]} */
+	const errors = [];
+	const types = [schema.type].flat();
+	const type = getApiSchemaType(value, types);
+	if (schema.type !== undefined && !types.includes(type)) {
+		return [`${at}: expected ${types.join(" | ")}, got ${type}`];
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push(`${at}: ${JSON.stringify(value)} is not in the enum`);
+	}
+	if (type === "integer" && value < (schema.minimum ?? value)) {
+		errors.push(`${at}: below the minimum`);
+	}
+	if (type === "array" && schema.items) {
+		value.forEach((/** @type {any} */ item, /** @type {number} */ i) =>
+			errors.push(...validateApiSchema(schema.items, item, `${at}[${i}]`)),
+		);
+	}
+	if (type === "object") {
+		for (const key of schema.required ?? []) {
+			if (!(key in value)) errors.push(`${at}.${key}: missing`);
+		}
+		for (const [key, item] of Object.entries(value)) {
+			const property = schema.properties?.[key];
+			if (property) {
+				errors.push(...validateApiSchema(property, item, `${at}.${key}`));
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${at}.${key}: not in the schema`);
+			}
+		}
+	}
+	return errors;
+};
+
+describe("api", () => {
+	test("query params should be validated", () => {
+		const { page, sort, kind, pure, q } = API_PARAMS;
+		expect(parseApiParam(page, undefined)).toBe(1);
+		expect(parseApiParam(page, "3")).toBe(3);
+		expect(parseApiParam(sort, undefined)).toBe("active");
+		expect(parseApiParam(kind, undefined)).toBeNull();
+		expect(parseApiParam(kind, "library")).toBe("library");
+		expect(parseApiParam(pure, "1")).toBe(1);
+		expect(parseApiParam(q, "zig-clap")).toBe("zig clap");
+		/** @type {[import("./main.js").ApiParam, string | undefined][]} */
+		const invalid = [
+			[page, "0"],
+			[page, "1.5"],
+			[page, "abc"],
+			[sort, "stars"],
+			[kind, "both"],
+			[pure, "true"],
+			[q, " _ "],
+			[q, undefined],
+		];
+		for (const [param, value] of invalid) {
+			expect(() => parseApiParam(param, value)).toThrow(ApiError);
+		}
+	});
+
+	test("api repos should follow the typedefs", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(db, "Hejsil/zig-clap", null);
+		insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = .app, .version = "0.1.0", .paths = .{ "build.zig", "src" }, .dependencies = .{ .clap = .{ .url = "https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz", .hash = "1220aa", .lazy = true } } }`,
+		);
+		db.exec(`UPDATE repos SET stars = 10, forks = 10, description = ''`);
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+
+		/**
+		 * @type {{
+		 * 	sort: import("./main.js").ApiRepoSort,
+		 * 	kind: null,
+		 * 	pure: null,
+		 * }}
+		 */
+		const params = { sort: "top", kind: null, pure: null };
+		const top = listApiRepos(db, { ...params, page: 1 });
+		expect(top.pagination).toEqual({
+			page: 1,
+			per_page: 30,
+			has_more: false,
+		});
+		expect(
+			top.data.map((r) => [r.full_name, r.is_fork, r.used_by]),
+		).toEqual([
+			["Hejsil/zig-clap", false, 1],
+			["a/app", false, 0],
+		]);
+		expect(listApiRepos(db, { ...params, page: 2 }).data).toEqual([]);
+
+		const repo = getApiRepo(db, "github", "A/App");
+		if (!repo) throw new Error("a/app should be found case-insensitively");
+		expect(repo.zon).toEqual({
+			name: "app",
+			version: "0.1.0",
+			minimum_zig_version: null,
+			paths: ["build.zig", "src"],
+			fingerprint: null,
+		});
+		expect(repo.dependencies).toEqual([
+			{
+				name: "clap",
+				dependency_type: "url",
+				path: null,
+				url_dependency_hash: "1220aa",
+				lazy: true,
+				source: "zon",
+				url: "https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz",
+				upstream_status: null,
+				latest_ref: null,
+				hash_status: null,
+				link_dead: false,
+				repo: { platform: "github", full_name: "Hejsil/zig-clap" },
+			},
+		]);
+		expect(getApiRepo(db, "github", "no/repo")).toBeNull();
+		const deps = listApiDependencies(db, { page: 1 });
+		expect(deps.data[0].dependencies).toEqual(repo.dependencies);
+		expect(deps.data.map((d) => d.full_name)).toEqual(["a/app"]);
+		expect(listApiDependencies(db, { page: 2 }).data).toEqual([]);
+
+		insertRepoWithZon(
+			db,
+			"b/nothing",
+			`.{ .name = .nothing, .version = "0.1.0", .paths = .{} }`,
+		);
+		await processBuildZig(db);
+		expect(getApiRepo(db, "github", "b/nothing")?.zon?.paths).toEqual([]);
+		db.close();
+	});
+
+	test("api responses should match the openapi document", async () => {
+		const db = new Database(DB_NAME);
+		initDB(db);
+		insertRepoWithZon(
+			db,
+			"Hejsil/zig-clap",
+			`.{ .name = .clap, .version = "0.10.0", .fingerprint = 0x9947018c924eecb2, .paths = .{""} }`,
+		);
+		insertRepoWithZon(
+			db,
+			"a/app",
+			`.{ .name = .app, .version = "0.1.0", .dependencies = .{ .clap = .{ .url = "https://github.com/Hejsil/zig-clap/archive/refs/tags/0.10.0.tar.gz", .hash = "1220aa" }, .local = .{ .path = "libs/local" } } }`,
+		);
+		db.exec(`UPDATE repos SET stars = 10, forks = 10, description = 'clap'`);
+		await processBuildZig(db);
+		await resolveUrlDependencies(db);
+		await rebuildFts(db);
+
+		const doc = getOpenApiDocument();
+		const requests = {
+			"/repos": [{ sort: "top" }, {}],
+			"/repos/{platform}/{owner}/{name}": [
+				{},
+				{ platform: "github", owner: "a", name: "app" },
+			],
+			"/search": [{ q: "clap" }, {}],
+			"/dependencies": [{}, {}],
+		};
+		expect(Object.keys(doc.paths).sort()).toEqual(
+			Object.keys(requests).sort(),
+		);
+		for (const endpoint of API_ENDPOINTS) {
+			const operation = doc.paths[endpoint.path].get;
+			expect(operation.parameters.map((p) => p.name)).toEqual(
+				endpoint.params.map((p) => p.name),
+			);
+			const [query, path] = requests[endpoint.path];
+			const body = endpoint.handler(db, parseApiParams(endpoint, query, path));
+			// empty pages would validate without checking any item
+			expect([body.data].flat().length).toBeGreaterThan(0);
+			const schema =
+				operation.responses["200"].content["application/json"].schema;
+			expect(validateApiSchema(schema, body)).toEqual([]);
+		}
+
+		const error = { error: { status: 400, message: "q is required" } };
+		expect(
+			validateApiSchema({ $ref: "#/components/schemas/Error" }, error),
+		).toEqual([]);
+		// drift between a shaped repo and its schema is caught
+		const [repo] = listApiRepos(db, {
+			sort: "top",
+			kind: null,
+			pure: null,
+			page: 1,
+		}).data;
+		expect(
+			validateApiSchema(doc.components.schemas.Repo, { ...repo, stars: "10" }),
+		).toEqual(["$.stars: expected integer, got string"]);
+		expect(
+			validateApiSchema(doc.components.schemas.Repo, { ...repo, extra: 1 }),
+		).toEqual(["$.extra: not in the schema"]);
+		db.close();
+	});
+});
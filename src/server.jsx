@@ -9,9 +9,48 @@ import {
 	serverTopQuery,
 	serverSearchQuery,
 	serverDependencyQuery,
+	serverPopularDependenciesQuery,
+	serverOutdatedDependenciesQuery,
+	serverOutdatedReportQuery,
+	serverDeadDependenciesQuery,
+	serverDeadLinksQuery,
+	serverMirrorQuery,
+	serverMirrorStatsQuery,
+	serverFragmentationQuery,
+	getFragmentation,
+	serverVersionsQuery,
+	serverDependentsQuery,
+	serverRepoDependenciesQuery,
+	serverRepoQuery,
+	serverOwnerQuery,
+	serverOwnerStatsQuery,
+	getDependencyGraph,
+	getPackageGraph,
+	layoutGraph,
+	getTagTarballURL,
 	fetchBuildZig,
 	processBuildZig,
+	processBuildAnalysis,
+	fetchRepoPackages,
+	processPackages,
+	fetchRepoVersions,
+	processVersions,
+	resolveUrlDependencies,
+	fetchDependencyUpstreams,
+	processDependencyGraph,
+	PACKAGE_HASH_SOURCE,
+	createArchiveSource,
+	verifyPackageHashes,
+	checkDependencyLinks,
+	PACKAGE_MIRROR_DIR,
+	PACKAGE_MIRROR_MAX_SIZE,
+	mirrorPackages,
+	readMirroredPackage,
 	rebuildFts,
+	ApiError,
+	API_ENDPOINTS,
+	parseApiParams,
+	getOpenApiDocument,
 } from "./main.js";
 
 const SECONDLY = 1000;
@@ -57,6 +96,104 @@ const formatNumberK = (num) => {
 	return (Math.floor(thousands * 10) / 10).toFixed(1) + "k";
 };
 
+/**
+ * 512 -> 512 B
+ * 1536 -> 1.5 KiB
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+	const units = ["B", "KiB", "MiB", "GiB", "TiB"];
+	let value = bytes;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+	return unit === 0 ? `${bytes} B` : `${value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * @param {string} label
+ * @param {number} max
+ * @returns {string}
+ */
+const truncate = (label, max) =>
+	label.length > max ? label.slice(0, max - 1) + "…" : label;
+
+/**
+ * @param {{platform: string, full_name: string}} repo
+ * @returns {string}
+ */
+const graphHref = (repo) => `/graph/${repo.platform}/${repo.full_name}`;
+
+/**
+ * @param {{platform: string, full_name: string}} repo
+ * @returns {string}
+ */
+const repoHref = (repo) => `/repo/${repo.platform}/${repo.full_name}`;
+
+/**
+ * @param {{platform: string, full_name: string}} repo
+ * @returns {string} the repo on github or codeberg
+ */
+const sourceHref = (repo) =>
+	repo.platform === "github"
+		? `https://github.com/${repo.full_name}`
+		: `https://codeberg.org/${repo.full_name}`;
+
+/**
+ * homepages are set by repo owners, anything but a web url isn't linked
+ *
+ * @param {string | null} homepage
+ * @returns {string | undefined}
+ */
+const homepageHref = (homepage) => {
+	try {
+		const url = new URL(homepage ?? "");
+		return ["http:", "https:"].includes(url.protocol) ? url.href : undefined;
+	} catch {
+		return undefined;
+	}
+};
+
+/**
+ * @param {number} unixSecond
+ * @returns {string} YYYY-MM-DD
+ */
+const formatDate = (unixSecond) =>
+	new Date(unixSecond * 1000).toISOString().slice(0, 10);
+
+/**
+ * Full commit shas are shortened, tags are kept as is.
+ *
+ * @param {string | null} ref
+ * @returns {string}
+ */
+const shortRef = (ref) =>
+	ref && /^[0-9a-f]{40}$/i.test(ref) ? ref.slice(0, 8) : (ref ?? "");
+
+/**
+ * @param {string | undefined} value - `kind` query param
+ * @returns {'library' | 'application' | null}
+ */
+const parseBuildKind = (value) =>
+	value === "library" || value === "application" ? value : null;
+
+/**
+ * @param {string | undefined} value - `sort` query param
+ * @returns {'dependents' | 'hashes' | 'stars'}
+ */
+const parseDependencySort = (value) =>
+	value === "hashes" || value === "stars" ? value : "dependents";
+
+/**
+ * @param {string | undefined} value - `pure` query param
+ * @returns {1 | null}
+ */
+const parsePure = (value) => (value === "1" ? 1 : null);
+
 const LucideChevronLeft = () => (
 	<svg
 		xmlns="http://www.w3.org/2000/svg"
@@ -206,23 +343,55 @@ const SpecialCard = () => {
 	);
 };
 
+const RepoBadges = ({ repo }) => (
+	<div className="flex flex-wrap gap-1 mb-1">
+		{repo.build_zig_exists === 1 && <Badge value={"build.zig ✓"} />}
+		{repo.build_zig_zon_exists === 1 && <Badge value={"zon ✓"} />}
+		{repo.zigmod_exists === 1 && <Badge value={"zigmod ✓"} />}
+		{repo.gyro_exists === 1 && <Badge value={"gyro ✓"} />}
+		{repo.fingerprint && <Badge value={"fingerprint ✓"} />}
+		{repo.is_fork === 1 && <Badge value={"fork:true"} />}
+		{repo.build_zig_exists === 1 &&
+			repo.language !== "Zig" &&
+			repo.language !== null && <Badge value={`lang:${repo.language}`} />}
+		{repo.build_kind && <Badge value={`kind:${repo.build_kind}`} />}
+		{repo.pure_zig === 1 && <Badge value={"pure zig"} />}
+		{repo.has_c_sources === 1 && <Badge value={"c sources"} />}
+		{repo.platform === "codeberg" && <Badge value={"codeberg"} />}
+	</div>
+);
+
 const RepoCard = ({ repo }) => {
 	const shownDeps = 5;
 	const deps = repo.dependencies ? repo.dependencies.split(",") : [];
-	const repoUrl =
-		repo.platform === "github"
-			? `https://github.com/${repo.full_name}`
-			: `https://codeberg.org/${repo.full_name}`;
+	const lazyDeps = new Set(
+		repo.lazy_dependencies ? repo.lazy_dependencies.split(",") : [],
+	);
+	const packages = repo.packages ? repo.packages.split(",") : [];
+	const links = [
+		...(repo.links_libc === 1 ? ["libc"] : []),
+		...(repo.links_libcpp === 1 ? ["libc++"] : []),
+		...(repo.system_libraries ? repo.system_libraries.split(",") : []),
+	];
 
+	// the card links to the repo page, the platform link stays above it
 	return (
-		<a
-			href={repoUrl}
-			target="_blank"
-			rel="noopener noreferrer"
-			className="bg-stone-50 dark:bg-stone-800 p-3 border border-stone-200 dark:border-stone-700 rounded-md flex flex-col block hover:bg-stone-100 dark:hover:bg-stone-900 transition-colors"
-		>
-			<h3 className="font-semibold text-stone-900 dark:text-stone-100 mb-1 hover:underline break-words">
-				{repo.full_name}
+		<div className="relative bg-stone-50 dark:bg-stone-800 p-3 border border-stone-200 dark:border-stone-700 rounded-md flex flex-col hover:bg-stone-100 dark:hover:bg-stone-900 transition-colors">
+			<h3 className="font-semibold text-stone-900 dark:text-stone-100 mb-1 break-words">
+				<a
+					href={repoHref(repo)}
+					className="hover:underline after:absolute after:inset-0"
+				>
+					{repo.full_name}
+				</a>{" "}
+				<a
+					href={sourceHref(repo)}
+					target="_blank"
+					rel="noopener noreferrer"
+					className="relative font-normal text-sm text-stone-400 dark:text-stone-500 hover:underline"
+				>
+					{repo.platform}
+				</a>
 			</h3>
 			{repo.description && (
 				<p className="text-sm text-stone-700 dark:text-stone-300 mb-2 break-words">
@@ -232,22 +401,14 @@ const RepoCard = ({ repo }) => {
 				</p>
 			)}
 			<div className="grow" />
-			<div className="flex flex-wrap gap-1 mb-1">
-				{repo.build_zig_exists === 1 && <Badge value={"build.zig ✓"} />}
-				{repo.build_zig_zon_exists === 1 && <Badge value={"zon ✓"} />}
-				{repo.is_fork === 1 && <Badge value={"fork:true"} />}
-				{repo.build_zig_exists === 1 &&
-					repo.language !== "Zig" &&
-					repo.language !== null && <Badge value={`lang:${repo.language}`} />}
-				{repo.platform === "codeberg" && <Badge value={"codeberg"} />}
-			</div>
+			<RepoBadges repo={repo} />
 			{deps.length > 0 && (
 				<div className="flex flex-wrap gap-1 items-center">
 					<span className="text-sm text-stone-500 dark:text-stone-400">
 						Deps:
 					</span>
 					{deps.slice(0, shownDeps).map((dep) => (
-						<Badge value={dep} />
+						<Badge value={lazyDeps.has(dep) ? `${dep} (lazy)` : dep} />
 					))}
 					{deps.length > shownDeps && (
 						<span className="flex text-sm text-stone-500 dark:text-stone-400 grow">
@@ -260,12 +421,46 @@ const RepoCard = ({ repo }) => {
 					)}
 				</div>
 			)}
+			{packages.length > 0 && (
+				<div className="flex flex-wrap gap-1 items-center mt-1">
+					<span className="text-sm text-stone-500 dark:text-stone-400">
+						Pkgs:
+					</span>
+					{packages.slice(0, shownDeps).map((pkg) => (
+						<Badge value={pkg} />
+					))}
+					{packages.length > shownDeps && (
+						<span className="text-sm text-stone-500 dark:text-stone-400">
+							+{packages.length - shownDeps} more
+						</span>
+					)}
+				</div>
+			)}
+			{links.length > 0 && (
+				<div className="flex flex-wrap gap-1 items-center mt-1">
+					<span className="text-sm text-stone-500 dark:text-stone-400">
+						Links:
+					</span>
+					{links.map((lib) => (
+						<Badge value={lib} />
+					))}
+				</div>
+			)}
 			{repo.min_zig_version && (
 				<RepoDetail kind="Min Zig" value={repo.min_zig_version.split("+")[0]} />
 			)}
+			{repo.latest_tag && (
+				<RepoDetail kind="Latest tag" value={repo.latest_tag} />
+			)}
+			{repo.used_by > 0 && (
+				<RepoDetail kind="Used by" value={`${repo.used_by} repos`} />
+			)}
+			{repo.dependency_refs && (
+				<RepoDetail kind="Uses" value={repo.dependency_refs} />
+			)}
 			<RepoDetail kind="Stars" value={formatNumberK(repo.stars)} />
 			<RepoDetail kind="Last commit" value={timeAgo(repo.pushed_at)} />
-		</a>
+		</div>
 	);
 };
 
@@ -281,13 +476,94 @@ const RepoGrid = ({ repos, page, currentPath }) => {
 	);
 };
 
-const DependencyList = ({ repos }) => {
+const PopularDependencyBadge = ({ dep }) =>
+	dep.repo_id !== null ? (
+		<a href={`/dependents/${dep.platform}/${dep.full_name}`}>
+			<Badge value={dep.label} />
+		</a>
+	) : (
+		<Badge value={dep.label} />
+	);
+
+const DependencyMarkers = ({ dep }) => (
+	<>
+		{dep.lazy === 1 && (
+			<span className="text-stone-400 dark:text-stone-500">
+				{" "}
+				(lazy)
+			</span>
+		)}
+		{dep.source !== "zon" && (
+			<span className="text-stone-400 dark:text-stone-500">
+				{" "}
+				({dep.source})
+			</span>
+		)}
+		{dep.upstream_status === "outdated" && (
+			<span className="text-amber-600 dark:text-amber-500">
+				{" "}
+				(outdated, latest {shortRef(dep.latest_ref)})
+			</span>
+		)}
+		{dep.hash_status === "mismatch" && (
+			<span className="text-red-600 dark:text-red-500">
+				{" "}
+				(hash mismatch)
+			</span>
+		)}
+		{dep.link_dead === 1 && (
+			<span className="text-red-600 dark:text-red-500">
+				{" "}
+				(dead link)
+			</span>
+		)}
+	</>
+);
+
+const DependencyList = ({ repos, popular }) => {
 	return (
 		<div>
 			<div className="flex flex-wrap gap-1 items-center mb-6">
-				<span className="text-sm text-stone-500 dark:text-stone-400">
+				<a
+					href="/dependencies/popular"
+					className="text-sm text-stone-500 dark:text-stone-400 hover:underline"
+				>
 					Popular dependencies:
-				</span>
+				</a>
+				{popular.map((dep) => (
+					<PopularDependencyBadge dep={dep} />
+				))}
+				<div className="grow" />
+				<a
+					href="/graph"
+					className="text-sm text-stone-500 dark:text-stone-400 hover:underline"
+				>
+					Dependency graph
+				</a>
+				<a
+					href="/dependencies/outdated"
+					className="text-sm text-stone-500 dark:text-stone-400 hover:underline"
+				>
+					Outdated
+				</a>
+				<a
+					href="/dependencies/dead"
+					className="text-sm text-stone-500 dark:text-stone-400 hover:underline"
+				>
+					Dead links
+				</a>
+				<a
+					href="/fragmentation"
+					className="text-sm text-stone-500 dark:text-stone-400 hover:underline"
+				>
+					Fragmentation
+				</a>
+				<a
+					href="/mirror"
+					className="text-sm text-stone-500 dark:text-stone-400 hover:underline"
+				>
+					Mirror
+				</a>
 			</div>
 			<p className="text-center mb-6 text-stone-300 dark:text-stone-600">
 				· · ·
@@ -305,7 +581,14 @@ const DependencyList = ({ repos }) => {
 						</a>
 					</h3>
 					<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
-						dependencies
+						dependencies ·{" "}
+						<a href={repoHref(repo)} className="hover:underline">
+							repo
+						</a>{" "}
+						·{" "}
+						<a href={graphHref(repo)} className="hover:underline">
+							graph
+						</a>
 					</span>
 					<ul className="list-none p-0 m-0 overflow-hidden">
 						{repo.dependencies.map((dep, depIndex) => (
@@ -313,7 +596,10 @@ const DependencyList = ({ repos }) => {
 								key={depIndex}
 								className="text-sm text-stone-700 dark:text-stone-300 sm:flex sm:items-start"
 							>
-								<span className="flex-shrink-0 mr-1 sm:mr-0">{dep.name}</span>
+								<span className="flex-shrink-0 mr-1 sm:mr-0">
+									{dep.name}
+									<DependencyMarkers dep={dep} />
+								</span>
 								<div className="hidden sm:flex grow flex-col px-1 sm:px-2 pt-2.5 min-w-0">
 									<div className="h-1/2 border-b border-stone-100 dark:border-stone-800" />
 									<div className="h-1/2 border-t border-stone-100 dark:border-stone-800" />
@@ -352,7 +638,7 @@ const BaseLayout = ({ children }) => (
 	</html>
 );
 
-const Pagination = ({ currentPath, page, query }) => {
+const Pagination = ({ currentPath, page, query, kind, pure, sort }) => {
 	const prevPage = Math.max(1, page - 1);
 	const nextPage = page + 1;
 	const linkStyles =
@@ -362,6 +648,15 @@ const Pagination = ({ currentPath, page, query }) => {
 		if (query) {
 			url += `&q=${encodeURIComponent(query)}`;
 		}
+		if (kind) {
+			url += `&kind=${kind}`;
+		}
+		if (pure) {
+			url += "&pure=1";
+		}
+		if (sort) {
+			url += `&sort=${sort}`;
+		}
 		return url;
 	};
 	return (
@@ -386,6 +681,45 @@ const Pagination = ({ currentPath, page, query }) => {
 	);
 };
 
+const BuildKindFilter = ({ currentPath, query, kind, pure }) => {
+	const textActive = "text-stone-900 dark:text-stone-100";
+	const textDisabled = "text-stone-400 dark:text-stone-500";
+	const linkStyle =
+		"text-sm hover:text-stone-900 dark:hover:text-stone-100 transition-colors";
+	const getUrl = (value, pureValue) => {
+		const params = new URLSearchParams();
+		if (query) params.set("q", query);
+		if (value) params.set("kind", value);
+		if (pureValue) params.set("pure", "1");
+		const search = params.toString();
+		return search ? `${currentPath}?${search}` : currentPath;
+	};
+	const filters = [
+		{ label: "All", value: null },
+		{ label: "Libraries", value: "library" },
+		{ label: "Applications", value: "application" },
+	];
+	return (
+		<div className="max-w-5xl mx-auto px-3 pt-3 flex space-x-3 items-center">
+			{filters.map(({ label, value }) => (
+				<a
+					href={getUrl(value, pure)}
+					className={`${linkStyle} ${kind === value ? textActive : textDisabled}`}
+				>
+					{label}
+				</a>
+			))}
+			<span className="text-sm text-stone-300 dark:text-stone-600">|</span>
+			<a
+				href={getUrl(kind, !pure)}
+				className={`${linkStyle} ${pure ? textActive : textDisabled}`}
+			>
+				Pure Zig
+			</a>
+		</div>
+	);
+};
+
 const Footer = () => (
 	<div className="flex max-w-5xl mx-auto px-3 mb-6 space-x-4 items-center">
 		<div className="grow flex flex-col">
@@ -511,83 +845,843 @@ const Header = () => (
 	</header>
 );
 
-const NoItems = () => (
-	<div className="max-w-5xl mx-auto px-3 py-56 flex flex-col items-center space-y-4">
-		<LucideCircleOff />
-		<p className="text-sm text-stone-400 dark:text-stone-500">
-			No results found.
-		</p>
-	</div>
-);
-
-const app = new Hono();
+const VersionList = ({ repo, versions }) => {
+	return (
+		<div>
+			<h3 className="font-semibold text-stone-900 dark:text-stone-100 overflow-hidden">
+				<a
+					href={sourceHref(repo)}
+					target="_blank"
+					rel="noopener noreferrer"
+					className="hover:underline"
+				>
+					{repo.full_name}
+				</a>
+			</h3>
+			<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+				versions ·{" "}
+				<a href={repoHref(repo)} className="hover:underline">
+					repo
+				</a>
+			</span>
+			<ul className="mt-3 space-y-4">
+				{versions.map((version) => (
+					<li className="flex flex-col space-y-1">
+						<div className="flex flex-wrap gap-1 items-center">
+							<span className="font-semibold text-sm text-stone-900 dark:text-stone-100">
+								{version.tag}
+							</span>
+							{version.is_release === 1 && version.is_prerelease === 0 && (
+								<Badge value={"release"} />
+							)}
+							{version.is_prerelease === 1 && <Badge value={"pre-release"} />}
+							{version.version && version.version !== version.tag && (
+								<Badge value={`version:${version.version}`} />
+							)}
+							{version.minimum_zig_version && (
+								<Badge
+									value={`zig:${version.minimum_zig_version.split("+")[0]}`}
+								/>
+							)}
+							{version.build_zig_zon_exists === 0 && (
+								<Badge value={"no zon"} />
+							)}
+							<div className="grow" />
+							{version.released_at && (
+								<span className="text-sm text-stone-400 dark:text-stone-500">
+									{timeAgo(version.released_at)}
+								</span>
+							)}
+						</div>
+						{version.build_zig_zon_exists === 1 && (
+							<code className="text-xs text-stone-500 dark:text-stone-400 break-all">
+								zig fetch --save {getTagTarballURL(repo, version.tag)}
+							</code>
+						)}
+						{version.dependencies.length > 0 && (
+							<div className="flex flex-wrap gap-1 items-center">
+								<span className="text-sm text-stone-500 dark:text-stone-400">
+									Deps:
+								</span>
+								{version.dependencies.map((dep) => (
+									<Badge
+										value={dep.lazy === 1 ? `${dep.name} (lazy)` : dep.name}
+									/>
+								))}
+							</div>
+						)}
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
 
-const db = new Database("db.sqlite");
-initDB(db);
+const GraphSvg = ({ layout }) => {
+	const pad = 4;
+	const width = layout.width + pad * 2;
+	const height = layout.height + pad * 2;
+	return (
+		<div className="overflow-x-auto">
+			<svg
+				xmlns="http://www.w3.org/2000/svg"
+				width={width}
+				height={height}
+				viewBox={`${-pad} ${-pad} ${width} ${height}`}
+				className="text-xs"
+			>
+				{layout.edges.map((e) => {
+					// back edges loop under both nodes instead of crossing the columns
+					const bend = e.back ? layout.node_height : 0;
+					const mid = (e.x1 + e.x2) / 2;
+					const d = e.back
+						? `M ${e.x1} ${e.y1} C ${e.x1 + 32} ${e.y1 + bend}, ${e.x2 - 32} ${e.y2 + bend}, ${e.x2} ${e.y2}`
+						: `M ${e.x1} ${e.y1} C ${mid} ${e.y1}, ${mid} ${e.y2}, ${e.x2} ${e.y2}`;
+					return (
+						<path
+							d={d}
+							fill="none"
+							className={
+								e.back
+									? "stroke-amber-500"
+									: "stroke-stone-300 dark:stroke-stone-600"
+							}
+						/>
+					);
+				})}
+				{layout.nodes.map((n) => {
+					const box = (
+						<g>
+							<title>{n.label}</title>
+							<rect
+								x={n.x}
+								y={n.y}
+								width={layout.node_width}
+								height={layout.node_height}
+								rx={3}
+								className="fill-stone-50 stroke-stone-200 dark:fill-stone-800 dark:stroke-stone-700"
+							/>
+							<text
+								x={n.x + 6}
+								y={n.y + layout.node_height / 2 + 4}
+								className={
+									n.href
+										? "fill-stone-900 dark:fill-stone-100"
+										: "fill-stone-400 dark:fill-stone-500"
+								}
+							>
+								{truncate(n.label, 24)}
+							</text>
+						</g>
+					);
+					return n.href ? (
+						<a href={n.href} className="hover:underline">
+							{box}
+						</a>
+					) : (
+						box
+					);
+				})}
+			</svg>
+		</div>
+	);
+};
 
-app.use("*", async (c, next) => {
-	const start = Date.now();
-	await next();
-	const ms = Date.now() - start;
-	logger.info(
-		`server.${c.req.method} ${c.req.url} - ${c.res.status} - ${ms}ms`,
+const DependencyTree = ({ graph, parentId }) => {
+	const children = graph.nodes.filter((n) => n.parent_id === parentId);
+	if (children.length === 0) return null;
+	return (
+		<ul className="ml-4 space-y-1">
+			{children.map((node) => (
+				<li>
+					<div className="flex flex-wrap gap-1 items-center">
+						{node.repo_id !== null ? (
+							<a
+								href={graphHref(node)}
+								className="text-sm text-stone-900 dark:text-stone-100 hover:underline"
+							>
+								{node.label}
+							</a>
+						) : (
+							<span className="text-sm text-stone-500 dark:text-stone-400">
+								{node.label}
+							</span>
+						)}
+						{node.repo_id === null && <Badge value={"not indexed"} />}
+					</div>
+					{node.repo_id !== null && (
+						<DependencyTree graph={graph} parentId={node.repo_id} />
+					)}
+				</li>
+			))}
+		</ul>
 	);
-});
+};
 
-app.get("/", (c) => {
-	const page = parseInt(c.req.query("page") || "1", 10);
-	const perPage = page === 1 ? 29 : 30;
-	const offset = (page - 1) * perPage;
-	const stmt = db.prepare(serverHomeQuery);
-	const repos = stmt.all(perPage, offset);
-	logger.info(`server.GET /?page=${page} - ${repos.length} from db`);
+const DependencyGraphSection = ({ graph }) => (
+	<div>
+		<h3 className="font-semibold text-stone-900 dark:text-stone-100 overflow-hidden">
+			{graph.full_name}
+		</h3>
+		<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+			dependency graph
+		</span>
+		<div className="mt-3 max-w-sm">
+			<RepoDetail kind="Direct" value={graph.direct_count} />
+			<RepoDetail kind="Packages" value={graph.package_count} />
+			<RepoDetail kind="Depth" value={graph.depth} />
+			<RepoDetail kind="Cycles" value={graph.cycle_count} />
+			<RepoDetail kind="Diamonds" value={graph.diamond_count} />
+		</div>
+		<div className="mt-6">
+			<GraphSvg
+				layout={layoutGraph(
+					[
+						{
+							node: `repo:${graph.repo_id}`,
+							depth: 0,
+							label: graph.full_name,
+							href: null,
+						},
+						...graph.nodes.map((n) => ({
+							...n,
+							href: n.repo_id !== null ? graphHref(n) : null,
+						})),
+					],
+					graph.edges,
+				)}
+			/>
+		</div>
+		<div className="mt-6 -ml-4">
+			<DependencyTree graph={graph} parentId={graph.repo_id} />
+		</div>
+		{graph.cycles.length > 0 && (
+			<div className="mt-6 space-y-1">
+				<span className="text-sm text-stone-500 dark:text-stone-400">
+					Cycles:
+				</span>
+				{graph.cycles.map((cycle) => (
+					<p className="text-sm text-stone-700 dark:text-stone-300 break-words">
+						{cycle.map((repo) => repo.full_name).join(" → ")}
+					</p>
+				))}
+			</div>
+		)}
+		{graph.diamonds.length > 0 && (
+			<div className="mt-6 space-y-2">
+				<span className="text-sm text-stone-500 dark:text-stone-400">
+					Pinned at different hashes:
+				</span>
+				{graph.diamonds.map((diamond) => (
+					<div>
+						<p className="text-sm text-stone-900 dark:text-stone-100">
+							{diamond.label}
+						</p>
+						{diamond.pins.map((pin) => (
+							<div className="flex flex-wrap gap-1 items-center ml-4">
+								<Badge value={pin.ref ?? pin.hash.slice(0, 16)} />
+								<span className="text-sm text-stone-500 dark:text-stone-400">
+									by {pin.dependents.join(", ")}
+								</span>
+							</div>
+						))}
+					</div>
+				))}
+			</div>
+		)}
+	</div>
+);
 
-	if (repos.length === 0) {
-		return c.html(
-			<BaseLayout>
-				<Header />
-				<Hero />
-				<Navigation currentPath={"/"} query={undefined} />
-				<NoItems />
-				<Footer />
-			</BaseLayout>,
-		);
-	}
+const PackageGraph = ({ graph }) => (
+	<div>
+		<h3 className="font-semibold text-stone-900 dark:text-stone-100 overflow-hidden">
+			Most depended on packages
+		</h3>
+		<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+			and the dependencies between them
+		</span>
+		<div className="mt-3">
+			<GraphSvg
+				layout={layoutGraph(
+					graph.nodes.map((n) => ({
+						...n,
+						label: `${n.label} (${n.dependents})`,
+						href: n.repo_id !== null ? graphHref(n) : null,
+					})),
+					graph.edges,
+				)}
+			/>
+		</div>
+		<ol className="mt-6 space-y-1">
+			{graph.nodes.map((n) => (
+				<li className="flex text-sm text-stone-700 dark:text-stone-300">
+					{n.repo_id !== null ? (
+						<a href={graphHref(n)} className="hover:underline">
+							{n.label}
+						</a>
+					) : (
+						<span>{n.label}</span>
+					)}
+					<div className="grow flex flex-col px-3">
+						<div className="h-1/2 border-b border-stone-200 dark:border-stone-700" />
+						<div className="h-1/2 border-t border-stone-200 dark:border-stone-700" />
+					</div>
+					{n.repo_id !== null ? (
+						<a
+							href={`/dependents/${n.platform}/${n.full_name}`}
+							className="text-stone-500 dark:text-stone-400 hover:underline"
+						>
+							{n.dependents} dependents
+						</a>
+					) : (
+						<span className="text-stone-500 dark:text-stone-400">
+							{n.dependents} dependents
+						</span>
+					)}
+				</li>
+			))}
+		</ol>
+	</div>
+);
 
-	return c.html(
-		<BaseLayout>
-			<Header />
-			<Hero />
-			<Navigation currentPath={"/"} query={undefined} />
-			<div className="max-w-5xl mx-auto px-3 py-6">
-				<RepoGrid repos={Object.values(repos)} currentPath="/" page={page} />
+const PopularDependencyList = ({ deps, sort, offset }) => {
+	const textActive = "text-stone-900 dark:text-stone-100";
+	const textDisabled = "text-stone-400 dark:text-stone-500";
+	const linkStyle =
+		"text-sm hover:text-stone-900 dark:hover:text-stone-100 transition-colors";
+	const sorts = [
+		{ label: "Dependents", value: "dependents" },
+		{ label: "Pinned hashes", value: "hashes" },
+		{ label: "Star-weighted", value: "stars" },
+	];
+	return (
+		<div>
+			<div className="flex space-x-3 items-center mb-6">
+				{sorts.map(({ label, value }) => (
+					<a
+						href={`/dependencies/popular?sort=${value}`}
+						className={`${linkStyle} ${sort === value ? textActive : textDisabled}`}
+					>
+						{label}
+					</a>
+				))}
 			</div>
-			{page > 0 && (
-				<Pagination page={page} currentPath={"/"} query={undefined} />
-			)}
-			<Footer />
-		</BaseLayout>,
+			<ol className="space-y-3">
+				{deps.map((dep, index) => (
+					<li className="flex flex-col">
+						<div className="flex items-center text-sm">
+							<span className="w-8 text-stone-400 dark:text-stone-500">
+								{offset + index + 1}
+							</span>
+							{dep.repo_id !== null ? (
+								<a
+									href={graphHref(dep)}
+									className="font-semibold text-stone-900 dark:text-stone-100 hover:underline"
+								>
+									{dep.label}
+								</a>
+							) : (
+								<span className="font-semibold text-stone-900 dark:text-stone-100">
+									{dep.label}
+								</span>
+							)}
+							<div className="grow flex flex-col px-3">
+								<div className="h-1/2 border-b border-stone-200 dark:border-stone-700" />
+								<div className="h-1/2 border-t border-stone-200 dark:border-stone-700" />
+							</div>
+							<span className="text-stone-500 dark:text-stone-400">
+								{dep.dependents} dependents · {dep.hashes} hashes ·{" "}
+								{formatNumberK(dep.stars)} stars
+							</span>
+						</div>
+						<div className="flex flex-wrap gap-1 items-center ml-8">
+							<span className="text-sm text-stone-500 dark:text-stone-400">
+								As:
+							</span>
+							{dep.names.split(",").map((name) => (
+								<Badge value={name} />
+							))}
+						</div>
+					</li>
+				))}
+			</ol>
+		</div>
 	);
-});
+};
 
-app.get("/new", (c) => {
-	const page = parseInt(c.req.query("page") || "1", 10);
-	const perPage = page === 1 ? 29 : 30;
-	const offset = (page - 1) * perPage;
-	const stmt = db.prepare(serverNewQuery);
-	const repos = stmt.all(perPage, offset);
-	logger.info(`server.GET /new?page=${page} - ${repos.length} from db`);
+const OutdatedDependencies = ({ deps }) => (
+	<ul className="space-y-1">
+		{deps.map((dep) => (
+			<li className="flex text-sm text-stone-700 dark:text-stone-300">
+				<span>
+					{dep.name}
+					{dep.label !== dep.name && (
+						<span className="text-stone-400 dark:text-stone-500">
+							{" "}
+							({dep.label})
+						</span>
+					)}
+				</span>
+				<div className="grow flex flex-col px-3">
+					<div className="h-1/2 border-b border-stone-200 dark:border-stone-700" />
+					<div className="h-1/2 border-t border-stone-200 dark:border-stone-700" />
+				</div>
+				<span className="text-stone-500 dark:text-stone-400">
+					{shortRef(dep.ref)} →{" "}
+					<span className="text-amber-600 dark:text-amber-500">
+						{shortRef(dep.latest_ref)}
+					</span>
+				</span>
+			</li>
+		))}
+	</ul>
+);
 
-	if (repos.length === 0) {
-		return c.html(
-			<BaseLayout>
-				<Header />
-				<Hero />
-				<Navigation currentPath={"/new"} query={undefined} />
-				<NoItems />
-				<Footer />
-			</BaseLayout>,
-		);
+const OutdatedReport = ({ repos }) => (
+	<div>
+		{repos.map((repo) => (
+			<div className="mb-6 flex flex-col space-y-0">
+				<h3 className="font-semibold text-stone-900 dark:text-stone-100 overflow-hidden">
+					<a href={graphHref(repo)} className="hover:underline">
+						{repo.full_name}
+					</a>
+				</h3>
+				<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+					{repo.dependencies.length} outdated dependencies
+				</span>
+				<OutdatedDependencies deps={repo.dependencies} />
+			</div>
+		))}
+	</div>
+);
+
+const DeadDependencies = ({ deps }) => (
+	<ul className="space-y-1">
+		{deps.map((dep) => (
+			<li className="text-sm text-stone-700 dark:text-stone-300 sm:flex sm:items-start">
+				<span className="flex-shrink-0 mr-1 sm:mr-0">
+					{dep.name}
+					<span className="text-red-600 dark:text-red-500">
+						{" "}
+						({dep.link_status})
+					</span>
+				</span>
+				<div className="hidden sm:flex grow flex-col px-3 pt-2.5 min-w-0">
+					<div className="h-1/2 border-b border-stone-200 dark:border-stone-700" />
+					<div className="h-1/2 border-t border-stone-200 dark:border-stone-700" />
+				</div>
+				<span className="text-stone-400 dark:text-stone-500 break-all sm:text-right">
+					{dep.url}
+				</span>
+			</li>
+		))}
+	</ul>
+);
+
+const DeadLinkReport = ({ links }) => (
+	<div>
+		{links.map((link) => (
+			<div className="mb-6 flex flex-col space-y-0">
+				<h3 className="font-semibold text-stone-900 dark:text-stone-100 break-all">
+					{link.url}
+				</h3>
+				<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+					{link.link_status} · checked {timeAgo(link.link_checked_at)} ·{" "}
+					{link.repos.length} affected repos
+				</span>
+				<div className="flex flex-wrap gap-1 items-center">
+					{link.repos.map((repo) => (
+						<a href={graphHref(repo)} className="hover:underline">
+							<Badge value={`${repo.full_name} (${repo.name})`} />
+						</a>
+					))}
+				</div>
+			</div>
+		))}
+	</div>
+);
+
+const FragmentationList = ({ packages, offset }) => (
+	<ol className="space-y-3">
+		{packages.map((pkg, index) => (
+			<li className="flex items-center text-sm">
+				<span className="w-8 text-stone-400 dark:text-stone-500">
+					{offset + index + 1}
+				</span>
+				<a
+					href={`/fragmentation/${pkg.upstream}`}
+					className="font-semibold text-stone-900 dark:text-stone-100 hover:underline"
+				>
+					{pkg.label}
+				</a>
+				<div className="grow flex flex-col px-3">
+					<div className="h-1/2 border-b border-stone-200 dark:border-stone-700" />
+					<div className="h-1/2 border-t border-stone-200 dark:border-stone-700" />
+				</div>
+				<span className="text-stone-500 dark:text-stone-400">
+					{pkg.hashes} hashes · {pkg.refs} refs · {pkg.dependents} dependents
+				</span>
+			</li>
+		))}
+	</ol>
+);
+
+const FragmentationReport = ({ fragmentation }) => (
+	<div>
+		<h3 className="font-semibold text-stone-900 dark:text-stone-100">
+			{fragmentation.full_name !== null ? (
+				<a href={graphHref(fragmentation)} className="hover:underline">
+					{fragmentation.label}
+				</a>
+			) : (
+				fragmentation.label
+			)}
+		</h3>
+		<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+			{fragmentation.upstream} · pinned at {fragmentation.pins.length} hashes
+		</span>
+		<ul className="mt-3 space-y-3">
+			{fragmentation.pins.map((pin) => (
+				<li className="flex flex-col space-y-1">
+					<div className="flex flex-wrap gap-1 items-center text-sm">
+						<Badge
+							value={
+								pin.ref !== null ? shortRef(pin.ref) : pin.hash.slice(0, 16)
+							}
+						/>
+						{pin.newest && (
+							<span className="text-emerald-600 dark:text-emerald-500">
+								newest
+							</span>
+						)}
+						<span className="text-stone-500 dark:text-stone-400">
+							{pin.dependents.length} dependents
+						</span>
+					</div>
+					<div className="flex flex-wrap gap-1 items-center ml-4">
+						{pin.dependents.map((repo) => (
+							<a href={graphHref(repo)} className="hover:underline">
+								<Badge value={repo.full_name} />
+							</a>
+						))}
+					</div>
+				</li>
+			))}
+		</ul>
+	</div>
+);
+
+const MirrorIndex = ({ packages, stats }) => (
+	<div>
+		<p className="text-sm text-stone-500 dark:text-stone-400 mb-6">
+			{stats.count} archives mirrored · {formatBytes(stats.size)} of{" "}
+			{formatBytes(PACKAGE_MIRROR_MAX_SIZE)}
+		</p>
+		<ul className="space-y-2">
+			{packages.map((pkg) => (
+				<li className="flex flex-col text-sm">
+					<a
+						href={`/mirror/${pkg.hash}`}
+						className="text-stone-900 dark:text-stone-100 hover:underline break-all"
+					>
+						{pkg.hash}
+					</a>
+					<span className="text-stone-400 dark:text-stone-500 break-all">
+						{pkg.url} · {pkg.format} · {formatBytes(pkg.size)} ·{" "}
+						{timeAgo(pkg.fetched_at)}
+					</span>
+				</li>
+			))}
+		</ul>
+	</div>
+);
+
+const RepoPage = ({ repo, dependencies, dependents }) => (
+	<div>
+		<h3 className="font-semibold text-stone-900 dark:text-stone-100 break-words">
+			<a
+				href={sourceHref(repo)}
+				target="_blank"
+				rel="noopener noreferrer"
+				className="hover:underline"
+			>
+				{repo.full_name}
+			</a>
+		</h3>
+		<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+			<a
+				href={`/owner/${repo.platform}/${repo.owner}`}
+				className="hover:underline"
+			>
+				{repo.owner}
+			</a>{" "}
+			·{" "}
+			<a href={graphHref(repo)} className="hover:underline">
+				graph
+			</a>{" "}
+			·{" "}
+			<a
+				href={`/versions/${repo.platform}/${repo.full_name}`}
+				className="hover:underline"
+			>
+				versions
+			</a>
+			{homepageHref(repo.homepage) && (
+				<>
+					{" "}
+					·{" "}
+					<a
+						href={homepageHref(repo.homepage)}
+						target="_blank"
+						rel="noopener noreferrer"
+						className="hover:underline"
+					>
+						homepage
+					</a>
+				</>
+			)}
+		</span>
+		{repo.description && (
+			<p className="text-sm text-stone-700 dark:text-stone-300 my-3 break-words">
+				{repo.description}
+			</p>
+		)}
+		<RepoBadges repo={repo} />
+		<div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 mt-3">
+			<div>
+				<RepoDetail kind="Stars" value={formatNumberK(repo.stars)} />
+				<RepoDetail kind="Forks" value={formatNumberK(repo.forks)} />
+				<RepoDetail kind="License" value={repo.license ?? "none"} />
+				{repo.language && (
+					<RepoDetail kind="Language" value={repo.language} />
+				)}
+				{repo.latest_tag && (
+					<RepoDetail kind="Latest tag" value={repo.latest_tag} />
+				)}
+				<RepoDetail kind="Used by" value={`${repo.used_by} repos`} />
+			</div>
+			<div>
+				<RepoDetail kind="Created" value={formatDate(repo.created_at)} />
+				<RepoDetail kind="Updated" value={formatDate(repo.updated_at)} />
+				<RepoDetail kind="Last commit" value={timeAgo(repo.pushed_at)} />
+				{repo.is_archived === 1 && <RepoDetail kind="Archived" value="yes" />}
+			</div>
+		</div>
+		{repo.zon_name !== null && (
+			<div className="mt-6">
+				<span className="text-sm text-stone-500 dark:text-stone-400">
+					build.zig.zon:
+				</span>
+				<RepoDetail kind="Name" value={repo.zon_name} />
+				<RepoDetail kind="Version" value={repo.zon_version} />
+				{repo.minimum_zig_version && (
+					<RepoDetail kind="Min Zig" value={repo.minimum_zig_version} />
+				)}
+				<RepoDetail kind="Paths" value={repo.zon_paths || '""'} />
+				{repo.fingerprint && (
+					<RepoDetail kind="Fingerprint" value={repo.fingerprint} />
+				)}
+			</div>
+		)}
+		{repo.zon_name === null && repo.parse_status && (
+			<div className="mt-6">
+				<RepoDetail kind="build.zig.zon" value={repo.parse_status} />
+			</div>
+		)}
+		{dependencies.length > 0 && (
+			<div className="mt-6">
+				<span className="text-sm text-stone-500 dark:text-stone-400">
+					Dependencies:
+				</span>
+				<ul className="list-none p-0 m-0 overflow-hidden">
+					{dependencies.map((dep) => (
+						<li className="text-sm text-stone-700 dark:text-stone-300 sm:flex sm:items-start">
+							<span className="flex-shrink-0 mr-1 sm:mr-0">
+								{dep.target_full_name !== null ? (
+									<a
+										href={repoHref({
+											platform: dep.target_platform,
+											full_name: dep.target_full_name,
+										})}
+										className="hover:underline"
+									>
+										{dep.name}
+									</a>
+								) : (
+									dep.name
+								)}
+								<DependencyMarkers dep={dep} />
+							</span>
+							<div className="hidden sm:flex grow flex-col px-3 pt-2.5 min-w-0">
+								<div className="h-1/2 border-b border-stone-200 dark:border-stone-700" />
+								<div className="h-1/2 border-t border-stone-200 dark:border-stone-700" />
+							</div>
+							<span className="text-stone-400 dark:text-stone-500 break-all sm:text-right">
+								{dep.dependency_type === "url" ? dep.url : `[path] ${dep.path}`}
+							</span>
+						</li>
+					))}
+				</ul>
+			</div>
+		)}
+		{dependents.length > 0 && (
+			<div className="mt-6">
+				<span className="text-sm text-stone-500 dark:text-stone-400">
+					Used by{" "}
+					<a
+						href={`/dependents/${repo.platform}/${repo.full_name}`}
+						className="hover:underline"
+					>
+						{dependents.length} repos
+					</a>
+					:
+				</span>
+				<div className="flex flex-wrap gap-1 items-center mt-1">
+					{dependents.map((dependent) => (
+						<a href={repoHref(dependent)} className="hover:underline">
+							<Badge value={dependent.full_name} />
+						</a>
+					))}
+				</div>
+			</div>
+		)}
+	</div>
+);
+
+const OwnerSummary = ({ platform, stats }) => (
+	<div>
+		<h3 className="font-semibold text-stone-900 dark:text-stone-100 break-words">
+			<a
+				href={sourceHref({ platform, full_name: stats.owner })}
+				target="_blank"
+				rel="noopener noreferrer"
+				className="hover:underline"
+			>
+				{stats.owner}
+			</a>
+		</h3>
+		<span className="font-normal text-sm text-stone-300 dark:text-stone-600">
+			{platform} · {stats.repos} repos
+		</span>
+		<div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 mt-3">
+			<div>
+				<RepoDetail kind="Stars" value={formatNumberK(stats.stars)} />
+				<RepoDetail kind="Packages" value={stats.packages} />
+			</div>
+			<div>
+				<RepoDetail kind="Used by" value={`${stats.dependents} repos`} />
+				<RepoDetail kind="Last commit" value={timeAgo(stats.pushed_at)} />
+			</div>
+		</div>
+	</div>
+);
+
+const NoItems = () => (
+	<div className="max-w-5xl mx-auto px-3 py-56 flex flex-col items-center space-y-4">
+		<LucideCircleOff />
+		<p className="text-sm text-stone-400 dark:text-stone-500">
+			No results found.
+		</p>
+	</div>
+);
+
+const app = new Hono();
+
+const db = new Database("db.sqlite");
+initDB(db);
+
+app.use("*", async (c, next) => {
+	const start = Date.now();
+	await next();
+	const ms = Date.now() - start;
+	logger.info(
+		`server.${c.req.method} ${c.req.url} - ${c.res.status} - ${ms}ms`,
+	);
+});
+
+app.get("/", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = page === 1 ? 29 : 30;
+	const offset = (page - 1) * perPage;
+	const kind = parseBuildKind(c.req.query("kind"));
+	const pure = parsePure(c.req.query("pure"));
+	const stmt = db.prepare(serverHomeQuery);
+	const repos = stmt.all(kind, pure, perPage, offset);
+	logger.info(`server.GET /?page=${page} - ${repos.length} from db`);
+
+	if (repos.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/"} query={undefined} />
+				<BuildKindFilter
+					currentPath={"/"}
+					query={undefined}
+					kind={kind}
+					pure={pure}
+				/>
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/"} query={undefined} />
+			<BuildKindFilter
+				currentPath={"/"}
+				query={undefined}
+				kind={kind}
+				pure={pure}
+			/>
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<RepoGrid repos={Object.values(repos)} currentPath="/" page={page} />
+			</div>
+			{page > 0 && (
+				<Pagination
+					page={page}
+					currentPath={"/"}
+					query={undefined}
+					kind={kind}
+					pure={pure}
+					sort={null}
+				/>
+			)}
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/new", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = page === 1 ? 29 : 30;
+	const offset = (page - 1) * perPage;
+	const kind = parseBuildKind(c.req.query("kind"));
+	const pure = parsePure(c.req.query("pure"));
+	const stmt = db.prepare(serverNewQuery);
+	const repos = stmt.all(kind, pure, perPage, offset);
+	logger.info(`server.GET /new?page=${page} - ${repos.length} from db`);
+
+	if (repos.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/new"} query={undefined} />
+				<BuildKindFilter
+					currentPath={"/new"}
+					query={undefined}
+					kind={kind}
+					pure={pure}
+				/>
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
 	}
 
 	return c.html(
@@ -595,11 +1689,24 @@ app.get("/new", (c) => {
 			<Header />
 			<Hero />
 			<Navigation currentPath={"/new"} query={undefined} />
+			<BuildKindFilter
+				currentPath={"/new"}
+				query={undefined}
+				kind={kind}
+				pure={pure}
+			/>
 			<div className="max-w-5xl mx-auto px-3 py-6">
 				<RepoGrid repos={Object.values(repos)} currentPath="/new" page={page} />
 			</div>
 			{page > 0 && (
-				<Pagination page={page} currentPath={"/new"} query={undefined} />
+				<Pagination
+					page={page}
+					currentPath={"/new"}
+					query={undefined}
+					kind={kind}
+					pure={pure}
+					sort={null}
+				/>
 			)}
 			<Footer />
 		</BaseLayout>,
@@ -610,8 +1717,10 @@ app.get("/top", (c) => {
 	const page = parseInt(c.req.query("page") || "1", 10);
 	const perPage = page === 1 ? 29 : 30;
 	const offset = (page - 1) * perPage;
+	const kind = parseBuildKind(c.req.query("kind"));
+	const pure = parsePure(c.req.query("pure"));
 	const stmt = db.prepare(serverTopQuery);
-	const repos = stmt.all(perPage, offset);
+	const repos = stmt.all(kind, pure, perPage, offset);
 	logger.info(`server.GET /top?page=${page} - ${repos.length} from db`);
 
 	if (repos.length === 0) {
@@ -620,6 +1729,12 @@ app.get("/top", (c) => {
 				<Header />
 				<Hero />
 				<Navigation currentPath={"/top"} query={undefined} />
+				<BuildKindFilter
+					currentPath={"/top"}
+					query={undefined}
+					kind={kind}
+					pure={pure}
+				/>
 				<NoItems />
 				<Footer />
 			</BaseLayout>,
@@ -631,11 +1746,24 @@ app.get("/top", (c) => {
 			<Header />
 			<Hero />
 			<Navigation currentPath={"/top"} query={undefined} />
+			<BuildKindFilter
+				currentPath={"/top"}
+				query={undefined}
+				kind={kind}
+				pure={pure}
+			/>
 			<div className="max-w-5xl mx-auto px-3 py-6">
 				<RepoGrid repos={Object.values(repos)} currentPath="/top" page={page} />
 			</div>
 			{page > 0 && (
-				<Pagination page={page} currentPath={"/top"} query={undefined} />
+				<Pagination
+					page={page}
+					currentPath={"/top"}
+					query={undefined}
+					kind={kind}
+					pure={pure}
+					sort={null}
+				/>
 			)}
 			<Footer />
 		</BaseLayout>,
@@ -650,8 +1778,10 @@ app.get("/search", (c) => {
 	const query = rawQuery.replace(/[-_]/g, " ");
 
 	if (query.trim() === "") return c.redirect("/");
+	const kind = parseBuildKind(c.req.query("kind"));
+	const pure = parsePure(c.req.query("pure"));
 	const stmt = db.prepare(serverSearchQuery);
-	const repos = stmt.all(query, perPage, offset);
+	const repos = stmt.all(query, kind, pure, perPage, offset);
 	logger.info(
 		`server.GET /search?page=${page} - query: ${rawQuery} - ${repos.length} from db`,
 	);
@@ -662,6 +1792,12 @@ app.get("/search", (c) => {
 				<Header />
 				<Hero />
 				<Navigation currentPath={"/search"} query={rawQuery} />
+				<BuildKindFilter
+					currentPath={"/search"}
+					query={rawQuery}
+					kind={kind}
+					pure={pure}
+				/>
 				<NoItems />
 				<Footer />
 			</BaseLayout>,
@@ -673,6 +1809,12 @@ app.get("/search", (c) => {
 			<Header />
 			<Hero />
 			<Navigation currentPath={"/search"} query={rawQuery} />
+			<BuildKindFilter
+				currentPath={"/search"}
+				query={rawQuery}
+				kind={kind}
+				pure={pure}
+			/>
 			<div className="max-w-5xl mx-auto px-3 py-6">
 				<RepoGrid
 					repos={Object.values(repos)}
@@ -681,7 +1823,14 @@ app.get("/search", (c) => {
 				/>
 			</div>
 			{page > 0 && (
-				<Pagination page={page} currentPath={"/search"} query={rawQuery} />
+				<Pagination
+					page={page}
+					currentPath={"/search"}
+					query={rawQuery}
+					kind={kind}
+					pure={pure}
+					sort={null}
+				/>
 			)}
 			<Footer />
 		</BaseLayout>,
@@ -696,6 +1845,10 @@ app.get("/dependencies", (c) => {
 		dependencies: JSON.parse(repo.dependencies),
 	}));
 
+	const popular = db
+		.prepare(serverPopularDependenciesQuery)
+		.all("dependents", 20, 0);
+
 	logger.info(`server.GET /dependencies - ${repos.length} from db`);
 	return c.html(
 		<BaseLayout>
@@ -704,7 +1857,7 @@ app.get("/dependencies", (c) => {
 				<Hero />
 				<Navigation currentPath={"/dependencies"} query={undefined} />
 				<div className="max-w-5xl mx-auto px-3 py-6">
-					<DependencyList repos={repos} />
+					<DependencyList repos={repos} popular={popular} />
 				</div>
 				<Footer />
 			</BaseLayout>
@@ -713,34 +1866,656 @@ app.get("/dependencies", (c) => {
 	);
 });
 
-export default {
-	port: 8080,
-	fetch: app.fetch,
-};
-
-setInterval(() => {
-	logger.flush();
-}, SECONDLY * 10);
+app.get("/dependencies/popular", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = 50;
+	const offset = (page - 1) * perPage;
+	const sort = parseDependencySort(c.req.query("sort"));
+	const stmt = db.prepare(serverPopularDependenciesQuery);
+	const deps = stmt.all(sort, perPage, offset);
+	logger.info(
+		`server.GET /dependencies/popular?sort=${sort}&page=${page} - ${deps.length} from db`,
+	);
 
-//fetchRepo(db, "github", "top");
-//fetchRepo(db, "codeberg", "top");
-rebuildFts(db);
+	if (deps.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependencies"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
+	}
 
-setInterval(() => {
-	fetchRepo(db, "github", "all");
-}, MINUTELY * 5);
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependencies"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<PopularDependencyList deps={deps} sort={sort} offset={offset} />
+			</div>
+			<Pagination
+				page={page}
+				currentPath={"/dependencies/popular"}
+				query={undefined}
+				kind={null}
+				pure={null}
+				sort={sort}
+			/>
+			<Footer />
+		</BaseLayout>,
+	);
+});
 
-setInterval(() => {
-	fetchRepo(db, "codeberg", "top");
-}, HOURLY * 2);
+app.get("/dependencies/outdated", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = 30;
+	const offset = (page - 1) * perPage;
+	const stmt = db.prepare(serverOutdatedReportQuery);
+	const repos = stmt.all(perPage, offset).map((repo) => ({
+		...repo,
+		dependencies: JSON.parse(repo.dependencies),
+	}));
+	logger.info(
+		`server.GET /dependencies/outdated?page=${page} - ${repos.length} from db`,
+	);
 
-setInterval(() => {
-	fetchBuildZig(db);
-}, MINUTELY);
+	if (repos.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependencies"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
+	}
 
-setInterval(() => {
-	processBuildZig(db);
-}, MINUTELY);
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependencies"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<OutdatedReport repos={repos} />
+			</div>
+			<Pagination
+				page={page}
+				currentPath={"/dependencies/outdated"}
+				query={undefined}
+				kind={null}
+				pure={null}
+				sort={null}
+			/>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/dependencies/dead", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = 30;
+	const offset = (page - 1) * perPage;
+	const stmt = db.prepare(serverDeadLinksQuery);
+	const links = stmt.all(perPage, offset).map((link) => ({
+		...link,
+		repos: JSON.parse(link.repos),
+	}));
+	logger.info(
+		`server.GET /dependencies/dead?page=${page} - ${links.length} from db`,
+	);
+
+	if (links.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependencies"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependencies"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<DeadLinkReport links={links} />
+			</div>
+			<Pagination
+				page={page}
+				currentPath={"/dependencies/dead"}
+				query={undefined}
+				kind={null}
+				pure={null}
+				sort={null}
+			/>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/fragmentation", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = 50;
+	const offset = (page - 1) * perPage;
+	const stmt = db.prepare(serverFragmentationQuery);
+	const packages = stmt.all(perPage, offset);
+	logger.info(
+		`server.GET /fragmentation?page=${page} - ${packages.length} from db`,
+	);
+
+	if (packages.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependencies"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependencies"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<FragmentationList packages={packages} offset={offset} />
+			</div>
+			<Pagination
+				page={page}
+				currentPath={"/fragmentation"}
+				query={undefined}
+				kind={null}
+				pure={null}
+				sort={null}
+			/>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/fragmentation/:upstream{.+}", (c) => {
+	const { upstream } = c.req.param();
+	const fragmentation = getFragmentation(db, upstream);
+	logger.info(
+		`server.GET /fragmentation/${upstream} - ${fragmentation?.pins.length ?? 0} from db`,
+	);
+
+	if (fragmentation === null) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependencies"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependencies"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<FragmentationReport fragmentation={fragmentation} />
+			</div>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/mirror", (c) => {
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = 50;
+	const offset = (page - 1) * perPage;
+	const packages = db.prepare(serverMirrorQuery).all(perPage, offset);
+	const stats = db.prepare(serverMirrorStatsQuery).get();
+	logger.info(`server.GET /mirror?page=${page} - ${packages.length} from db`);
+
+	if (packages.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependencies"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependencies"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<MirrorIndex packages={packages} stats={stats} />
+			</div>
+			<Pagination
+				page={page}
+				currentPath={"/mirror"}
+				query={undefined}
+				kind={null}
+				pure={null}
+				sort={null}
+			/>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+// zig picks the unpacker from the content type
+const ARCHIVE_CONTENT_TYPES = {
+	"tar.gz": "application/gzip",
+	zip: "application/zip",
+	tar: "application/x-tar",
+};
+
+app.get("/mirror/:hash", async (c) => {
+	const { hash } = c.req.param();
+	const mirrored = PACKAGE_MIRROR_DIR
+		? await readMirroredPackage(db, PACKAGE_MIRROR_DIR, hash)
+		: null;
+	logger.info(`server.GET /mirror/${hash} - ${mirrored ? 1 : 0} from disk`);
+	if (mirrored === null) return c.text("not mirrored", 404);
+
+	return new Response(mirrored.file, {
+		headers: {
+			"Content-Type": ARCHIVE_CONTENT_TYPES[mirrored.format],
+			"Content-Disposition": `attachment; filename="${hash}.${mirrored.format}"`,
+			"Cache-Control": "public, max-age=31536000, immutable",
+		},
+	});
+});
+
+app.get("/dependents/:platform/:owner/:name", (c) => {
+	const { platform, owner, name } = c.req.param();
+	const fullName = `${owner}/${name}`;
+	const stmt = db.prepare(serverDependentsQuery);
+	const repos = stmt.all(platform, fullName);
+	logger.info(
+		`server.GET /dependents/${platform}/${fullName} - ${repos.length} from db`,
+	);
+
+	if (repos.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/dependents"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/dependents"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 pt-6">
+				<span className="text-sm text-stone-500 dark:text-stone-400">
+					{fullName} is used by {repos.length} repos
+				</span>
+			</div>
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<RepoGrid repos={repos} currentPath={"/dependents"} page={1} />
+			</div>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/repo/:platform/:owner/:name", (c) => {
+	const { platform, owner, name } = c.req.param();
+	const fullName = `${owner}/${name}`;
+	const repo = db.prepare(serverRepoQuery).get(platform, fullName);
+	logger.info(
+		`server.GET /repo/${platform}/${fullName} - ${repo ? 1 : 0} from db`,
+	);
+
+	if (!repo) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/repo"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	const dependencies = db.prepare(serverRepoDependenciesQuery).all(repo.id);
+	const dependents = db
+		.prepare(serverDependentsQuery)
+		.all(repo.platform, repo.full_name);
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/repo"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<RepoPage
+					repo={repo}
+					dependencies={dependencies}
+					dependents={dependents}
+				/>
+			</div>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/owner/:platform/:owner", (c) => {
+	const { platform, owner } = c.req.param();
+	const page = parseInt(c.req.query("page") || "1", 10);
+	const perPage = 30;
+	const offset = (page - 1) * perPage;
+	const currentPath = `/owner/${platform}/${owner}`;
+	const stats = db.prepare(serverOwnerStatsQuery).get(platform, owner);
+	const repos = db
+		.prepare(serverOwnerQuery)
+		.all(platform, owner, perPage, offset);
+	logger.info(
+		`server.GET /owner/${platform}/${owner}?page=${page} - ${repos.length} from db`,
+	);
+
+	if (stats.repos === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/owner"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/owner"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 pt-6">
+				<OwnerSummary platform={platform} stats={stats} />
+			</div>
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<RepoGrid repos={repos} currentPath={currentPath} page={page} />
+			</div>
+			{stats.repos > perPage && (
+				<Pagination
+					page={page}
+					currentPath={currentPath}
+					query={undefined}
+					kind={null}
+					pure={null}
+					sort={null}
+				/>
+			)}
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/versions/:platform/:owner/:name", (c) => {
+	const { platform, owner, name } = c.req.param();
+	const fullName = `${owner}/${name}`;
+	const stmt = db.prepare(serverVersionsQuery);
+	const versions = stmt.all(platform, fullName).map((version) => ({
+		...version,
+		dependencies: JSON.parse(version.dependencies),
+	}));
+	logger.info(
+		`server.GET /versions/${platform}/${fullName} - ${versions.length} from db`,
+	);
+
+	if (versions.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/versions"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/versions"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<VersionList
+					repo={{ platform, full_name: fullName }}
+					versions={versions}
+				/>
+			</div>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/graph", (c) => {
+	const graph = getPackageGraph(db, 40);
+	logger.info(`server.GET /graph - ${graph.nodes.length} from db`);
+
+	if (graph.nodes.length === 0) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/graph"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/graph"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<PackageGraph graph={graph} />
+			</div>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+app.get("/graph/:platform/:owner/:name", (c) => {
+	const { platform, owner, name } = c.req.param();
+	const fullName = `${owner}/${name}`;
+	const graph = getDependencyGraph(db, platform, fullName);
+	const outdated = db
+		.prepare(serverOutdatedDependenciesQuery)
+		.all(platform, fullName);
+	const dead = db.prepare(serverDeadDependenciesQuery).all(platform, fullName);
+	logger.info(
+		`server.GET /graph/${platform}/${fullName} - ${graph?.package_count ?? 0} from db`,
+	);
+
+	if (graph === null) {
+		return c.html(
+			<BaseLayout>
+				<Header />
+				<Hero />
+				<Navigation currentPath={"/graph"} query={undefined} />
+				<NoItems />
+				<Footer />
+			</BaseLayout>,
+			404,
+		);
+	}
+
+	return c.html(
+		<BaseLayout>
+			<Header />
+			<Hero />
+			<Navigation currentPath={"/graph"} query={undefined} />
+			<div className="max-w-5xl mx-auto px-3 py-6">
+				<DependencyGraphSection graph={graph} />
+				{outdated.length > 0 && (
+					<div className="mt-6">
+						<span className="text-sm text-stone-500 dark:text-stone-400">
+							Outdated dependencies:
+						</span>
+						<OutdatedDependencies deps={outdated} />
+					</div>
+				)}
+				{dead.length > 0 && (
+					<div className="mt-6">
+						<span className="text-sm text-stone-500 dark:text-stone-400">
+							Dead links:
+						</span>
+						<DeadDependencies deps={dead} />
+					</div>
+				)}
+			</div>
+			<Footer />
+		</BaseLayout>,
+	);
+});
+
+const api = new Hono();
+
+api.onError((err, c) => {
+	if (err instanceof ApiError) {
+		return c.json(
+			{ error: { status: err.status, message: err.message } },
+			/** @type {any} */ (err.status),
+		);
+	}
+	logger.error(`server.${c.req.method} ${c.req.path} - ${err}`);
+	return c.json({ error: { status: 500, message: "internal error" } }, 500);
+});
+
+for (const endpoint of API_ENDPOINTS) {
+	const path = endpoint.path.replace(/\{(\w+)\}/g, ":$1");
+	api.get(path, (c) => {
+		const params = parseApiParams(endpoint, c.req.query(), c.req.param());
+		const body = endpoint.handler(db, params);
+		const count = body === null ? 0 : [body.data].flat().length;
+		logger.info(`server.GET ${c.req.path} - ${count} from db`);
+		if (body === null) throw new ApiError(404, "not found");
+		return c.json(body);
+	});
+}
+
+api.all("*", () => {
+	throw new ApiError(404, "no such endpoint");
+});
+
+app.route("/api/v1", api);
+
+app.get("/api/openapi.json", (c) => c.json(getOpenApiDocument()));
+
+export default {
+	port: 8080,
+	fetch: app.fetch,
+};
+
+setInterval(() => {
+	logger.flush();
+}, SECONDLY * 10);
+
+//fetchRepo(db, "github", "top");
+//fetchRepo(db, "codeberg", "top");
+rebuildFts(db);
+
+setInterval(() => {
+	fetchRepo(db, "github", "all");
+}, MINUTELY * 5);
+
+setInterval(() => {
+	fetchRepo(db, "codeberg", "top");
+}, HOURLY * 2);
+
+setInterval(() => {
+	fetchBuildZig(db);
+}, MINUTELY);
+
+setInterval(() => {
+	processBuildZig(db);
+}, MINUTELY);
+
+setInterval(() => {
+	processBuildAnalysis(db);
+}, MINUTELY);
+
+setInterval(() => {
+	fetchRepoPackages(db);
+}, MINUTELY);
+
+setInterval(() => {
+	processPackages(db);
+}, MINUTELY);
+
+setInterval(() => {
+	fetchRepoVersions(db);
+}, MINUTELY);
+
+setInterval(() => {
+	processVersions(db);
+}, MINUTELY);
+
+setInterval(() => {
+	resolveUrlDependencies(db);
+}, MINUTELY);
+
+setInterval(() => {
+	fetchDependencyUpstreams(db);
+}, MINUTELY * 5);
+
+setInterval(() => {
+	processDependencyGraph(db);
+}, HOURLY);
+
+setInterval(() => {
+	checkDependencyLinks(db);
+}, MINUTELY * 5);
+
+if (PACKAGE_MIRROR_DIR) {
+	const source = createArchiveSource("remote");
+	const dir = PACKAGE_MIRROR_DIR;
+	setInterval(() => {
+		mirrorPackages(db, source, dir, PACKAGE_MIRROR_MAX_SIZE);
+	}, MINUTELY * 10);
+}
+
+if (PACKAGE_HASH_SOURCE) {
+	const source = createArchiveSource(PACKAGE_HASH_SOURCE);
+	setInterval(() => {
+		verifyPackageHashes(db, source);
+	}, MINUTELY * 10);
+}
 
 setInterval(() => {
 	rebuildFts(db);